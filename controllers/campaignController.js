@@ -0,0 +1,409 @@
+// controllers/campaignController.js
+const Campaign = require('../models/Campaign');
+const Content = require('../models/Content');
+const AuditLog = require('../models/AuditLog');
+const { clearPacingCache, getDelivery } = require('../services/campaignPacing');
+
+const CAMPAIGN_POPULATE = [
+  { path: 'content.contentId', select: 'title type duration filePath url htmlContent mimeType status' },
+  { path: 'targets.devices', select: 'name deviceId location status' },
+  { path: 'targets.deviceGroups', select: 'name type' },
+  { path: 'createdBy', select: 'name email role' },
+  { path: 'updatedBy', select: 'name email role' }
+];
+
+// Normalize `content` items or plain `contentIds`, as schedules accept them
+const buildContentArray = (body) => {
+  if (Array.isArray(body.content)) {
+    return body.content.map(item => ({
+      contentId: item.contentId || item,
+      customDuration: item.customDuration,
+      weight: item.weight
+    }));
+  }
+  return (body.contentIds || []).map(contentId => ({ contentId }));
+};
+
+const buildTargets = (targets = {}) => ({
+  devices: targets.devices || [],
+  deviceGroups: targets.deviceGroups || [],
+  locations: (targets.locations || []).map(location => location.trim())
+});
+
+// Campaign content is played to the public, so every item must be approved
+const findUnapprovedContent = async (contentArray) => {
+  const ids = contentArray.map(item => item.contentId.toString());
+  const approved = await Content.find({ _id: { $in: ids }, status: 'approved' }).select('_id');
+  const approvedIds = new Set(approved.map(content => content._id.toString()));
+  return ids.filter(id => !approvedIds.has(id));
+};
+
+const logCampaignAction = (req, action, campaign, details = {}) =>
+  AuditLog.create({
+    action,
+    userId: req.user._id,
+    targetId: campaign._id.toString(),
+    targetType: 'CAMPAIGN',
+    details: {
+      name: campaign.name,
+      advertiser: campaign.advertiser,
+      flightStart: campaign.flightStart,
+      flightEnd: campaign.flightEnd,
+      goalPlays: campaign.goalPlays,
+      pacing: campaign.pacing,
+      ...details
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: action === 'CAMPAIGN_DELETE' ? 'MEDIUM' : 'LOW'
+  }).catch(error => console.error('Failed to log campaign action:', error));
+
+// Reviewed campaigns edited by anyone but an admin go back to draft for another review
+const workflowResetFor = (user, campaign) => (
+  user.role !== 'ADMIN' && campaign.getWorkflowState() !== 'draft'
+    ? { workflowState: 'draft' }
+    : null
+);
+
+// Replan pacing and push the new playlists to screens
+const refreshScreens = (req, campaign) => {
+  clearPacingCache(campaign._id);
+
+  const contentService = req.app.get('contentService');
+  if (contentService) {
+    contentService.clearCache();
+    contentService.broadcastCurrentContent()
+      .catch(error => console.error('Failed to broadcast campaign change:', error));
+  }
+};
+
+const getCampaigns = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.advertiser) filter.advertiser = req.query.advertiser;
+    if (req.query.workflowState) {
+      // Campaigns from before the workflow count as published
+      filter.workflowState = req.query.workflowState === 'published'
+        ? { $in: ['published', null] }
+        : req.query.workflowState;
+    }
+    // Campaigns whose flight covers the current time
+    if (req.query.inFlight === 'true') {
+      const now = new Date();
+      filter.flightStart = { $lte: now };
+      filter.flightEnd = { $gt: now };
+    }
+
+    const campaigns = await Campaign.find(filter)
+      .populate(CAMPAIGN_POPULATE)
+      .sort({ flightStart: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: campaigns,
+      count: campaigns.length
+    });
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getCampaignById = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).populate(CAMPAIGN_POPULATE);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const createCampaign = async (req, res) => {
+  try {
+    const contentArray = buildContentArray(req.body);
+
+    const unapproved = await findUnapprovedContent(contentArray);
+    if (unapproved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign content must be approved',
+        invalidContent: unapproved
+      });
+    }
+
+    const campaign = await Campaign.create({
+      name: req.body.name,
+      advertiser: req.body.advertiser,
+      description: req.body.description,
+      content: contentArray,
+      targets: buildTargets(req.body.targets),
+      flightStart: req.body.flightStart,
+      flightEnd: req.body.flightEnd,
+      goalPlays: req.body.goalPlays,
+      pacing: req.body.pacing || 'even',
+      isActive: req.body.isActive !== undefined ? req.body.isActive : true,
+      // Nothing goes on air until it has been reviewed and published
+      workflowState: 'draft',
+      createdBy: req.user._id
+    });
+
+    await logCampaignAction(req, 'CAMPAIGN_CREATE', campaign, {
+      contentCount: campaign.content.length
+    });
+
+    await campaign.populate(CAMPAIGN_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: campaign,
+      message: 'Campaign created as a draft'
+    });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const updateCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (req.body.content || req.body.contentIds) {
+      const contentArray = buildContentArray(req.body);
+      const unapproved = await findUnapprovedContent(contentArray);
+      if (unapproved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Campaign content must be approved',
+          invalidContent: unapproved
+        });
+      }
+      campaign.content = contentArray;
+    }
+
+    ['name', 'advertiser', 'description', 'flightStart', 'flightEnd', 'goalPlays', 'pacing', 'isActive']
+      .forEach(field => {
+        if (req.body[field] !== undefined) campaign[field] = req.body[field];
+      });
+    if (req.body.targets !== undefined) {
+      campaign.targets = buildTargets(req.body.targets);
+    }
+    campaign.updatedBy = req.user._id;
+
+    const changedFields = campaign.modifiedPaths().filter(path => !path.includes('.'));
+    const previousState = campaign.getWorkflowState();
+    const workflowReset = workflowResetFor(req.user, campaign);
+    if (workflowReset) {
+      campaign.set(workflowReset);
+    }
+
+    await campaign.save();
+    await logCampaignAction(req, 'CAMPAIGN_UPDATE', campaign, {
+      changedFields,
+      workflowState: workflowReset ? { from: previousState, to: campaign.workflowState } : undefined
+    });
+    refreshScreens(req, campaign);
+
+    await campaign.populate(CAMPAIGN_POPULATE);
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: workflowReset
+        ? 'Campaign updated; it is back in draft and needs to be reviewed again'
+        : 'Campaign updated'
+    });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Play events keep their campaign id, so delivery history stays queryable by id
+const deleteCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByIdAndDelete(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    await logCampaignAction(req, 'CAMPAIGN_DELETE', campaign);
+    refreshScreens(req, campaign);
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted'
+    });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Delivered plays against the goal, with a forecast
+const getCampaignDelivery = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const delivery = await getDelivery(campaign);
+
+    res.json({
+      success: true,
+      data: {
+        campaign: {
+          _id: campaign._id,
+          name: campaign.name,
+          advertiser: campaign.advertiser,
+          isActive: campaign.isActive,
+          workflowState: campaign.getWorkflowState()
+        },
+        ...delivery
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const WORKFLOW_AUDIT_ACTIONS = {
+  submit: 'CAMPAIGN_SUBMIT',
+  approve: 'CAMPAIGN_APPROVE',
+  reject: 'CAMPAIGN_REJECT',
+  publish: 'CAMPAIGN_PUBLISH',
+  unpublish: 'CAMPAIGN_UNPUBLISH'
+};
+
+const WORKFLOW_MESSAGES = {
+  submit: 'submitted for review',
+  approve: 'approved',
+  reject: 'rejected',
+  publish: 'published',
+  unpublish: 'unpublished'
+};
+
+// Handler moving a campaign through the review workflow with `action`
+const transitionCampaign = (action) => async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const { from, to } = campaign.applyWorkflowAction(action, req.user, { comment: req.body.comment });
+    await campaign.save();
+
+    await logCampaignAction(req, WORKFLOW_AUDIT_ACTIONS[action], campaign, {
+      from,
+      to,
+      comment: req.body.comment
+    });
+
+    const io = req.app.get('socketio');
+    if (io) {
+      // Reviewers and authors follow the workflow on their dashboards
+      io.to('role-ADMIN').to('role-MANAGER').emit('campaign-workflow', {
+        campaignId: campaign._id,
+        campaignName: campaign.name,
+        action,
+        from,
+        to,
+        comment: req.body.comment,
+        by: { _id: req.user._id, name: req.user.name },
+        timestamp: new Date()
+      });
+    }
+
+    // Publishing changes what screens play
+    if (['publish', 'unpublish'].includes(action)) {
+      refreshScreens(req, campaign);
+    }
+
+    await campaign.populate(CAMPAIGN_POPULATE);
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: `Campaign "${campaign.name}" ${WORKFLOW_MESSAGES[action]}`
+    });
+  } catch (error) {
+    console.error(`Campaign ${action} error:`, error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: error.message || `Failed to ${action} campaign`
+    });
+  }
+};
+
+const submitCampaign = transitionCampaign('submit');
+const approveCampaign = transitionCampaign('approve');
+const rejectCampaign = transitionCampaign('reject');
+const publishCampaign = transitionCampaign('publish');
+const unpublishCampaign = transitionCampaign('unpublish');
+
+module.exports = {
+  getCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  getCampaignDelivery,
+  submitCampaign,
+  approveCampaign,
+  rejectCampaign,
+  publishCampaign,
+  unpublishCampaign
+};
@@ -1,29 +1,18 @@
 const Content = require('../models/Content');
+const Schedule = require('../models/Schedule');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = 'uploads/';
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`);
-  }
-});
+const { hashingDiskStorage, isAllowedMediaFile, mediaTypeFor, storeFile, releaseFile, removeThumbnail, removeFile } = require('../services/mediaStore');
+const { signMediaUrl } = require('../services/mediaUrls');
+
+// Files are hashed as they stream to disk (req.file.checksum)
+const storage = hashingDiskStorage();
+
+const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|mp4|avi|mov|webm|mkv/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-  
-  if (mimetype && extname) {
+  if (isAllowedMediaFile(file.originalname, file.mimetype)) {
     return cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only images and videos are allowed.'));
@@ -33,55 +22,74 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ 
   storage,
   limits: { 
-    fileSize: 500 * 1024 * 1024 // 500MB
+    fileSize: MAX_FILE_SIZE
   },
   fileFilter
 });
 
-const uploadContent = async (req, res) => {
+// Create a Content document from form fields and an optional stored file
+// (`{ path, size, originalname, checksum? }`, as multer describes it). Completed
+// resumable uploads go through here too. A file identical to one already
+// stored is discarded in favour of the existing asset (`reusedAsset`).
+const createContent = async (fields, file, user) => {
+  const { title, description, type, duration, url, htmlContent, tags } = fields;
+
+  const contentData = {
+    title,
+    description,
+    type,
+    duration: duration || 10,
+    uploadedBy: user._id
+  };
+
+  if (url) contentData.url = url;
+  if (htmlContent) contentData.htmlContent = htmlContent;
+
+  let stored = null;
   try {
-    const { title, description, type, duration, url, htmlContent, tags } = req.body;
-    
-    let filePath = null;
-    let fileSize = null;
-    let mimeType = null;
-    let checksum = null;
-
-    if (req.file) {
-      filePath = req.file.path;
-      fileSize = req.file.size;
-      mimeType = req.file.mimetype;
-      
-      // Generate checksum
-      const fileBuffer = fs.readFileSync(req.file.path);
-      checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-    }
+    if (tags) contentData.tags = Array.isArray(tags) ? tags : JSON.parse(tags);
 
-    const contentData = {
-      title,
-      description,
-      type,
-      duration: duration || 10,
-      uploadedBy: req.user._id
-    };
-
-    if (filePath) {
-      contentData.filePath = filePath;
-      contentData.fileSize = fileSize;
-      contentData.mimeType = mimeType;
-      contentData.checksum = checksum;
+    if (file) {
+      stored = await storeFile(file, user._id);
+      contentData.filePath = stored.filePath;
+      contentData.fileSize = stored.asset.fileSize;
+      contentData.mimeType = mediaTypeFor(file.originalname || file.path);
+      contentData.checksum = stored.asset.checksum;
+      contentData.asset = stored.asset._id;
+      contentData.storageDriver = stored.asset.storageDriver;
+      // Picked up by the media processor; videos without a duration get theirs
+      contentData.processing = { status: 'pending', fillDuration: type === 'video' && !duration };
     }
 
-    if (url) contentData.url = url;
-    if (htmlContent) contentData.htmlContent = htmlContent;
-    if (tags) contentData.tags = JSON.parse(tags);
-
     const content = await Content.create(contentData);
     await content.populate('uploadedBy', 'name email');
+    return { content, reusedAsset: stored ? stored.reused : false };
+  } catch (error) {
+    // Don't leave files (or asset references) behind for content that was never created
+    if (stored) {
+      await releaseFile({ asset: stored.asset._id }).catch(() => {});
+    } else if (file) {
+      await removeFile(file.path).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+const uploadContent = async (req, res) => {
+  try {
+    const { content, reusedAsset } = await createContent(req.body, req.file, req.user);
+
+    // Metadata and thumbnails are filled in in the background
+    const mediaProcessor = req.app.get('mediaProcessor');
+    if (mediaProcessor && content.filePath) {
+      mediaProcessor.enqueue(content._id);
+    }
 
     res.status(201).json({
       success: true,
-      data: content
+      data: content,
+      reusedAsset,
+      ...(reusedAsset && { message: 'An identical file was already uploaded; the existing copy was reused' })
     });
   } catch (error) {
     console.error('Upload content error:', error);
@@ -92,6 +100,76 @@ const uploadContent = async (req, res) => {
   }
 };
 
+const hasResolution = (size) => Boolean(size && size.width && size.height);
+
+/**
+ * Screens whose resolution differs from each content's media: `device` alone
+ * when given, otherwise the screens the content is scheduled on (every screen
+ * for untargeted schedules). Resolves to a Map of content id -> warning.
+ */
+const findResolutionMismatches = async (contents, device = null) => {
+  const warnings = new Map();
+  const sized = contents.filter(content => hasResolution(content.media));
+  if (sized.length === 0) return warnings;
+
+  const screensFor = new Map();
+  if (device) {
+    sized.forEach(content => screensFor.set(content._id.toString(), [device]));
+  } else {
+    const schedules = await Schedule.find({ 'content.contentId': { $in: sized.map(content => content._id) } })
+      .select('content.contentId devices deviceGroups')
+      .lean();
+
+    const idsFor = new Map();
+    let everyScreen = null;
+    for (const schedule of schedules) {
+      // Schedules saved before group targeting have no deviceGroups
+      const devices = schedule.devices || [];
+      const deviceGroups = schedule.deviceGroups || [];
+      let deviceIds;
+      if (devices.length === 0 && deviceGroups.length === 0) {
+        everyScreen = everyScreen || await Device.distinct('_id');
+        deviceIds = everyScreen;
+      } else {
+        deviceIds = [...devices, ...await DeviceGroup.expandDevices(deviceGroups)];
+      }
+
+      for (const item of schedule.content) {
+        const contentId = item.contentId.toString();
+        if (!idsFor.has(contentId)) idsFor.set(contentId, new Set());
+        deviceIds.forEach(id => idsFor.get(contentId).add(id.toString()));
+      }
+    }
+
+    const allIds = new Set([...idsFor.values()].flatMap(ids => [...ids]));
+    const screens = await Device.find({ _id: { $in: [...allIds] } }).select('deviceId name resolution').lean();
+    const screenById = new Map(screens.map(screen => [screen._id.toString(), screen]));
+    for (const [contentId, ids] of idsFor) {
+      screensFor.set(contentId, [...ids].map(id => screenById.get(id)).filter(Boolean));
+    }
+  }
+
+  for (const content of sized) {
+    const { width, height } = content.media;
+    const mismatched = (screensFor.get(content._id.toString()) || [])
+      .filter(screen => hasResolution(screen.resolution))
+      .filter(screen => screen.resolution.width !== width || screen.resolution.height !== height);
+
+    if (mismatched.length > 0) {
+      warnings.set(content._id.toString(), {
+        message: `${width}x${height} media differs from the resolution of ${mismatched.length} screen(s)`,
+        devices: mismatched.map(screen => ({
+          _id: screen._id,
+          deviceId: screen.deviceId,
+          name: screen.name,
+          resolution: { width: screen.resolution.width, height: screen.resolution.height }
+        }))
+      });
+    }
+  }
+  return warnings;
+};
+
 const getContent = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -101,6 +179,7 @@ const getContent = async (req, res) => {
     const filter = {};
     if (req.query.status) filter.status = req.query.status;
     if (req.query.type) filter.type = req.query.type;
+    if (req.query.processingStatus) filter['processing.status'] = req.query.processingStatus;
     if (req.query.search) {
       filter.$text = { $search: req.query.search };
     }
@@ -114,9 +193,29 @@ const getContent = async (req, res) => {
 
     const total = await Content.countDocuments(filter);
 
+    // ?deviceId= checks resolutions against that screen instead of the ones the content is scheduled on
+    let device = null;
+    if (req.query.deviceId) {
+      device = await Device.findOne({ deviceId: req.query.deviceId }).select('deviceId name resolution').lean();
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+    }
+
+    const warnings = await findResolutionMismatches(content, device);
+    const data = content.map(item => {
+      const json = item.toJSON();
+      const warning = warnings.get(item._id.toString());
+      if (warning) json.resolutionWarning = warning;
+      return json;
+    });
+
     res.json({
       success: true,
-      data: content,
+      data,
       pagination: {
         page,
         limit,
@@ -159,6 +258,38 @@ const getContentById = async (req, res) => {
   }
 };
 
+// A fresh signed URL for a content's file, for users and provisioned devices
+// (devices only get approved content)
+const getMediaUrl = async (req, res) => {
+  try {
+    const content = await Content.findById(req.params.id).select('filePath status');
+
+    if (!content || (req.device && content.status !== 'approved')) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Content not found' 
+      });
+    }
+    if (!content.filePath) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content has no media file'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: signMediaUrl(content.filePath)
+    });
+  } catch (error) {
+    console.error('Get media URL error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
 const updateContentStatus = async (req, res) => {
   try {
     const { status } = req.body;
@@ -207,12 +338,11 @@ const deleteContent = async (req, res) => {
       });
     }
 
-    // Delete file if exists
-    if (content.filePath && fs.existsSync(content.filePath)) {
-      fs.unlinkSync(content.filePath);
-    }
-
     await Content.findByIdAndDelete(req.params.id);
+
+    // The file goes once no other content shares it
+    await releaseFile(content);
+    await removeThumbnail(content.thumbnail);
     
     res.json({ 
       success: true, 
@@ -228,10 +358,13 @@ const deleteContent = async (req, res) => {
 };
 
 module.exports = {
+  MAX_FILE_SIZE,
+  createContent,
   upload,
   uploadContent,
   getContent,
   getContentById,
+  getMediaUrl,
   updateContentStatus,
   deleteContent
 };
@@ -1,9 +1,23 @@
+const mongoose = require('mongoose');
 const Device = require('../models/Device');
+const Schedule = require('../models/Schedule');
+const DeviceCommand = require('../models/DeviceCommand');
+const DevicePairing = require('../models/DevicePairing');
+const DeviceStatusHistory = require('../models/DeviceStatusHistory');
+const PlayEvent = require('../models/PlayEvent');
+const Content = require('../models/Content');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const FallbackContent = require('../models/FallbackContent');
+const AuditLog = require('../models/AuditLog');
+const { buildPlaybackState, buildEmergencyState, buildFallbackState } = require('../services/playlistEngine');
+const { getCampaignInjections } = require('../services/campaignPacing');
 
 const registerDevice = async (req, res) => {
   try {
+    // Credentials are only ever issued through pairing
+    const { credential, ...body } = req.body;
     const deviceData = {
-      ...req.body,
+      ...body,
       registeredBy: req.user._id
     };
 
@@ -99,11 +113,20 @@ const getDeviceById = async (req, res) => {
   }
 };
 
+// Fields staff may edit; identity, credential and pairing stay with the device
+const UPDATABLE_DEVICE_FIELDS = ['name', 'location', 'timezone', 'model', 'resolution', 'os', 'version', 'status', 'settings'];
+
 const updateDevice = async (req, res) => {
   try {
+    const updateData = {};
+    UPDATABLE_DEVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    const previous = await Device.findById(req.params.id).select('status');
+
     const device = await Device.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     ).populate([
       { path: 'registeredBy', select: 'name email' },
@@ -117,6 +140,10 @@ const updateDevice = async (req, res) => {
       });
     }
 
+    if (previous && previous.status !== device.status) {
+      await req.app.get('deviceWatchdog')?.recordStatusChange(device, previous.status, 'manual');
+    }
+
     res.json({
       success: true,
       data: device
@@ -156,7 +183,7 @@ const deleteDevice = async (req, res) => {
 
 const sendCommand = async (req, res) => {
   try {
-    const { command } = req.body;
+    const { command, payload = {}, expiresIn } = req.body;
     const device = await Device.findById(req.params.id);
 
     if (!device) {
@@ -166,18 +193,67 @@ const sendCommand = async (req, res) => {
       });
     }
 
-    // Here you would implement the actual command sending logic
-    // For now, we'll just log the command and return success
-    console.log(`Sending command '${command}' to device ${device.deviceId}`);
+    if (!DeviceCommand.DEVICE_COMMANDS.includes(command)) {
+      return res.status(400).json({
+        success: false,
+        message: `Command must be one of: ${DeviceCommand.DEVICE_COMMANDS.join(', ')}`
+      });
+    }
 
-    // Update last seen timestamp
-    device.lastSeen = new Date();
-    await device.save();
+    if (['volume', 'brightness'].includes(command)) {
+      const level = Number(payload.level);
+      if (!Number.isInteger(level) || level < 0 || level > 100) {
+        return res.status(400).json({
+          success: false,
+          message: `${command} requires payload.level between 0 and 100`
+        });
+      }
+      payload.level = level;
+    }
 
-    res.json({
+    const commandData = {
+      device: device._id,
+      deviceId: device.deviceId,
+      command,
+      payload,
+      issuedBy: req.user._id
+    };
+
+    if (expiresIn) {
+      commandData.expiresAt = new Date(Date.now() + expiresIn * 1000);
+    }
+
+    let deviceCommand = await DeviceCommand.create(commandData);
+
+    // Deliver now if the device is connected; otherwise it stays queued
+    const deviceGateway = req.app.get('deviceGateway');
+    if (deviceGateway) {
+      deviceCommand = await deviceGateway.dispatch(deviceCommand);
+    }
+
+    await AuditLog.create({
+      action: 'DEVICE_COMMAND',
+      userId: req.user._id,
+      targetId: device._id.toString(),
+      targetType: 'DEVICE',
+      details: {
+        deviceId: device.deviceId,
+        commandId: deviceCommand._id.toString(),
+        command,
+        payload,
+        status: deviceCommand.status
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: command === 'reboot' ? 'MEDIUM' : 'LOW'
+    });
+
+    res.status(202).json({
       success: true,
-      message: `Command '${command}' sent to device ${device.name}`,
-      data: { command, deviceId: device.deviceId, timestamp: new Date() }
+      message: deviceCommand.status === 'sent'
+        ? `Command '${command}' sent to device ${device.name}`
+        : `Command '${command}' queued until device ${device.name} reconnects`,
+      data: deviceCommand
     });
   } catch (error) {
     console.error('Send command error:', error);
@@ -188,21 +264,67 @@ const sendCommand = async (req, res) => {
   }
 };
 
+const getDeviceCommands = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const filter = { device: device._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.command) filter.command = req.query.command;
+
+    const commands = await DeviceCommand.find(filter)
+      .populate('issuedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DeviceCommand.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: commands,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get device commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 const updateHeartbeat = async (req, res) => {
   try {
-    const { deviceId } = req.params;
     const { status, storageInfo, networkInfo } = req.body;
 
-    const device = await Device.findOneAndUpdate(
-      { deviceId },
+    // deviceAuth has already matched the credentials to :deviceId
+    const device = await Device.findByIdAndUpdate(
+      req.device._id,
       {
         lastHeartbeat: new Date(),
         lastSeen: new Date(),
         status: status || 'online',
+        'credential.lastUsedAt': new Date(),
         ...(storageInfo && { storageInfo }),
         ...(networkInfo && { networkInfo })
       },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     if (!device) {
@@ -212,6 +334,10 @@ const updateHeartbeat = async (req, res) => {
       });
     }
 
+    if (req.device.status !== device.status) {
+      await req.app.get('deviceWatchdog')?.recordStatusChange(device, req.device.status, 'heartbeat');
+    }
+
     res.json({
       success: true,
       message: 'Heartbeat updated',
@@ -226,6 +352,457 @@ const updateHeartbeat = async (req, res) => {
   }
 };
 
+// Admin issues a short-lived code that is typed into (or scanned by) the player
+const createPairingCode = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const pairing = await DevicePairing.createForDevice(device._id, req.user._id);
+
+    await AuditLog.create({
+      action: 'DEVICE_PAIRING_CREATE',
+      userId: req.user._id,
+      targetId: device._id.toString(),
+      targetType: 'DEVICE',
+      details: { deviceId: device.deviceId, expiresAt: pairing.expiresAt },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'MEDIUM'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        code: pairing.code,
+        deviceId: device.deviceId,
+        expiresAt: pairing.expiresAt
+      },
+      message: 'Pairing code created'
+    });
+  } catch (error) {
+    console.error('Create pairing code error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Player exchanges a pairing code for its device credential (public endpoint)
+const pairDevice = async (req, res) => {
+  try {
+    const pairing = await DevicePairing.redeem(req.body.code, req.ip);
+
+    if (!pairing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pairing code is invalid or has expired'
+      });
+    }
+
+    const device = await Device.findById(pairing.device);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const secret = device.issueCredential();
+    await device.save();
+
+    // Sockets opened with the previous credential must reconnect
+    req.app.get('deviceGateway')?.disconnectDevice(device.deviceId);
+
+    await AuditLog.create({
+      action: 'DEVICE_PAIR',
+      userId: pairing.createdBy,
+      targetId: device._id.toString(),
+      targetType: 'DEVICE',
+      details: { deviceId: device.deviceId, credentialVersion: device.credential.version },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'MEDIUM'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        deviceId: device.deviceId,
+        name: device.name,
+        secret,
+        credentialVersion: device.credential.version
+      },
+      message: 'Device paired. Store the secret securely, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Pair device error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const rotateCredential = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const secret = device.issueCredential();
+    await device.save();
+
+    req.app.get('deviceGateway')?.disconnectDevice(device.deviceId);
+
+    await AuditLog.create({
+      action: 'DEVICE_CREDENTIAL_ROTATE',
+      userId: req.user._id,
+      targetId: device._id.toString(),
+      targetType: 'DEVICE',
+      details: { deviceId: device.deviceId, credentialVersion: device.credential.version },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'HIGH'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deviceId: device.deviceId,
+        secret,
+        credentialVersion: device.credential.version
+      },
+      message: 'Credential rotated. The previous secret no longer works.'
+    });
+  } catch (error) {
+    console.error('Rotate credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const revokeCredential = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    device.revokeCredential();
+    await device.save();
+
+    // Drop any pending pairing code as well
+    await DevicePairing.deleteMany({ device: device._id, usedAt: null });
+    req.app.get('deviceGateway')?.disconnectDevice(device.deviceId);
+
+    await AuditLog.create({
+      action: 'DEVICE_CREDENTIAL_REVOKE',
+      userId: req.user._id,
+      targetId: device._id.toString(),
+      targetType: 'DEVICE',
+      details: { deviceId: device.deviceId, credentialVersion: device.credential.version },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'HIGH'
+    });
+
+    res.json({
+      success: true,
+      message: `Credential revoked for device ${device.name}`
+    });
+  } catch (error) {
+    console.error('Revoke credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getCurrentContentForDevice = async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const now = new Date();
+    const activeSchedules = await Schedule.findCurrentlyActiveForDevice(device, now);
+    const activeSchedule = activeSchedules[0];
+
+    // Keep the device's current schedule in sync with what it resolves to
+    const resolvedScheduleId = activeSchedule ? activeSchedule._id.toString() : null;
+    const storedScheduleId = device.currentSchedule ? device.currentSchedule.toString() : null;
+    if (resolvedScheduleId !== storedScheduleId) {
+      await Device.updateOne(
+        { _id: device._id },
+        activeSchedule ? { currentSchedule: activeSchedule._id } : { $unset: { currentSchedule: 1 } }
+      );
+    }
+
+    const deviceInfo = {
+      _id: device._id,
+      deviceId: device.deviceId,
+      name: device.name,
+      location: device.location,
+      timezone: device.timezone
+    };
+
+    // Emergency alerts preempt whatever the schedules resolve to
+    const alert = await EmergencyAlert.findActiveFor(device, now);
+    if (alert) {
+      return res.json({
+        success: true,
+        data: buildEmergencyState(alert, now),
+        device: deviceInfo,
+        message: 'Emergency alert in effect'
+      });
+    }
+
+    if (!activeSchedule) {
+      // Device, then location, then global fallback keeps the screen from going blank
+      const fallback = await FallbackContent.resolveFor(device);
+      return res.json({
+        success: true,
+        data: fallback ? buildFallbackState(fallback, now) : null,
+        device: deviceInfo,
+        message: fallback
+          ? `No schedule is currently active; showing ${fallback.level} fallback content`
+          : 'No schedule is currently active for this device'
+      });
+    }
+
+    const campaigns = await getCampaignInjections(device, activeSchedule.activeWindow, now);
+
+    res.json({
+      success: true,
+      data: buildPlaybackState(activeSchedule, activeSchedule.activeWindow, now, {
+        deviceKey: device.deviceId,
+        campaigns
+      }),
+      device: deviceInfo,
+      message: 'Content found successfully'
+    });
+  } catch (error) {
+    console.error('Get device current content error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getDeviceUptime = async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const now = new Date();
+    let uptime;
+
+    if (req.query.period) {
+      const periodMs = DeviceStatusHistory.UPTIME_PERIODS[req.query.period];
+      if (!periodMs) {
+        return res.status(400).json({
+          success: false,
+          message: `Period must be one of: ${Object.keys(DeviceStatusHistory.UPTIME_PERIODS).join(', ')}`
+        });
+      }
+      uptime = { [req.query.period]: await DeviceStatusHistory.getUptime(device, periodMs, now) };
+    } else {
+      uptime = await DeviceStatusHistory.getUptimeSummary(device, now);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deviceId: device.deviceId,
+        status: device.status,
+        lastHeartbeat: device.lastHeartbeat,
+        uptime,
+        calculatedAt: now
+      }
+    });
+  } catch (error) {
+    console.error('Get device uptime error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getDeviceStatusHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { device: req.params.id };
+    if (req.query.startDate || req.query.endDate) {
+      filter.changedAt = {};
+      if (req.query.startDate) filter.changedAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.changedAt.$lte = new Date(req.query.endDate);
+    }
+
+    const history = await DeviceStatusHistory.find(filter)
+      .sort({ changedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DeviceStatusHistory.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: history,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get device status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const MAX_PLAY_EVENTS_PER_REPORT = 500;
+
+// Players report what they actually showed (batched, retry-safe via eventId)
+const reportPlayEvents = async (req, res) => {
+  try {
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+
+    if (events.length === 0 || events.length > MAX_PLAY_EVENTS_PER_REPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `Report between 1 and ${MAX_PLAY_EVENTS_PER_REPORT} play events at a time`
+      });
+    }
+
+    const contentIds = [...new Set(events.map(e => String(e.contentId || '')))]
+      .filter(id => mongoose.isValidObjectId(id));
+    const knownContent = new Set(
+      (await Content.find({ _id: { $in: contentIds } }).select('_id').lean()).map(c => c._id.toString())
+    );
+
+    const rejected = [];
+    const documents = [];
+    // Request index of each document, for errors reported by position
+    const documentIndexes = [];
+
+    events.forEach((event, index) => {
+      const startedAt = new Date(event.startedAt);
+      const endedAt = new Date(event.endedAt);
+
+      if (!event.eventId || !knownContent.has(String(event.contentId))) {
+        rejected.push({ index, eventId: event.eventId, reason: 'Missing eventId or unknown content' });
+        return;
+      }
+      if (isNaN(startedAt) || isNaN(endedAt) || endedAt < startedAt) {
+        rejected.push({ index, eventId: event.eventId, reason: 'Invalid start or end time' });
+        return;
+      }
+
+      const document = new PlayEvent({
+        eventId: String(event.eventId),
+        device: req.device._id,
+        deviceId: req.device.deviceId,
+        content: event.contentId,
+        schedule: mongoose.isValidObjectId(event.scheduleId) ? event.scheduleId : null,
+        campaign: mongoose.isValidObjectId(event.campaignId) ? event.campaignId : null,
+        startedAt,
+        endedAt,
+        duration: event.duration !== undefined ? Number(event.duration) : (endedAt - startedAt) / 1000,
+        expectedDuration: event.expectedDuration,
+        status: event.status || 'completed',
+        playlistIndex: event.playlistIndex
+      });
+
+      // insertMany would drop invalid documents without saying which
+      const validationError = document.validateSync();
+      if (validationError) {
+        rejected.push({
+          index,
+          eventId: event.eventId,
+          reason: Object.values(validationError.errors).map(err => err.message).join(', ')
+        });
+        return;
+      }
+
+      documents.push(document);
+      documentIndexes.push(index);
+    });
+
+    let accepted = 0;
+    let duplicates = 0;
+
+    if (documents.length > 0) {
+      try {
+        const inserted = await PlayEvent.insertMany(documents, { ordered: false });
+        accepted = inserted.length;
+      } catch (error) {
+        // Duplicate eventIds are events the player already reported
+        if (!error.writeErrors) throw error;
+        accepted = error.insertedDocs?.length ?? (documents.length - error.writeErrors.length);
+        for (const writeError of error.writeErrors) {
+          if (writeError.code === 11000) {
+            duplicates += 1;
+          } else {
+            const index = documentIndexes[writeError.index];
+            rejected.push({ index, eventId: events[index].eventId, reason: writeError.errmsg });
+          }
+        }
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { accepted, duplicates, rejected }
+    });
+  } catch (error) {
+    console.error('Report play events error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   registerDevice,
   getDevices,
@@ -233,5 +810,14 @@ module.exports = {
   updateDevice,
   deleteDevice,
   sendCommand,
-  updateHeartbeat
+  getDeviceCommands,
+  updateHeartbeat,
+  getCurrentContentForDevice,
+  createPairingCode,
+  pairDevice,
+  rotateCredential,
+  revokeCredential,
+  getDeviceUptime,
+  getDeviceStatusHistory,
+  reportPlayEvents
 };
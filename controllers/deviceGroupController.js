@@ -0,0 +1,346 @@
+// controllers/deviceGroupController.js
+const DeviceGroup = require('../models/DeviceGroup');
+const Device = require('../models/Device');
+const Schedule = require('../models/Schedule');
+const ScheduleRevision = require('../models/ScheduleRevision');
+const AuditLog = require('../models/AuditLog');
+
+// Nest a flat list of groups under their parents
+const buildTree = (groups) => {
+  const nodes = new Map(groups.map(group => [group._id.toString(), { ...group, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+const logGroupAction = (req, action, group, details = {}) =>
+  AuditLog.create({
+    action,
+    userId: req.user._id,
+    targetId: group._id.toString(),
+    targetType: 'DEVICE_GROUP',
+    details: {
+      groupName: group.name,
+      groupType: group.type,
+      ...details
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: action === 'DEVICE_GROUP_DELETE' ? 'MEDIUM' : 'LOW'
+  }).catch(error => console.error('Failed to log device group action:', error));
+
+const createDeviceGroup = async (req, res) => {
+  try {
+    const { name, type, description, parent, devices } = req.body;
+
+    const group = await DeviceGroup.create({
+      name,
+      type,
+      description,
+      parent: parent || null,
+      devices: devices || [],
+      createdBy: req.user._id
+    });
+
+    await group.populate([
+      { path: 'parent', select: 'name type' },
+      { path: 'devices', select: 'name deviceId location status' }
+    ]);
+
+    await logGroupAction(req, 'DEVICE_GROUP_CREATE', group, { parent: parent || null });
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      message: 'Device group created successfully'
+    });
+  } catch (error) {
+    console.error('Create device group error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000
+        ? 'A group with this name already exists under the same parent'
+        : error.message
+    });
+  }
+};
+
+const getDeviceGroups = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.parent) filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+    if (req.query.deviceId) filter.devices = req.query.deviceId;
+
+    const groups = await DeviceGroup.find(filter)
+      .populate('devices', 'name deviceId location status')
+      .sort({ type: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: req.query.tree === 'true' ? buildTree(groups) : groups,
+      count: groups.length
+    });
+  } catch (error) {
+    console.error('Get device groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getDeviceGroupById = async (req, res) => {
+  try {
+    const group = await DeviceGroup.findById(req.params.id)
+      .populate([
+        { path: 'parent', select: 'name type' },
+        { path: 'ancestors', select: 'name type' },
+        { path: 'devices', select: 'name deviceId location status' },
+        { path: 'createdBy', select: 'name email' }
+      ])
+      .lean();
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    // Every device reached through this group and its nested groups
+    const deviceIds = await DeviceGroup.expandDevices([group._id]);
+    const allDevices = await Device.find({ _id: { $in: deviceIds } })
+      .select('name deviceId location status')
+      .lean();
+
+    const children = await DeviceGroup.find({ parent: group._id })
+      .select('name type')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...group,
+        path: [...group.ancestors, group].map(g => g.name).join(' / '),
+        children,
+        allDevices
+      }
+    });
+  } catch (error) {
+    console.error('Get device group by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const updateDeviceGroup = async (req, res) => {
+  try {
+    const group = await DeviceGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const { name, type, description, parent, devices } = req.body;
+
+    if (type !== undefined && type !== group.type) {
+      const childCount = await DeviceGroup.countDocuments({ parent: group._id });
+      if (childCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the type of a group that has nested groups'
+        });
+      }
+      group.type = type;
+    }
+
+    if (name !== undefined) group.name = name;
+    if (description !== undefined) group.description = description;
+    if (devices !== undefined) group.devices = devices;
+    if (parent !== undefined) group.parent = parent || null;
+
+    const moved = group.isModified('parent');
+    await group.save();
+
+    if (moved) {
+      await group.rebuildDescendantAncestors();
+    }
+
+    await group.populate([
+      { path: 'parent', select: 'name type' },
+      { path: 'devices', select: 'name deviceId location status' }
+    ]);
+
+    await logGroupAction(req, 'DEVICE_GROUP_UPDATE', group, {
+      updatedFields: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      data: group,
+      message: 'Device group updated successfully'
+    });
+  } catch (error) {
+    console.error('Update device group error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000
+        ? 'A group with this name already exists under the same parent'
+        : error.message
+    });
+  }
+};
+
+const deleteDeviceGroup = async (req, res) => {
+  try {
+    const group = await DeviceGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    const childCount = await DeviceGroup.countDocuments({ parent: group._id });
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete or move the nested groups first'
+      });
+    }
+
+    await DeviceGroup.findByIdAndDelete(group._id);
+
+    // Drop the group from schedules that targeted it, recording a revision for each
+    const affected = await Schedule.find({ deviceGroups: group._id });
+    for (const schedule of affected) {
+      await ScheduleRevision.ensureBaseline(schedule);
+    }
+
+    const { modifiedCount } = await Schedule.updateMany(
+      { deviceGroups: group._id },
+      { $pull: { deviceGroups: group._id } }
+    );
+
+    const updated = await Schedule.find({ _id: { $in: affected.map(schedule => schedule._id) } });
+    for (const schedule of updated) {
+      await ScheduleRevision.record(schedule, {
+        action: 'update',
+        author: req.user._id,
+        note: `Device group "${group.name}" was deleted`
+      });
+    }
+
+    await logGroupAction(req, 'DEVICE_GROUP_DELETE', group, { schedulesUpdated: modifiedCount });
+
+    res.json({
+      success: true,
+      message: 'Device group deleted successfully',
+      data: { id: group._id, name: group.name, schedulesUpdated: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete device group error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const addDevicesToGroup = async (req, res) => {
+  try {
+    const { deviceIds = [] } = req.body;
+
+    const found = await Device.countDocuments({ _id: { $in: deviceIds } });
+    if (found !== deviceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some devices were not found'
+      });
+    }
+
+    const group = await DeviceGroup.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { devices: { $each: deviceIds } } },
+      { new: true }
+    ).populate('devices', 'name deviceId location status');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    await logGroupAction(req, 'DEVICE_GROUP_UPDATE', group, { addedDevices: deviceIds });
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    console.error('Add devices to group error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const removeDeviceFromGroup = async (req, res) => {
+  try {
+    const group = await DeviceGroup.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { devices: req.params.deviceId } },
+      { new: true }
+    ).populate('devices', 'name deviceId location status');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device group not found'
+      });
+    }
+
+    await logGroupAction(req, 'DEVICE_GROUP_UPDATE', group, { removedDevice: req.params.deviceId });
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    console.error('Remove device from group error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createDeviceGroup,
+  getDeviceGroups,
+  getDeviceGroupById,
+  updateDeviceGroup,
+  deleteDeviceGroup,
+  addDevicesToGroup,
+  removeDeviceFromGroup
+};
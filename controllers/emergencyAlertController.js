@@ -0,0 +1,389 @@
+// controllers/emergencyAlertController.js
+const EmergencyAlert = require('../models/EmergencyAlert');
+const Content = require('../models/Content');
+const AuditLog = require('../models/AuditLog');
+const { parseCapMessage } = require('../services/capParser');
+const { withMediaUrls } = require('../services/mediaUrls');
+
+const ALERT_POPULATE = [
+  { path: 'content', select: 'title type duration filePath url htmlContent mimeType' },
+  { path: 'targets.devices', select: 'name deviceId location status' },
+  { path: 'targets.deviceGroups', select: 'name type' },
+  { path: 'createdBy', select: 'name email role' },
+  { path: 'clearedBy', select: 'name email role' }
+];
+
+// CAP has an Unknown severity; treat it as moderate rather than ignore the alert
+const CAP_SEVERITY = { Extreme: 'extreme', Severe: 'severe', Moderate: 'moderate', Minor: 'minor', Unknown: 'moderate' };
+
+// CAP statuses that go on screen; Test, System and Draft messages are only acknowledged
+const DISPLAYED_CAP_STATUSES = ['Actual', 'Exercise'];
+
+const truncate = (value, length) => (value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+// <info> blocks in CAP_LANGUAGE (default "en"), or else those in the first block's language,
+// so multilingual messages do not put the same alert on screen twice
+const selectCapInfos = (infos) => {
+  const preferred = (process.env.CAP_LANGUAGE || 'en').toLowerCase();
+  const indexed = infos.map((info, index) => ({ info, index }));
+
+  const matching = indexed.filter(({ info }) => info.language.toLowerCase().startsWith(preferred));
+  if (matching.length > 0) {
+    return matching;
+  }
+  return indexed.filter(({ info }) => info.language === infos[0].language);
+};
+
+// Area descriptions and geocode values are matched against device locations
+const capAreaLocations = (info) => [...new Set(
+  info.areas.flatMap(area => [area.description, ...area.geocodes.map(geocode => geocode.value)])
+)];
+
+const buildCapAlert = (cap, info, infoIndex, user) => {
+  const heading = info.headline || info.event;
+
+  return {
+    title: truncate(cap.status === 'Exercise' ? `[Exercise] ${heading}` : heading, 200),
+    message: truncate([info.description, info.instruction].filter(Boolean).join('\n\n') || heading, 2000),
+    severity: CAP_SEVERITY[info.severity],
+    // No <area> means the whole audience of the sender: every screen
+    targets: {
+      devices: [],
+      deviceGroups: [],
+      locations: capAreaLocations(info)
+    },
+    startsAt: new Date(),
+    expiresAt: info.expires || null,
+    source: 'cap',
+    cap: {
+      identifier: cap.identifier,
+      sender: cap.sender,
+      sent: cap.sent,
+      msgType: cap.msgType,
+      status: cap.status,
+      event: info.event,
+      urgency: info.urgency,
+      certainty: info.certainty,
+      infoIndex
+    },
+    createdBy: user._id
+  };
+};
+
+const logAlertAction = (req, action, alert, details = {}) =>
+  AuditLog.create({
+    action,
+    userId: req.user._id,
+    targetId: alert._id.toString(),
+    targetType: 'EMERGENCY_ALERT',
+    details: {
+      title: alert.title,
+      severity: alert.severity,
+      ...details
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: action === 'EMERGENCY_ALERT_CREATE' ? 'HIGH' : 'MEDIUM'
+  }).catch(error => console.error('Failed to log emergency alert action:', error));
+
+// Post an alert; it preempts schedules on the targeted screens immediately
+const createAlert = async (req, res) => {
+  try {
+    const { title, message, severity, contentId, targets = {}, expiresAt } = req.body;
+
+    if (contentId) {
+      const content = await Content.findOne({ _id: contentId, status: 'approved' });
+      if (!content) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alert content was not found or is not approved'
+        });
+      }
+    }
+
+    const alert = await EmergencyAlert.create({
+      title,
+      message,
+      severity,
+      content: contentId || null,
+      targets: {
+        devices: targets.devices || [],
+        deviceGroups: targets.deviceGroups || [],
+        locations: targets.locations || []
+      },
+      startsAt: new Date(),
+      expiresAt: expiresAt || null,
+      createdBy: req.user._id
+    });
+
+    const service = req.app.get('emergencyAlertService');
+    const reached = service ? await service.activate(alert) : 0;
+
+    await logAlertAction(req, 'EMERGENCY_ALERT_CREATE', alert, {
+      message: alert.message,
+      global: EmergencyAlert.isGlobal(alert),
+      targets: alert.targets,
+      expiresAt: alert.expiresAt,
+      devicesReached: reached
+    });
+
+    await alert.populate(ALERT_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: alert,
+      message: 'Emergency alert is now in effect'
+    });
+  } catch (error) {
+    console.error('Create emergency alert error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getAlerts = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [alerts, total] = await Promise.all([
+      EmergencyAlert.find(filter)
+        .populate(ALERT_POPULATE)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      EmergencyAlert.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: alerts,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get emergency alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Alerts in effect right now, most important first
+const getActiveAlerts = async (req, res) => {
+  try {
+    const alerts = (await EmergencyAlert.findActive())
+      .map(alert => ({ ...alert, content: withMediaUrls(alert.content) }));
+
+    res.json({
+      success: true,
+      data: alerts,
+      count: alerts.length
+    });
+  } catch (error) {
+    console.error('Get active emergency alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getAlertById = async (req, res) => {
+  try {
+    const alert = await EmergencyAlert.findById(req.params.id).populate(ALERT_POPULATE);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    console.error('Get emergency alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// End an alert before its expiry; screens fall back to their schedules
+const clearAlert = async (req, res) => {
+  try {
+    // The alert may have expired or been cleared already
+    const alert = await EmergencyAlert.clear(req.params.id, req.user._id, req.body.reason);
+
+    if (!alert) {
+      const existing = await EmergencyAlert.findById(req.params.id).select('status');
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? `Emergency alert is already ${existing.status}` : 'Emergency alert not found'
+      });
+    }
+
+    const service = req.app.get('emergencyAlertService');
+    if (service) {
+      await service.end(alert, 'cleared');
+    }
+
+    await logAlertAction(req, 'EMERGENCY_ALERT_CLEAR', alert, {
+      reason: alert.clearReason,
+      activeFor: Math.round((alert.clearedAt - alert.startsAt) / 1000)
+    });
+
+    await alert.populate(ALERT_POPULATE);
+
+    res.json({
+      success: true,
+      data: alert,
+      message: 'Emergency alert cleared'
+    });
+  } catch (error) {
+    console.error('Clear emergency alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Receive a CAP 1.2 message (e.g. from the building management system).
+// Alert messages put their <info> blocks on screen; Update messages replace
+// the alerts they reference and Cancel messages end them.
+const ingestCapAlert = async (req, res) => {
+  try {
+    const cap = parseCapMessage(req.body);
+    const result = {
+      identifier: cap.identifier,
+      sender: cap.sender,
+      msgType: cap.msgType,
+      status: cap.status,
+      created: [],
+      ended: [],
+      skipped: []
+    };
+
+    if (!DISPLAYED_CAP_STATUSES.includes(cap.status) || !['Alert', 'Update', 'Cancel'].includes(cap.msgType)) {
+      return res.json({
+        success: true,
+        data: result,
+        message: `CAP ${cap.status} ${cap.msgType} message accepted; nothing to display`
+      });
+    }
+
+    if (cap.msgType !== 'Alert' && cap.references.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `CAP ${cap.msgType} messages must reference the alerts they replace`
+      });
+    }
+
+    // Senders retry deliveries; a message is only ever applied once
+    const alreadyIngested = await EmergencyAlert.exists({ 'cap.sender': cap.sender, 'cap.identifier': cap.identifier });
+    if (alreadyIngested) {
+      return res.json({
+        success: true,
+        data: { ...result, duplicate: true },
+        message: 'CAP message was already processed'
+      });
+    }
+
+    const referenced = cap.references.length > 0
+      ? await EmergencyAlert.find({
+          $or: cap.references.map(reference => ({ 'cap.sender': reference.sender, 'cap.identifier': reference.identifier }))
+        })
+      : [];
+
+    if (cap.msgType === 'Cancel' && referenced.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'None of the referenced CAP alerts are known'
+      });
+    }
+
+    const service = req.app.get('emergencyAlertService');
+    const now = new Date();
+
+    // New alerts go up before the ones they replace come down, so screens never fall back in between
+    if (cap.msgType !== 'Cancel') {
+      for (const { info, index } of selectCapInfos(cap.infos)) {
+        if (info.expires && info.expires <= now) {
+          result.skipped.push({ infoIndex: index, reason: 'already expired' });
+          continue;
+        }
+
+        const alert = await EmergencyAlert.create(buildCapAlert(cap, info, index, req.user));
+        const reached = service ? await service.activate(alert) : 0;
+
+        await logAlertAction(req, 'EMERGENCY_ALERT_CREATE', alert, {
+          message: alert.message,
+          source: 'cap',
+          capIdentifier: cap.identifier,
+          capSender: cap.sender,
+          capMsgType: cap.msgType,
+          locations: alert.targets.locations,
+          expiresAt: alert.expiresAt,
+          devicesReached: reached
+        });
+
+        result.created.push(alert);
+      }
+    }
+
+    const reason = `${cap.msgType === 'Cancel' ? 'Cancelled' : 'Updated'} by CAP message ${cap.identifier}`;
+    for (const previous of referenced) {
+      const alert = await EmergencyAlert.clear(previous._id, req.user._id, reason);
+      if (!alert) continue;
+
+      if (service) {
+        await service.end(alert, 'cleared');
+      }
+      await logAlertAction(req, 'EMERGENCY_ALERT_CLEAR', alert, {
+        reason,
+        source: 'cap',
+        capIdentifier: cap.identifier,
+        activeFor: Math.round((alert.clearedAt - alert.startsAt) / 1000)
+      });
+
+      result.ended.push(alert._id);
+    }
+
+    res.status(result.created.length > 0 ? 201 : 200).json({
+      success: true,
+      data: result,
+      message: `CAP ${cap.msgType} processed: ${result.created.length} alert(s) shown, ${result.ended.length} ended`
+    });
+  } catch (error) {
+    console.error('CAP ingestion error:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createAlert,
+  getAlerts,
+  getActiveAlerts,
+  getAlertById,
+  clearAlert,
+  ingestCapAlert
+};
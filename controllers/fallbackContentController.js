@@ -0,0 +1,293 @@
+// controllers/fallbackContentController.js
+const FallbackContent = require('../models/FallbackContent');
+const Content = require('../models/Content');
+const Device = require('../models/Device');
+const AuditLog = require('../models/AuditLog');
+const { buildFallbackState } = require('../services/playlistEngine');
+
+const FALLBACK_POPULATE = [
+  { path: 'content.contentId', select: 'title type duration filePath url htmlContent mimeType status' },
+  { path: 'device', select: 'name deviceId location status' },
+  { path: 'createdBy', select: 'name email role' },
+  { path: 'updatedBy', select: 'name email role' }
+];
+
+// Normalize `content` items or plain `contentIds`, as schedules accept them
+const buildContentArray = (body) => {
+  if (Array.isArray(body.content)) {
+    return body.content.map((item, index) => ({
+      contentId: item.contentId || item,
+      order: item.order !== undefined ? item.order : index,
+      customDuration: item.customDuration
+    }));
+  }
+  return (body.contentIds || []).map((contentId, index) => ({ contentId, order: index }));
+};
+
+// Fallback content has to be playable, so every item must be approved
+const findUnapprovedContent = async (contentArray) => {
+  const ids = contentArray.map(item => item.contentId.toString());
+  const approved = await Content.find({ _id: { $in: ids }, status: 'approved' }).select('_id');
+  const approvedIds = new Set(approved.map(content => content._id.toString()));
+  return ids.filter(id => !approvedIds.has(id));
+};
+
+const logFallbackAction = (req, action, fallback, details = {}) =>
+  AuditLog.create({
+    action,
+    userId: req.user._id,
+    targetId: fallback._id.toString(),
+    targetType: 'FALLBACK_CONTENT',
+    details: {
+      name: fallback.name,
+      level: fallback.level,
+      location: fallback.location,
+      device: fallback.device,
+      ...details
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: action === 'FALLBACK_CONTENT_DELETE' ? 'MEDIUM' : 'LOW'
+  }).catch(error => console.error('Failed to log fallback content action:', error));
+
+// Screens currently on fallback content pick up the change right away
+const refreshScreens = (req) => {
+  const contentService = req.app.get('contentService');
+  if (contentService) {
+    contentService.broadcastCurrentContent()
+      .catch(error => console.error('Failed to broadcast fallback content change:', error));
+  }
+};
+
+const duplicateMessage = (fallback) => {
+  if (fallback.level === 'device') return 'This device already has fallback content';
+  if (fallback.level === 'location') return `Location "${fallback.location}" already has fallback content`;
+  return 'Global fallback content already exists';
+};
+
+const getFallbackContent = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.level) filter.level = req.query.level;
+
+    const fallbacks = await FallbackContent.find(filter)
+      .populate(FALLBACK_POPULATE)
+      .sort({ level: 1, location: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: fallbacks,
+      count: fallbacks.length
+    });
+  } catch (error) {
+    console.error('Get fallback content error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const getFallbackContentById = async (req, res) => {
+  try {
+    const fallback = await FallbackContent.findById(req.params.id).populate(FALLBACK_POPULATE);
+
+    if (!fallback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fallback content not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: fallback
+    });
+  } catch (error) {
+    console.error('Get fallback content error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Which fallback a device (or, without `deviceId`, a plain viewer) would show
+const resolveFallbackContent = async (req, res) => {
+  try {
+    let device = null;
+    if (req.query.deviceId) {
+      device = await Device.findOne({ deviceId: req.query.deviceId });
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+    }
+
+    const fallback = await FallbackContent.resolveFor(device);
+
+    res.json({
+      success: true,
+      data: fallback ? buildFallbackState(fallback) : null,
+      device: device ? { _id: device._id, deviceId: device.deviceId, name: device.name, location: device.location } : null,
+      message: fallback ? `Resolved to ${fallback.level} fallback content` : 'No fallback content applies'
+    });
+  } catch (error) {
+    console.error('Resolve fallback content error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const createFallbackContent = async (req, res) => {
+  try {
+    const contentArray = buildContentArray(req.body);
+
+    const unapproved = await findUnapprovedContent(contentArray);
+    if (unapproved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fallback content must be approved',
+        invalidContent: unapproved
+      });
+    }
+
+    const fallback = new FallbackContent({
+      name: req.body.name,
+      level: req.body.level,
+      location: req.body.location,
+      device: req.body.device,
+      content: contentArray,
+      isActive: req.body.isActive !== undefined ? req.body.isActive : true,
+      createdBy: req.user._id
+    });
+
+    // Validation clears the location/device fields the level does not use
+    await fallback.validate();
+
+    const existing = await FallbackContent.findOne({
+      level: fallback.level,
+      location: fallback.location,
+      device: fallback.device
+    }).collation(FallbackContent.LOCATION_COLLATION);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateMessage(fallback),
+        existingId: existing._id
+      });
+    }
+
+    await fallback.save();
+    await logFallbackAction(req, 'FALLBACK_CONTENT_CREATE', fallback, {
+      contentCount: fallback.content.length
+    });
+    refreshScreens(req);
+
+    await fallback.populate(FALLBACK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: fallback,
+      message: 'Fallback content created'
+    });
+  } catch (error) {
+    console.error('Create fallback content error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// The level, location and device are fixed; create a new entry to move fallback content elsewhere
+const updateFallbackContent = async (req, res) => {
+  try {
+    const fallback = await FallbackContent.findById(req.params.id);
+
+    if (!fallback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fallback content not found'
+      });
+    }
+
+    if (req.body.content || req.body.contentIds) {
+      const contentArray = buildContentArray(req.body);
+      const unapproved = await findUnapprovedContent(contentArray);
+      if (unapproved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Fallback content must be approved',
+          invalidContent: unapproved
+        });
+      }
+      fallback.content = contentArray;
+    }
+
+    if (req.body.name !== undefined) fallback.name = req.body.name;
+    if (req.body.isActive !== undefined) fallback.isActive = req.body.isActive;
+    fallback.updatedBy = req.user._id;
+
+    await fallback.save();
+    await logFallbackAction(req, 'FALLBACK_CONTENT_UPDATE', fallback, {
+      contentCount: fallback.content.length,
+      isActive: fallback.isActive
+    });
+    refreshScreens(req);
+
+    await fallback.populate(FALLBACK_POPULATE);
+
+    res.json({
+      success: true,
+      data: fallback,
+      message: 'Fallback content updated'
+    });
+  } catch (error) {
+    console.error('Update fallback content error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const deleteFallbackContent = async (req, res) => {
+  try {
+    const fallback = await FallbackContent.findByIdAndDelete(req.params.id);
+
+    if (!fallback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fallback content not found'
+      });
+    }
+
+    await logFallbackAction(req, 'FALLBACK_CONTENT_DELETE', fallback);
+    refreshScreens(req);
+
+    res.json({
+      success: true,
+      message: 'Fallback content deleted'
+    });
+  } catch (error) {
+    console.error('Delete fallback content error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFallbackContent,
+  getFallbackContentById,
+  resolveFallbackContent,
+  createFallbackContent,
+  updateFallbackContent,
+  deleteFallbackContent
+};
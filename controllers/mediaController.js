@@ -0,0 +1,130 @@
+// controllers/mediaController.js - Serves stored media to holders of a signed URL
+const path = require('path');
+const { pipeline } = require('stream');
+const MediaAsset = require('../models/MediaAsset');
+const Content = require('../models/Content');
+const { storageFor, mediaTypeFor } = require('../services/mediaStore');
+const { publicPathFor, assertSafeKey, StorageError } = require('../services/storage');
+const { verifyMediaUrl } = require('../services/mediaUrls');
+
+const MEDIA_FIELDS = 'storageDriver fileSize checksum createdAt';
+
+// The record that says where "uploads/<key>" is stored; files from before
+// deduplication are only known to their Content, thumbnails to theirs
+const findMediaRecord = async (filePath) => {
+  const asset = await MediaAsset.findOne({ filePath }).select(MEDIA_FIELDS).lean();
+  if (asset) return asset;
+
+  const content = await Content.findOne({ filePath }).select(MEDIA_FIELDS).lean();
+  if (content) return content;
+
+  const owner = await Content.findOne({ 'thumbnail.path': filePath }).select('thumbnail processing.processedAt').lean();
+  if (!owner) return null;
+  return {
+    storageDriver: owner.thumbnail.storageDriver,
+    fileSize: owner.thumbnail.size,
+    checksum: null,
+    createdAt: owner.processing && owner.processing.processedAt
+  };
+};
+
+// If-Range: only resume a download of the same file, otherwise send it whole
+const rangeAllowed = (req, etag, lastModified) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return etag !== null && ifRange === etag;
+  }
+  return lastModified !== null && Date.parse(ifRange) >= Math.floor(lastModified.getTime() / 1000) * 1000;
+};
+
+// GET/HEAD /uploads/<key>?expires=&signature= (single byte ranges supported for seeking)
+const serveMedia = async (req, res) => {
+  try {
+    const key = [].concat(req.params.key).join('/');
+    assertSafeKey(key);
+    const expiresAt = verifyMediaUrl(key, req.query);
+
+    const record = await findMediaRecord(publicPathFor(key));
+    if (!record) {
+      throw new StorageError('File not found', 404);
+    }
+
+    const storage = storageFor(record);
+    let size = record.fileSize;
+    if (!Number.isInteger(size)) {
+      const stats = await storage.stat(key);
+      if (!stats) {
+        throw new StorageError('File not found', 404);
+      }
+      size = stats.size;
+    }
+
+    // Keys are never reused, so a stored file never changes while its URL is valid
+    const etag = record.checksum ? `"${record.checksum}"` : null;
+    const lastModified = record.createdAt ? new Date(record.createdAt) : null;
+    const maxAge = Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      // no-transform keeps compression away from byte ranges
+      'Cache-Control': `private, max-age=${maxAge}, no-transform`
+    });
+    if (etag) res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let range = null;
+    if (req.get('Range') && rangeAllowed(req, etag, lastModified)) {
+      const ranges = req.range(size, { combine: true });
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        throw new StorageError('Requested range not satisfiable', 416);
+      }
+      // Malformed headers are ignored and several ranges get the whole file
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    const object = await storage.get(key, range ? { start: range.start, end: range.end } : {});
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+    // The type comes from the key's (allowlisted) extension; what the uploader
+    // declared is never echoed, so nothing stored can be served as a page
+    res.set({
+      'Content-Type': mediaTypeFor(key) || 'application/octet-stream',
+      'Content-Length': String(object.size),
+      'Content-Disposition': `inline; filename="${path.posix.basename(key)}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    if (req.method === 'HEAD') {
+      object.stream.destroy();
+      return res.end();
+    }
+
+    pipeline(object.stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Serve media stream error:', error);
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      console.error('Serve media error:', error);
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  serveMedia
+};
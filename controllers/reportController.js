@@ -0,0 +1,204 @@
+// controllers/reportController.js
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const PlayEvent = require('../models/PlayEvent');
+const Device = require('../models/Device');
+
+const GROUP_DIMENSIONS = ['content', 'device', 'schedule', 'day'];
+
+// Quote a value for CSV output
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(column => csvValue(column.header)).join(','),
+  ...rows.map(row => columns.map(column => csvValue(column.value(row))).join(','))
+].join('\r\n');
+
+// ISO 8601 dates without a time part ("2026-10-19") name a whole day
+const isDateOnly = (value) => !/[T\s]/i.test(value);
+
+// Aggregate play counts and on-screen seconds per content, device, schedule and day
+const getProofOfPlay = async (req, res) => {
+  try {
+    const timezone = req.query.timezone || 'Asia/Kolkata';
+    if (!moment.tz.zone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid timezone: ${timezone}`
+      });
+    }
+
+    const groupBy = (req.query.groupBy || GROUP_DIMENSIONS.join(','))
+      .split(',')
+      .map(dimension => dimension.trim())
+      .filter(Boolean);
+
+    const unknown = groupBy.filter(dimension => !GROUP_DIMENSIONS.includes(dimension));
+    if (unknown.length || !groupBy.length) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be a comma-separated list of: ${GROUP_DIMENSIONS.join(', ')}`
+      });
+    }
+
+    // Default to the last 7 days; a date-only `to` includes that whole day
+    const toDateOnly = Boolean(req.query.to) && isDateOnly(req.query.to);
+    const to = req.query.to ? moment.tz(req.query.to, timezone) : moment.tz(timezone);
+    const from = req.query.from
+      ? moment.tz(req.query.from, timezone)
+      : to.clone().subtract(toDateOnly ? 6 : 7, 'days');
+    if (toDateOnly) to.endOf('day');
+
+    if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    const match = { startedAt: { $gte: from.toDate(), $lte: to.toDate() } };
+    for (const [param, field] of [['contentId', 'content'], ['scheduleId', 'schedule']]) {
+      if (req.query[param]) {
+        if (!mongoose.isValidObjectId(req.query[param])) {
+          return res.status(400).json({ success: false, message: `Invalid ${param}` });
+        }
+        match[field] = new mongoose.Types.ObjectId(req.query[param]);
+      }
+    }
+    // Devices are named by their deviceId, as everywhere else in the API
+    if (req.query.deviceId) {
+      const device = await Device.findOne({ deviceId: req.query.deviceId }).select('_id');
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+      match.device = device._id;
+    }
+    if (req.query.status) match.status = req.query.status;
+
+    const groupId = {};
+    if (groupBy.includes('content')) groupId.content = '$content';
+    if (groupBy.includes('device')) groupId.device = '$device';
+    if (groupBy.includes('schedule')) groupId.schedule = '$schedule';
+    if (groupBy.includes('day')) {
+      groupId.day = { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone } };
+    }
+
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: groupId,
+          plays: { $sum: 1 },
+          completedPlays: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          onScreenSeconds: { $sum: '$duration' },
+          firstPlayedAt: { $min: '$startedAt' },
+          lastPlayedAt: { $max: '$endedAt' }
+        }
+      }
+    ];
+
+    // Resolve names for the grouped references
+    const lookups = [
+      ['content', 'contents', 'title'],
+      ['device', 'devices', 'name'],
+      ['schedule', 'schedules', 'name']
+    ];
+    for (const [dimension, collection, field] of lookups) {
+      if (!groupBy.includes(dimension)) continue;
+      pipeline.push(
+        {
+          $lookup: {
+            from: collection,
+            localField: `_id.${dimension}`,
+            foreignField: '_id',
+            as: `${dimension}Info`,
+            pipeline: [{ $project: { [field]: 1, ...(dimension === 'device' && { deviceId: 1 }) } }]
+          }
+        },
+        { $unwind: { path: `$${dimension}Info`, preserveNullAndEmptyArrays: true } }
+      );
+    }
+
+    pipeline.push({ $sort: { '_id.day': 1, plays: -1 } });
+
+    const results = await PlayEvent.aggregate(pipeline);
+
+    const rows = results.map(result => ({
+      ...(groupBy.includes('day') && { day: result._id.day }),
+      ...(groupBy.includes('content') && {
+        contentId: result._id.content,
+        contentTitle: result.contentInfo?.title || null
+      }),
+      ...(groupBy.includes('device') && {
+        deviceObjectId: result._id.device,
+        deviceId: result.deviceInfo?.deviceId || null,
+        deviceName: result.deviceInfo?.name || null
+      }),
+      ...(groupBy.includes('schedule') && {
+        scheduleId: result._id.schedule,
+        scheduleName: result.scheduleInfo?.name || null
+      }),
+      plays: result.plays,
+      completedPlays: result.completedPlays,
+      onScreenSeconds: Math.round(result.onScreenSeconds * 100) / 100,
+      firstPlayedAt: result.firstPlayedAt,
+      lastPlayedAt: result.lastPlayedAt
+    }));
+
+    if (req.query.format === 'csv') {
+      const columns = [
+        ...(groupBy.includes('day') ? [{ header: 'Day', value: r => r.day }] : []),
+        ...(groupBy.includes('content') ? [
+          { header: 'Content ID', value: r => r.contentId },
+          { header: 'Content', value: r => r.contentTitle }
+        ] : []),
+        ...(groupBy.includes('device') ? [
+          { header: 'Device ID', value: r => r.deviceId },
+          { header: 'Device', value: r => r.deviceName }
+        ] : []),
+        ...(groupBy.includes('schedule') ? [
+          { header: 'Schedule ID', value: r => r.scheduleId },
+          { header: 'Schedule', value: r => r.scheduleName }
+        ] : []),
+        { header: 'Plays', value: r => r.plays },
+        { header: 'Completed Plays', value: r => r.completedPlays },
+        { header: 'On-screen Seconds', value: r => r.onScreenSeconds },
+        { header: 'First Played At', value: r => r.firstPlayedAt },
+        { header: 'Last Played At', value: r => r.lastPlayedAt }
+      ];
+
+      const filename = `proof-of-play-${from.format('YYYYMMDD')}-${to.format('YYYYMMDD')}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(columns, rows));
+    }
+
+    res.json({
+      success: true,
+      data: rows,
+      totals: {
+        plays: rows.reduce((sum, row) => sum + row.plays, 0),
+        onScreenSeconds: Math.round(rows.reduce((sum, row) => sum + row.onScreenSeconds, 0) * 100) / 100
+      },
+      range: { from: from.format(), to: to.format(), timezone },
+      groupBy
+    });
+  } catch (error) {
+    console.error('Proof of play report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProofOfPlay
+};
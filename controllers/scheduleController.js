@@ -1,8 +1,97 @@
 // controllers/scheduleController.js - CORRECTED VERSION WITH FIXED SYNTAX
 const Schedule = require('../models/Schedule');
 const Content = require('../models/Content');
+const Device = require('../models/Device');
 const moment = require('moment-timezone');
 const AuditLog = require('../models/AuditLog');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const FallbackContent = require('../models/FallbackContent');
+const ScheduleRevision = require('../models/ScheduleRevision');
+const { buildPlaybackState, buildEmergencyState, buildFallbackState, buildPlaySequence } = require('../services/playlistEngine');
+const { findConflicts } = require('../services/scheduleConflicts');
+const { buildTimeline, MAX_TIMELINE_DAYS } = require('../services/scheduleTimeline');
+const { getCampaignInjections } = require('../services/campaignPacing');
+const { withMediaUrls } = require('../services/mediaUrls');
+
+// Normalize the content list sent as `content` items or plain `contentIds`
+const buildContentArray = (body) => {
+  if (body.content && Array.isArray(body.content)) {
+    return body.content.map((item, index) => ({
+      contentId: item.contentId || item,
+      order: item.order !== undefined ? item.order : index,
+      customDuration: item.customDuration || 10,
+      weight: item.weight,
+      maxPlaysPerHour: item.maxPlaysPerHour
+    }));
+  }
+
+  if (body.contentIds && Array.isArray(body.contentIds)) {
+    // Handle contentIds array from frontend form
+    return body.contentIds.map((id, index) => ({
+      contentId: id,
+      order: index,
+      customDuration: 10
+    }));
+  }
+
+  return [];
+};
+
+const SCHEDULE_POPULATE = [
+  { path: 'content.contentId', select: 'title type duration filePath url htmlContent mimeType' },
+  { path: 'devices', select: 'name deviceId location status' },
+  { path: 'deviceGroups', select: 'name type' },
+  { path: 'createdBy', select: 'name email role' }
+];
+
+// Reviewed schedules edited by anyone but an admin go back to draft for another review
+const workflowResetFor = (user, schedule) => (
+  user.role !== 'ADMIN' && schedule.getWorkflowState() !== 'draft'
+    ? { workflowState: 'draft', unpublishAt: null }
+    : null
+);
+
+// Tell admin screens and viewers a schedule changed
+const emitScheduleUpdated = (req, schedule, message) => {
+  const io = req.app.get('socketio');
+  if (!io) return;
+
+  io.emit('schedule-updated', {
+    schedule: schedule,
+    message,
+    timestamp: new Date()
+  });
+
+  io.emit('content-refresh', {
+    message: 'Schedule updated, checking for new content',
+    timestamp: new Date()
+  });
+};
+
+const buildScheduleData = (body, contentArray, user) => ({
+  name: body.name?.trim(),
+  description: body.description?.trim() || '',
+  content: contentArray,
+  devices: body.devices || [],
+  deviceGroups: body.deviceGroups || [],
+  startDate: body.startDate,
+  endDate: body.endDate,
+  startTime: body.startTime,
+  endTime: body.endTime,
+  timezone: body.timezone || 'Asia/Kolkata',
+  timeMode: body.timeMode || 'fixed',
+  playlistMode: body.playlistMode || 'sequential',
+  repeat: body.repeat || 'none',
+  weekDays: body.repeat === 'weekly' ? (body.weekDays || []) : [],
+  rrule: body.repeat === 'custom' ? body.rrule : undefined,
+  exdates: body.exdates || [],
+  priority: Math.min(Math.max(parseInt(body.priority) || 1, 1), 10),
+  isActive: body.isActive !== undefined ? body.isActive : true,
+  // Nothing goes on air until it has been reviewed and published
+  workflowState: 'draft',
+  createdBy: user._id,
+  originalTimezone: body.timezone || 'Asia/Kolkata'
+});
 
 // Enhanced schedule creation with new fields support
 const createSchedule = async (req, res) => {
@@ -10,40 +99,10 @@ const createSchedule = async (req, res) => {
     console.log('Creating schedule with data:', req.body);
     
     // Extract and validate the content array structure
-    let contentArray = [];
-    if (req.body.content && Array.isArray(req.body.content)) {
-      contentArray = req.body.content.map((item, index) => ({
-        contentId: item.contentId || item,
-        order: item.order !== undefined ? item.order : index,
-        customDuration: item.customDuration || 10
-      }));
-    } else if (req.body.contentIds && Array.isArray(req.body.contentIds)) {
-      // Handle contentIds array from frontend form
-      contentArray = req.body.contentIds.map((id, index) => ({
-        contentId: id,
-        order: index,
-        customDuration: 10
-      }));
-    }
+    const contentArray = buildContentArray(req.body);
 
     // Prepare enhanced schedule data with all new fields
-    const scheduleData = {
-      name: req.body.name?.trim(),
-      description: req.body.description?.trim() || '',
-      content: contentArray,
-      devices: req.body.devices || [],
-      startDate: req.body.startDate,
-      endDate: req.body.endDate,
-      startTime: req.body.startTime,
-      endTime: req.body.endTime,
-      timezone: req.body.timezone || 'Asia/Kolkata',
-      repeat: req.body.repeat || 'none',
-      weekDays: req.body.repeat === 'weekly' ? (req.body.weekDays || []) : [],
-      priority: Math.min(Math.max(parseInt(req.body.priority) || 1, 1), 10),
-      isActive: req.body.isActive !== undefined ? req.body.isActive : true,
-      createdBy: req.user._id,
-      originalTimezone: req.body.timezone || 'Asia/Kolkata'
-    };
+    const scheduleData = buildScheduleData(req.body, contentArray, req.user);
 
     console.log('Processed schedule data:', scheduleData);
 
@@ -65,13 +124,11 @@ const createSchedule = async (req, res) => {
 
     // Create the schedule
     const schedule = await Schedule.create(scheduleData);
+    const { revision } = await ScheduleRevision.record(schedule, { action: 'create', author: req.user._id });
+    const conflicts = await findConflicts(schedule);
     
     // Populate the created schedule
-    await schedule.populate([
-      { path: 'content.contentId', select: 'title type duration filePath url htmlContent mimeType' },
-      { path: 'devices', select: 'name deviceId location status' },
-      { path: 'createdBy', select: 'name email role' }
-    ]);
+    await schedule.populate(SCHEDULE_POPULATE);
 
     // FIXED: Log schedule creation with proper targetId conversion
     await AuditLog.create({
@@ -83,7 +140,9 @@ const createSchedule = async (req, res) => {
         scheduleName: schedule.name,
         timezone: schedule.timezone,
         repeat: schedule.repeat,
-        priority: schedule.priority
+        priority: schedule.priority,
+        revision: revision.revision,
+        conflicts: conflicts.map(c => c.scheduleId.toString())
       },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
@@ -107,7 +166,11 @@ const createSchedule = async (req, res) => {
     res.status(201).json({ 
       success: true, 
       data: schedule,
-      message: 'Schedule created successfully'
+      revision: revision.revision,
+      conflicts,
+      message: conflicts.length
+        ? `Schedule created with ${conflicts.length} conflict(s)`
+        : 'Schedule created as a draft'
     });
 
   } catch (error) {
@@ -151,6 +214,9 @@ const getSchedules = async (req, res) => {
     if (req.query.deviceId) {
       filter.devices = req.query.deviceId;
     }
+    if (req.query.deviceGroup) {
+      filter.deviceGroups = req.query.deviceGroup;
+    }
     if (req.query.timezone) {
       filter.timezone = req.query.timezone;
     }
@@ -160,6 +226,12 @@ const getSchedules = async (req, res) => {
     if (req.query.priority) {
       filter.priority = parseInt(req.query.priority);
     }
+    if (req.query.workflowState) {
+      // Schedules from before the workflow count as published
+      filter.workflowState = req.query.workflowState === 'published'
+        ? { $in: ['published', null] }
+        : req.query.workflowState;
+    }
     if (req.query.search) {
       filter.$or = [
         { name: { $regex: req.query.search, $options: 'i' } },
@@ -176,6 +248,7 @@ const getSchedules = async (req, res) => {
           match: { status: 'approved' }
         },
         { path: 'devices', select: 'name deviceId location status' },
+        { path: 'deviceGroups', select: 'name type' },
         { path: 'createdBy', select: 'name email role' }
       ])
       .sort({ priority: -1, createdAt: -1 })
@@ -188,10 +261,12 @@ const getSchedules = async (req, res) => {
 
     // Add current status to each schedule
     const schedulesWithStatus = schedules.map(schedule => {
+      const content = schedule.content.map(item => ({ ...item, contentId: withMediaUrls(item.contentId) }));
       try {
         const scheduleDoc = new Schedule(schedule);
         return {
           ...schedule,
+          content,
           currentStatus: scheduleDoc.currentStatus,
           isCurrentlyActive: scheduleDoc.isCurrentlyActive()
         };
@@ -199,6 +274,7 @@ const getSchedules = async (req, res) => {
         console.error('Error getting schedule status:', error);
         return {
           ...schedule,
+          content,
           currentStatus: { status: 'error', message: 'Status unavailable' },
           isCurrentlyActive: false
         };
@@ -236,6 +312,7 @@ const getScheduleById = async (req, res) => {
           select: 'title type duration filePath url htmlContent mimeType status createdAt'
         },
         { path: 'devices', select: 'name deviceId location status' },
+        { path: 'deviceGroups', select: 'name type' },
         { path: 'createdBy', select: 'name email role' }
       ]);
     
@@ -246,12 +323,30 @@ const getScheduleById = async (req, res) => {
       });
     }
 
+    // ?deviceId= evaluates the schedule as that screen sees it
+    let device = null;
+    if (req.query.deviceId) {
+      device = await Device.findOne({ deviceId: req.query.deviceId }).select('deviceId name location timezone');
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+      schedule.localizeTo(device.timezone);
+    }
+
     // Add enhanced status information
-    const scheduleData = schedule.toObject();
+    const scheduleData = schedule.toJSON();
     scheduleData.currentStatus = schedule.currentStatus;
     scheduleData.isCurrentlyActive = schedule.isCurrentlyActive();
     scheduleData.timesInIST = schedule.getTimesInIST();
+    scheduleData.effectiveTimezone = schedule.getEvaluationTimezone();
+    scheduleData.localTimes = schedule.getTimesInZone(scheduleData.effectiveTimezone);
     scheduleData.durationInMinutes = schedule.getDurationInMinutes();
+    if (device) {
+      scheduleData.device = device;
+    }
     
     res.json({ success: true, data: scheduleData });
 
@@ -270,20 +365,7 @@ const updateSchedule = async (req, res) => {
     console.log('Updating schedule with data:', req.body);
     
     // Extract and validate the content array structure
-    let contentArray = [];
-    if (req.body.content && Array.isArray(req.body.content)) {
-      contentArray = req.body.content.map((item, index) => ({
-        contentId: item.contentId || item,
-        order: item.order !== undefined ? item.order : index,
-        customDuration: item.customDuration || 10
-      }));
-    } else if (req.body.contentIds && Array.isArray(req.body.contentIds)) {
-      contentArray = req.body.contentIds.map((id, index) => ({
-        contentId: id,
-        order: index,
-        customDuration: 10
-      }));
-    }
+    const contentArray = buildContentArray(req.body);
 
     // Prepare update data
     const updateData = {
@@ -291,13 +373,18 @@ const updateSchedule = async (req, res) => {
       description: req.body.description?.trim(),
       content: contentArray,
       devices: req.body.devices,
+      deviceGroups: req.body.deviceGroups,
       startDate: req.body.startDate,
       endDate: req.body.endDate,
       startTime: req.body.startTime,
       endTime: req.body.endTime,
       timezone: req.body.timezone,
+      timeMode: req.body.timeMode,
+      playlistMode: req.body.playlistMode,
       repeat: req.body.repeat,
       weekDays: req.body.repeat === 'weekly' ? (req.body.weekDays || []) : [],
+      rrule: req.body.rrule,
+      exdates: req.body.exdates,
       priority: Math.min(Math.max(parseInt(req.body.priority) || 1, 1), 10),
       isActive: req.body.isActive
     };
@@ -325,16 +412,25 @@ const updateSchedule = async (req, res) => {
       }
     }
 
+    const existing = await Schedule.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Schedule not found' 
+      });
+    }
+
+    // Schedules saved before revisions existed keep their prior state
+    await ScheduleRevision.ensureBaseline(existing);
+
+    const workflowReset = workflowResetFor(req.user, existing);
+
     // Update the schedule
     const schedule = await Schedule.findByIdAndUpdate(
       req.params.id, 
-      updateData, 
+      { ...updateData, ...workflowReset }, 
       { new: true, runValidators: true }
-    ).populate([
-      { path: 'content.contentId', select: 'title type duration filePath url htmlContent mimeType' },
-      { path: 'devices', select: 'name deviceId location status' },
-      { path: 'createdBy', select: 'name email role' }
-    ]);
+    ).populate(SCHEDULE_POPULATE);
     
     if (!schedule) {
       return res.status(404).json({ 
@@ -343,6 +439,9 @@ const updateSchedule = async (req, res) => {
       });
     }
 
+    const { revision, changes } = await ScheduleRevision.record(schedule, { action: 'update', author: req.user._id });
+    const conflicts = await findConflicts(schedule);
+
     // FIXED: Log schedule update with proper targetId conversion
     await AuditLog.create({
       action: 'SCHEDULE_UPDATE',
@@ -351,7 +450,13 @@ const updateSchedule = async (req, res) => {
       targetType: 'SCHEDULE',
       details: { 
         scheduleName: schedule.name,
-        updatedFields: Object.keys(updateData)
+        updatedFields: Object.keys(updateData),
+        revision: revision.revision,
+        changes,
+        workflowState: workflowReset
+          ? { from: existing.getWorkflowState(), to: schedule.workflowState }
+          : undefined,
+        conflicts: conflicts.map(c => c.scheduleId.toString())
       },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
@@ -359,23 +464,20 @@ const updateSchedule = async (req, res) => {
     });
 
     // Emit real-time update if socket.io is available
-    if (req.app.get('socketio')) {
-      req.app.get('socketio').emit('schedule-updated', {
-        schedule: schedule,
-        message: `Schedule "${schedule.name}" updated`,
-        timestamp: new Date()
-      });
-
-      req.app.get('socketio').emit('content-refresh', {
-        message: 'Schedule updated, checking for new content',
-        timestamp: new Date()
-      });
-    }
+    emitScheduleUpdated(req, schedule, `Schedule "${schedule.name}" updated`);
     
     res.json({ 
       success: true, 
       data: schedule,
-      message: 'Schedule updated successfully'
+      revision: revision.revision,
+      changes,
+      conflicts,
+      message: [
+        conflicts.length
+          ? `Schedule updated with ${conflicts.length} conflict(s)`
+          : 'Schedule updated successfully',
+        workflowReset ? 'it is back in draft and needs to be reviewed again' : null
+      ].filter(Boolean).join('; ')
     });
 
   } catch (error) {
@@ -444,50 +546,68 @@ const deleteSchedule = async (req, res) => {
   }
 };
 
+// Respond with the global fallback content when no schedule can be played
+const sendFallbackContent = async (res, now, reason) => {
+  const fallback = await FallbackContent.resolveFor(null);
+
+  res.json({
+    success: true,
+    data: fallback ? buildFallbackState(fallback, now) : null,
+    message: fallback ? `${reason}; showing ${fallback.level} fallback content` : reason
+  });
+};
+
 // COMPLETELY REWRITTEN: Use enhanced schema method for current schedule
 const getCurrentScheduleForViewer = async (req, res) => {
   try {
     console.log('=== Getting Current Schedule for Viewer (Enhanced) ===');
     
+    const now = new Date();
+
+    // An emergency alert for every screen preempts all schedules
+    const alert = await EmergencyAlert.findActiveFor(null, now);
+    if (alert) {
+      return res.json({
+        success: true,
+        data: buildEmergencyState(alert, now),
+        message: 'Emergency alert in effect'
+      });
+    }
+
     // Use the enhanced static method from the schema
-    const activeSchedules = await Schedule.findCurrentlyActive();
+    const activeSchedules = await Schedule.findCurrentlyActive(now);
     
     console.log(`Found ${activeSchedules.length} currently active schedules`);
 
     if (!activeSchedules.length) {
-      return res.json({
-        success: true,
-        data: null,
-        message: 'No schedule is currently active'
-      });
+      return sendFallbackContent(res, now, 'No schedule is currently active');
     }
 
     // Get the highest priority schedule (they're already sorted by priority)
     const activeSchedule = activeSchedules[0];
-    const validContent = activeSchedule.content.filter(c => c.contentId);
-    const contentToPlay = validContent[0]?.contentId;
+    const campaigns = await getCampaignInjections(null, activeSchedule.activeWindow, now);
+    const playback = buildPlaybackState(activeSchedule, activeSchedule.activeWindow, now, { campaigns });
 
-    if (!contentToPlay) {
+    if (!playback) {
       console.log('No valid content found in active schedule');
-      return res.json({
-        success: true,
-        data: null,
-        message: 'Active schedule has no valid content'
-      });
+      return sendFallbackContent(res, now, 'Active schedule has no valid content');
     }
 
+    const contentToPlay = playback.playlist[playback.nowPlaying.index].content;
+
     console.log(`✅ Returning content: ${contentToPlay.title} from schedule: ${activeSchedule.name}`);
 
     // FIXED: Log successful content delivery with proper targetId conversion
     try {
       await AuditLog.create({
         action: 'CONTENT_DELIVER',
-        userId: null,
+        userId: req.user._id,
         targetId: contentToPlay._id.toString(), // Convert ObjectId to String
         targetType: 'CONTENT',
         details: {
           contentTitle: contentToPlay.title,
           scheduleName: activeSchedule.name,
+          playlistIndex: playback.nowPlaying.index,
           scheduleTimezone: activeSchedule.timezone,
           scheduleRepeat: activeSchedule.repeat,
           schedulePriority: activeSchedule.priority,
@@ -501,22 +621,10 @@ const getCurrentScheduleForViewer = async (req, res) => {
       console.error('Failed to log content delivery:', auditError);
     }
 
-    // Return enhanced content data
+    // Return the full playlist with the "now playing" pointer
     res.json({
       success: true,
-      data: {
-        ...contentToPlay,
-        schedule: {
-          _id: activeSchedule._id,
-          name: activeSchedule.name,
-          description: activeSchedule.description,
-          priority: activeSchedule.priority,
-          timezone: activeSchedule.timezone,
-          repeat: activeSchedule.repeat,
-          startTime: activeSchedule.startTime,
-          endTime: activeSchedule.endTime
-        }
-      },
+      data: playback,
       message: 'Content found successfully'
     });
 
@@ -526,7 +634,7 @@ const getCurrentScheduleForViewer = async (req, res) => {
     try {
       await AuditLog.create({
         action: 'CONTENT_DELIVER',
-        userId: null,
+        userId: req.user?._id,
         targetType: 'CONTENT',
         success: false,
         errorMessage: error.message,
@@ -594,6 +702,509 @@ const getSchedulesByTimezone = async (req, res) => {
   }
 };
 
+// NEW: Expand schedules into occurrences between `from` and `to`, optionally for one device
+const getScheduleTimeline = async (req, res) => {
+  try {
+    // Default to the coming week
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : moment(from).add(7, 'days').toDate();
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (moment(to).diff(from, 'days', true) > MAX_TIMELINE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Timeline range cannot exceed ${MAX_TIMELINE_DAYS} days`
+      });
+    }
+
+    let device = null;
+    if (req.query.deviceId) {
+      device = await Device.findOne({ deviceId: req.query.deviceId });
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+    }
+
+    const timeline = await buildTimeline({ from, to, device });
+
+    res.json({
+      success: true,
+      data: {
+        ...timeline,
+        device: device ? { _id: device._id, deviceId: device.deviceId, name: device.name } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get schedule timeline error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to build schedule timeline'
+    });
+  }
+};
+
+// Upcoming start/end instants the transition timer is armed for
+const getNextTransitions = async (req, res) => {
+  try {
+    const scheduleMonitor = req.app.get('scheduleMonitor');
+    if (!scheduleMonitor) {
+      return res.status(503).json({
+        success: false,
+        message: 'Schedule monitor is not running'
+      });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+    res.json({
+      success: true,
+      data: scheduleMonitor.getNextTransitions(limit)
+    });
+
+  } catch (error) {
+    console.error('Get next transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get next transitions'
+    });
+  }
+};
+
+// Every play a screen was expected to show on `date`, to reconcile against proof-of-play
+const getPlaySequence = async (req, res) => {
+  try {
+    // Screens only ever receive approved content, so the sequence is built from the same list
+    const schedule = await Schedule.findById(req.params.id).populate({
+      path: 'content.contentId',
+      match: { status: 'approved' },
+      select: 'title type duration'
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    let device = null;
+    if (req.query.deviceId) {
+      device = await Device.findOne({ deviceId: req.query.deviceId }).select('deviceId name location timezone');
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+      schedule.localizeTo(device.timezone);
+    }
+
+    const timezone = schedule.getEvaluationTimezone();
+    const dayStart = req.query.date
+      ? moment.tz(req.query.date, 'YYYY-MM-DD', timezone)
+      : moment.tz(timezone).startOf('day');
+    const dayEnd = dayStart.clone().add(1, 'day');
+
+    // Occurrences belong to the day they start on
+    const occurrences = schedule.getOccurrences(dayStart.toDate(), dayEnd.toDate())
+      .filter(window => window.start >= dayStart.toDate());
+
+    const windows = [];
+    for (const window of occurrences) {
+      const campaigns = await getCampaignInjections(device, window, window.start);
+      windows.push({
+        ...window,
+        plays: buildPlaySequence(schedule, window, { deviceKey: device?.deviceId, campaigns })
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        schedule: {
+          _id: schedule._id,
+          name: schedule.name,
+          playlistMode: schedule.playlistMode || 'sequential'
+        },
+        device: device ? { _id: device._id, deviceId: device.deviceId, name: device.name } : null,
+        date: dayStart.format('YYYY-MM-DD'),
+        timezone,
+        windows,
+        totalPlays: windows.reduce((total, window) => total + window.plays.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get play sequence error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to build play sequence'
+    });
+  }
+};
+
+// NEW: Dry-run a schedule (new, or changes to `scheduleId`) and preview its conflicts
+const validateSchedule = async (req, res) => {
+  try {
+    const contentArray = buildContentArray(req.body);
+    let candidate;
+
+    if (req.body.scheduleId) {
+      candidate = await Schedule.findById(req.body.scheduleId);
+      if (!candidate) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Schedule not found' 
+        });
+      }
+
+      const { scheduleId, createdBy, ...changes } = req.body;
+      if (contentArray.length > 0) changes.content = contentArray;
+      delete changes.contentIds;
+      candidate.set(changes);
+    } else {
+      candidate = new Schedule(buildScheduleData(req.body, contentArray, req.user));
+    }
+
+    const errors = [];
+    const validationError = candidate.validateSync();
+    if (validationError) {
+      errors.push(...Object.values(validationError.errors).map(err => err.message));
+    }
+    if (candidate.startDate && candidate.endDate && candidate.endDate < candidate.startDate) {
+      errors.push('End date must be after or equal to start date');
+    }
+    if (!candidate.content || candidate.content.length === 0) {
+      errors.push('Schedule must contain at least one content item');
+    }
+
+    // Conflicts can only be computed for a schedule with valid times
+    const conflicts = errors.length === 0 ? await findConflicts(candidate) : [];
+
+    res.json({
+      success: true,
+      data: {
+        valid: errors.length === 0,
+        errors,
+        conflicts,
+        wouldPlay: conflicts.every(conflict => conflict.winner.isThisSchedule)
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate schedule error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to validate schedule'
+    });
+  }
+};
+
+// Revision history, newest first, each with its changes from the revision before
+const getScheduleRevisions = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [revisions, total] = await Promise.all([
+      ScheduleRevision.find({ schedule: req.params.id })
+        .populate('author', 'name email role')
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        // One extra, older revision to diff the last entry of the page against
+        .limit(limit + 1)
+        .lean(),
+      ScheduleRevision.countDocuments({ schedule: req.params.id })
+    ]);
+
+    if (total === 0 && !(await Schedule.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const data = revisions.slice(0, limit).map((revision, index) => {
+      const previous = revisions[index + 1];
+      // The oldest revision on a full page needs the one just before it
+      const before = previous && previous.revision === revision.revision - 1 ? previous.snapshot : null;
+
+      return {
+        ...revision,
+        changes: revision.revision === 1 || before
+          ? ScheduleRevision.diffSnapshots(before, revision.snapshot)
+          : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get schedule revisions'
+    });
+  }
+};
+
+// One revision with its diff against `compareTo` (default: the revision before it)
+const getScheduleRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.rev);
+    const compareTo = req.query.compareTo !== undefined ? parseInt(req.query.compareTo) : revisionNumber - 1;
+
+    const [revision, base] = await Promise.all([
+      ScheduleRevision.findOne({ schedule: req.params.id, revision: revisionNumber })
+        .populate('author', 'name email role')
+        .lean(),
+      compareTo > 0
+        ? ScheduleRevision.findOne({ schedule: req.params.id, revision: compareTo }).lean()
+        : null
+    ]);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${revisionNumber} not found for this schedule`
+      });
+    }
+    if (compareTo > 0 && !base) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${compareTo} not found for this schedule`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...revision,
+        comparedTo: base ? base.revision : null,
+        changes: ScheduleRevision.diffSnapshots(base ? base.snapshot : null, revision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get schedule revision'
+    });
+  }
+};
+
+// Roll a schedule back to an earlier revision. The restore is itself saved as a new revision.
+const restoreScheduleRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.rev);
+
+    const [schedule, revision] = await Promise.all([
+      Schedule.findById(req.params.id),
+      ScheduleRevision.findOne({ schedule: req.params.id, revision: revisionNumber }).lean()
+    ]);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${revisionNumber} not found for this schedule`
+      });
+    }
+
+    // Content may have been rejected or removed since the revision was taken
+    const contentIds = (revision.snapshot.content || []).map(item => item.contentId);
+    const approved = await Content.find({ _id: { $in: contentIds }, status: 'approved' }).select('_id');
+    const approvedIds = new Set(approved.map(content => content._id.toString()));
+    const unavailable = contentIds.filter(id => !approvedIds.has(id));
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some content in this revision is no longer available or approved',
+        invalidContent: unavailable
+      });
+    }
+
+    await ScheduleRevision.ensureBaseline(schedule);
+
+    const previousState = schedule.getWorkflowState();
+    const workflowReset = workflowResetFor(req.user, schedule);
+
+    ScheduleRevision.SNAPSHOT_FIELDS.forEach(field => {
+      schedule.set(field, revision.snapshot[field]);
+    });
+    if (workflowReset) {
+      schedule.set(workflowReset);
+    }
+    await schedule.save();
+
+    const { revision: restored, changes } = await ScheduleRevision.record(schedule, {
+      action: 'restore',
+      author: req.user._id,
+      restoredFrom: revision.revision
+    });
+    await schedule.populate(SCHEDULE_POPULATE);
+    const conflicts = await findConflicts(schedule);
+
+    await AuditLog.create({
+      action: 'SCHEDULE_RESTORE',
+      userId: req.user._id,
+      targetId: schedule._id.toString(),
+      targetType: 'SCHEDULE',
+      details: {
+        scheduleName: schedule.name,
+        restoredFrom: revision.revision,
+        revision: restored.revision,
+        changes,
+        workflowState: workflowReset ? { from: previousState, to: schedule.workflowState } : undefined,
+        conflicts: conflicts.map(c => c.scheduleId.toString())
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'MEDIUM'
+    });
+
+    emitScheduleUpdated(req, schedule, `Schedule "${schedule.name}" restored to revision ${revision.revision}`);
+
+    res.json({
+      success: true,
+      data: schedule,
+      revision: restored.revision,
+      changes,
+      conflicts,
+      message: workflowReset
+        ? `Schedule restored to revision ${revision.revision}; it is back in draft and needs to be reviewed again`
+        : `Schedule restored to revision ${revision.revision}`
+    });
+  } catch (error) {
+    console.error('Restore schedule revision error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to restore schedule revision'
+    });
+  }
+};
+
+const WORKFLOW_AUDIT_ACTIONS = {
+  submit: 'SCHEDULE_SUBMIT',
+  approve: 'SCHEDULE_APPROVE',
+  reject: 'SCHEDULE_REJECT',
+  publish: 'SCHEDULE_PUBLISH',
+  unpublish: 'SCHEDULE_UNPUBLISH'
+};
+
+const WORKFLOW_MESSAGES = {
+  submit: 'submitted for review',
+  approve: 'approved',
+  reject: 'rejected',
+  publish: 'published',
+  unpublish: 'unpublished'
+};
+
+// Handler moving a schedule through the review workflow with `action`
+const transitionSchedule = (action) => async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const { from, to } = schedule.applyWorkflowAction(action, req.user, {
+      comment: req.body.comment,
+      unpublishAt: req.body.unpublishAt ? new Date(req.body.unpublishAt) : null
+    });
+    await schedule.save();
+    await schedule.populate(SCHEDULE_POPULATE);
+
+    await AuditLog.create({
+      action: WORKFLOW_AUDIT_ACTIONS[action],
+      userId: req.user._id,
+      targetId: schedule._id.toString(),
+      targetType: 'SCHEDULE',
+      details: {
+        scheduleName: schedule.name,
+        from,
+        to,
+        comment: req.body.comment,
+        unpublishAt: action === 'publish' ? schedule.unpublishAt : undefined
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: ['publish', 'unpublish'].includes(action) ? 'MEDIUM' : 'LOW'
+    });
+
+    const message = `Schedule "${schedule.name}" ${WORKFLOW_MESSAGES[action]}`;
+    const io = req.app.get('socketio');
+    if (io) {
+      // Reviewers and authors follow the workflow on their dashboards
+      io.to('role-ADMIN').to('role-MANAGER').emit('schedule-workflow', {
+        scheduleId: schedule._id,
+        scheduleName: schedule.name,
+        action,
+        from,
+        to,
+        comment: req.body.comment,
+        by: { _id: req.user._id, name: req.user.name },
+        timestamp: new Date()
+      });
+    }
+
+    // Publishing changes what screens play
+    if (['publish', 'unpublish'].includes(action)) {
+      emitScheduleUpdated(req, schedule, message);
+      const contentService = req.app.get('contentService');
+      if (contentService) {
+        contentService.clearCache();
+        await contentService.broadcastCurrentContent();
+      }
+    }
+
+    res.json({
+      success: true,
+      data: schedule,
+      message
+    });
+  } catch (error) {
+    console.error(`Schedule ${action} error:`, error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: error.message || `Failed to ${action} schedule`
+    });
+  }
+};
+
+const submitSchedule = transitionSchedule('submit');
+const approveSchedule = transitionSchedule('approve');
+const rejectSchedule = transitionSchedule('reject');
+const publishSchedule = transitionSchedule('publish');
+const unpublishSchedule = transitionSchedule('unpublish');
+
 // Export all functions
 module.exports = {
   createSchedule,
@@ -603,5 +1214,17 @@ module.exports = {
   deleteSchedule,
   getCurrentScheduleForViewer,
   getScheduleStatistics,
-  getSchedulesByTimezone
+  getSchedulesByTimezone,
+  validateSchedule,
+  getScheduleTimeline,
+  getNextTransitions,
+  getPlaySequence,
+  getScheduleRevisions,
+  getScheduleRevision,
+  restoreScheduleRevision,
+  submitSchedule,
+  approveSchedule,
+  rejectSchedule,
+  publishSchedule,
+  unpublishSchedule
 };
@@ -0,0 +1,318 @@
+// controllers/uploadController.js - tus 1.0 resumable uploads that end up as Content
+const path = require('path');
+const Upload = require('../models/Upload');
+const Content = require('../models/Content');
+const { MAX_FILE_SIZE, createContent } = require('./contentController');
+const { isAllowedMediaFile, mediaTypeFor } = require('../services/mediaStore');
+const {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  TusError,
+  parseMetadata,
+  encodeMetadata,
+  nextExpiry,
+  createPartialFile,
+  appendChunk,
+  removeFile
+} = require('../services/tusUploads');
+
+// One writer per upload at a time
+const activeWrites = new Set();
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Every tus request must speak our version; every response says which one we speak
+const tusResumable = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      message: `Tus-Resumable ${TUS_VERSION} is required`
+    });
+  }
+  next();
+};
+
+// Uploads are private to the user who started them (and admins)
+const findUpload = async (req) => {
+  const upload = await Upload.findById(req.params.id);
+  if (!upload) {
+    throw new TusError('Upload not found', 404);
+  }
+  if (req.user.role !== 'ADMIN' && upload.uploadedBy.toString() !== req.user._id.toString()) {
+    throw new TusError('Upload not found', 404);
+  }
+  if (upload.isExpired()) {
+    throw new TusError('Upload has expired', 410);
+  }
+  return upload;
+};
+
+const setUploadHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.length),
+    'Cache-Control': 'no-store'
+  });
+  if (upload.status !== 'completed') {
+    res.set('Upload-Expires', upload.expiresAt.toUTCString());
+  }
+};
+
+// Content types that can be inferred from the file when the client sends none
+const contentTypeFor = (mimeType) => {
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('image/')) return 'image';
+  return null;
+};
+
+// Content fields for the finished upload, as uploadContent reads them from a form
+const contentFields = (upload) => {
+  const { title, description, type, duration, tags } = upload.metadata;
+  return {
+    title: title || path.parse(upload.filename).name.slice(0, 100),
+    description,
+    type: type || contentTypeFor(upload.mimeType),
+    duration,
+    tags
+  };
+};
+
+// Check the Content fields when the upload is announced; a bad value found
+// only after the last byte would throw the whole file away
+const CONTENT_FIELD_PATHS = ['title', 'description', 'type', 'duration', 'tags'];
+
+const validateContentFields = (fields) => {
+  let tags = fields.tags;
+  if (tags && !Array.isArray(tags)) {
+    try {
+      tags = JSON.parse(tags);
+    } catch (error) {
+      tags = null;
+    }
+    if (!Array.isArray(tags)) {
+      throw new TusError('tags must be a JSON array', 400);
+    }
+  }
+
+  const error = new Content({ ...fields, tags }).validateSync(CONTENT_FIELD_PATHS);
+  if (error) {
+    throw new TusError(Object.values(error.errors).map(err => err.message).join(', '), 400);
+  }
+};
+
+// Create the Content from the finished partial file (createContent hashes it,
+// then hands it to the storage driver or drops it if the same file is stored)
+const finalizeUpload = async (upload, user) => {
+  try {
+    const { content, reusedAsset } = await createContent(
+      contentFields(upload),
+      { path: upload.partialPath, size: upload.length, mimetype: upload.mimeType, originalname: upload.filename },
+      user
+    );
+    upload.status = 'completed';
+    upload.content = content._id;
+    upload.reusedAsset = reusedAsset;
+    return content;
+  } catch (error) {
+    upload.status = 'failed';
+    upload.error = error.message;
+    throw new TusError(error.message, error.name === 'ValidationError' ? 400 : 500);
+  }
+};
+
+// POST: announce an upload (creation extension)
+const createUpload = async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      throw new TusError('Deferred upload length is not supported', 400);
+    }
+
+    const length = Number(req.get('Upload-Length'));
+    if (!Number.isInteger(length) || length < 1) {
+      throw new TusError('Upload-Length must be a positive integer', 400);
+    }
+    if (length > MAX_FILE_SIZE) {
+      throw new TusError(`Uploads cannot exceed ${MAX_FILE_SIZE} bytes`, 413);
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    const filename = metadata.filename || metadata.name;
+    const declaredType = metadata.filetype || metadata.type_mime;
+
+    if (!filename || !declaredType) {
+      throw new TusError('Upload-Metadata must include filename and filetype', 400);
+    }
+    if (!isAllowedMediaFile(filename, declaredType)) {
+      throw new TusError('Invalid file type. Only images and videos are allowed.', 415);
+    }
+
+    const upload = new Upload({
+      length,
+      filename,
+      mimeType: mediaTypeFor(filename),
+      metadata,
+      uploadedBy: req.user._id,
+      expiresAt: nextExpiry()
+    });
+    validateContentFields(contentFields(upload));
+    upload.partialPath = await createPartialFile(upload._id);
+    await upload.save();
+
+    res.set({
+      Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/uploads/${upload._id}`,
+      'Upload-Expires': upload.expiresAt.toUTCString()
+    });
+    res.status(201).end();
+  } catch (error) {
+    if (!error.statusCode) console.error('Create upload error:', error);
+    sendError(res, error);
+  }
+};
+
+// HEAD: where to resume from
+const getUploadOffset = async (req, res) => {
+  try {
+    const upload = await findUpload(req);
+
+    setUploadHeaders(res, upload);
+    if (Object.keys(upload.metadata || {}).length > 0) {
+      res.set('Upload-Metadata', encodeMetadata(upload.metadata));
+    }
+    res.status(200).end();
+  } catch (error) {
+    if (!error.statusCode) console.error('Get upload offset error:', error);
+    res.status(error.statusCode || 500).end();
+  }
+};
+
+// PATCH: append bytes at Upload-Offset; the last chunk creates the Content
+const appendUpload = async (req, res) => {
+  const uploadId = req.params.id;
+  if (activeWrites.has(uploadId)) {
+    return sendError(res, new TusError('Upload is being written by another request', 409));
+  }
+  activeWrites.add(uploadId);
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      throw new TusError('Content-Type must be application/offset+octet-stream', 415);
+    }
+
+    const upload = await findUpload(req);
+    if (upload.status !== 'in_progress') {
+      throw new TusError(`Upload is ${upload.status.replace('_', ' ')}`, 409);
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new TusError('Upload-Offset must be a non-negative integer', 400);
+    }
+    if (offset !== upload.offset) {
+      throw new TusError(`Upload-Offset ${offset} does not match the current offset ${upload.offset}`, 409);
+    }
+
+    const result = await appendChunk(req, upload.partialPath, offset, upload.length - offset);
+    upload.offset = Math.min(result.offset, upload.length);
+    upload.expiresAt = nextExpiry();
+
+    let finalizeError = null;
+    let content = null;
+    if (upload.offset === upload.length) {
+      content = await finalizeUpload(upload, req.user).catch(error => { finalizeError = error; });
+    }
+    await upload.save();
+
+    if (result.error) throw result.error;
+    if (finalizeError) throw finalizeError;
+
+    const mediaProcessor = req.app.get('mediaProcessor');
+    if (content && mediaProcessor) {
+      mediaProcessor.enqueue(content._id);
+    }
+
+    setUploadHeaders(res, upload);
+    res.status(204).end();
+  } catch (error) {
+    if (!error.statusCode) console.error('Append upload error:', error);
+    if (!res.headersSent) sendError(res, error);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+};
+
+// DELETE: abandon an upload (termination extension)
+const deleteUpload = async (req, res) => {
+  try {
+    const upload = await findUpload(req);
+    if (upload.status === 'completed') {
+      throw new TusError('Completed uploads are removed by deleting their content', 409);
+    }
+    if (activeWrites.has(upload._id.toString())) {
+      throw new TusError('Upload is being written by another request', 409);
+    }
+
+    await removeFile(upload.partialPath);
+    await Upload.deleteOne({ _id: upload._id });
+
+    res.status(204).end();
+  } catch (error) {
+    if (!error.statusCode) console.error('Delete upload error:', error);
+    sendError(res, error);
+  }
+};
+
+// Plain JSON status, including the Content created once the upload completed
+const getUploadStatus = async (req, res) => {
+  try {
+    const upload = await findUpload(req);
+    await upload.populate('content', 'title type status filePath fileSize mimeType');
+
+    res.json({
+      success: true,
+      data: {
+        _id: upload._id,
+        filename: upload.filename,
+        mimeType: upload.mimeType,
+        length: upload.length,
+        offset: upload.offset,
+        progress: Math.round((upload.offset / upload.length) * 1000) / 10,
+        status: upload.status,
+        error: upload.error,
+        content: upload.content,
+        reusedAsset: upload.reusedAsset,
+        expiresAt: upload.status === 'completed' ? null : upload.expiresAt,
+        createdAt: upload.createdAt
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get upload status error:', error);
+    sendError(res, error);
+  }
+};
+
+// Advertised on every tus response so clients can discover the server's limits
+const tusCapabilities = (req, res, next) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(MAX_FILE_SIZE)
+  });
+  next();
+};
+
+module.exports = {
+  tusResumable,
+  tusCapabilities,
+  createUpload,
+  getUploadOffset,
+  appendUpload,
+  deleteUpload,
+  getUploadStatus
+};
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
 
 const auth = async (req, res, next) => {
   try {
@@ -45,4 +47,120 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
+// Players authenticate with "Authorization: Device <deviceId>:<secret>"
+const parseDeviceCredentials = (req) => {
+  const header = req.header('Authorization') || '';
+  if (!header.startsWith('Device ')) {
+    return null;
+  }
+
+  const credentials = header.slice('Device '.length).trim();
+  const separator = credentials.indexOf(':');
+  if (separator <= 0) {
+    return null;
+  }
+
+  return {
+    deviceId: credentials.slice(0, separator),
+    secret: credentials.slice(separator + 1)
+  };
+};
+
+const deviceAuth = async (req, res, next) => {
+  try {
+    const credentials = parseDeviceCredentials(req);
+
+    if (!credentials) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Access denied. No device credentials provided.' 
+      });
+    }
+
+    const device = await Device.authenticate(credentials.deviceId, credentials.secret);
+    if (!device) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Device credentials are not valid or have been revoked.' 
+      });
+    }
+
+    // A device may only act on its own resources
+    if (req.params.deviceId && req.params.deviceId !== device.deviceId) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Access denied. Credentials belong to another device.' 
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    res.status(401).json({ 
+      success: false, 
+      message: 'Device credentials are not valid.' 
+    });
+  }
+};
+
+// Accept either a signed-in user or a provisioned device
+const authOrDevice = (req, res, next) => {
+  if (parseDeviceCredentials(req)) {
+    return deviceAuth(req, res, next);
+  }
+  return auth(req, res, next);
+};
+
+const tokensMatch = (provided, expected) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(expected));
+};
+
+// Alert sources such as the building management system post with
+// "Authorization: CAP <token>" (CAP_INGEST_TOKEN). Their alerts are recorded
+// as created by the CAP_INGEST_USER_ID admin account. Signed-in admins are
+// accepted as well.
+const capAuth = async (req, res, next) => {
+  const header = req.header('Authorization') || '';
+  if (!header.startsWith('CAP ')) {
+    return auth(req, res, () => authorize('ADMIN')(req, res, next));
+  }
+
+  try {
+    const expected = process.env.CAP_INGEST_TOKEN;
+    if (!expected || !process.env.CAP_INGEST_USER_ID) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'CAP ingestion is not configured.' 
+      });
+    }
+
+    if (!tokensMatch(header.slice('CAP '.length).trim(), expected)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'CAP token is not valid.' 
+      });
+    }
+
+    const user = await User.findById(process.env.CAP_INGEST_USER_ID).select('-password');
+    if (!user || !user.isActive || user.role !== 'ADMIN') {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'CAP ingestion account is missing, inactive or not an admin.' 
+      });
+    }
+
+    req.user = user;
+    req.capIntegration = true;
+    next();
+  } catch (error) {
+    console.error('CAP auth middleware error:', error);
+    res.status(401).json({ 
+      success: false, 
+      message: 'CAP token is not valid.' 
+    });
+  }
+};
+
+module.exports = { auth, authorize, deviceAuth, authOrDevice, parseDeviceCredentials, capAuth };
@@ -6,9 +6,16 @@ const auditLogSchema = new mongoose.Schema({
     required: true,
     enum: [
       'USER_LOGIN', 'USER_LOGOUT', 'USER_REGISTER', 'USER_UPDATE',
-      'CONTENT_CREATE', 'CONTENT_UPDATE', 'CONTENT_DELETE', 'CONTENT_APPROVE', 'CONTENT_REJECT',
-      'SCHEDULE_CREATE', 'SCHEDULE_UPDATE', 'SCHEDULE_DELETE',
+      'CONTENT_CREATE', 'CONTENT_UPDATE', 'CONTENT_DELETE', 'CONTENT_APPROVE', 'CONTENT_REJECT', 'CONTENT_DELIVER',
+      'SCHEDULE_CREATE', 'SCHEDULE_UPDATE', 'SCHEDULE_DELETE', 'SCHEDULE_RESTORE',
+      'SCHEDULE_SUBMIT', 'SCHEDULE_APPROVE', 'SCHEDULE_REJECT', 'SCHEDULE_PUBLISH', 'SCHEDULE_UNPUBLISH',
       'DEVICE_REGISTER', 'DEVICE_UPDATE', 'DEVICE_DELETE', 'DEVICE_COMMAND',
+      'DEVICE_PAIRING_CREATE', 'DEVICE_PAIR', 'DEVICE_CREDENTIAL_ROTATE', 'DEVICE_CREDENTIAL_REVOKE',
+      'DEVICE_GROUP_CREATE', 'DEVICE_GROUP_UPDATE', 'DEVICE_GROUP_DELETE',
+      'EMERGENCY_ALERT_CREATE', 'EMERGENCY_ALERT_CLEAR', 'EMERGENCY_ALERT_EXPIRE',
+      'FALLBACK_CONTENT_CREATE', 'FALLBACK_CONTENT_UPDATE', 'FALLBACK_CONTENT_DELETE',
+      'CAMPAIGN_CREATE', 'CAMPAIGN_UPDATE', 'CAMPAIGN_DELETE',
+      'CAMPAIGN_SUBMIT', 'CAMPAIGN_APPROVE', 'CAMPAIGN_REJECT', 'CAMPAIGN_PUBLISH', 'CAMPAIGN_UNPUBLISH',
       'LICENSE_GENERATE', 'LICENSE_USE', 'LICENSE_REVOKE',
       'SYSTEM_ERROR', 'SECURITY_VIOLATION'
     ]
@@ -24,7 +31,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   targetType: {
     type: String,
-    enum: ['USER', 'CONTENT', 'SCHEDULE', 'DEVICE', 'LICENSE', 'SYSTEM'],
+    enum: ['USER', 'CONTENT', 'SCHEDULE', 'DEVICE', 'DEVICE_GROUP', 'EMERGENCY_ALERT', 'FALLBACK_CONTENT', 'CAMPAIGN', 'LICENSE', 'SYSTEM'],
     default: null
   },
   details: {
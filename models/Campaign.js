@@ -0,0 +1,257 @@
+// models/Campaign.js - Advertiser content played into running schedules until a play goal is met
+const mongoose = require('mongoose');
+const DeviceGroup = require('./DeviceGroup');
+const { WORKFLOW_STATES, WORKFLOW_TRANSITIONS } = require('./Schedule');
+
+// even: spread the goal over the flight; asap: play as often as allowed until it is met
+const PACING_MODES = ['even', 'asap'];
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  advertiser: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Advertiser cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Weights split the campaign's plays between its items
+  content: {
+    type: [{
+      contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true
+      },
+      customDuration: {
+        type: Number,
+        min: [1, 'Duration must be at least 1 second'],
+        max: 86400
+      },
+      weight: {
+        type: Number,
+        min: 1,
+        max: 1000,
+        default: 1
+      }
+    }],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A campaign needs at least one content item'
+    }
+  },
+  // Empty targets reach every screen
+  targets: {
+    devices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }],
+    deviceGroups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceGroup'
+    }],
+    locations: [{
+      type: String,
+      trim: true
+    }]
+  },
+  flightStart: {
+    type: Date,
+    required: [true, 'Flight start is required']
+  },
+  flightEnd: {
+    type: Date,
+    required: [true, 'Flight end is required'],
+    validate: {
+      validator: function(value) {
+        return !this.flightStart || value > this.flightStart;
+      },
+      message: 'Flight end must be after the flight start'
+    }
+  },
+  // Completed plays across all targeted screens
+  goalPlays: {
+    type: Number,
+    required: [true, 'Play goal is required'],
+    min: [1, 'Play goal must be at least 1']
+  },
+  pacing: {
+    type: String,
+    enum: {
+      values: PACING_MODES,
+      message: `Pacing must be one of: ${PACING_MODES.join(', ')}`
+    },
+    default: 'even'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // The schedules' review workflow; only published campaigns play. Campaigns
+  // saved before the workflow existed have no state and count as published.
+  workflowState: {
+    type: String,
+    enum: {
+      values: WORKFLOW_STATES,
+      message: `Workflow state must be one of: ${WORKFLOW_STATES.join(', ')}`
+    }
+  },
+  workflow: {
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: Date,
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: Date,
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: Date,
+    unpublishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    unpublishedAt: Date
+  },
+  reviewComments: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    comment: { type: String, trim: true, maxlength: 1000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ isActive: 1, flightStart: 1, flightEnd: 1 });
+
+// Workflow state, with the pre-workflow (missing) state reported as published
+campaignSchema.methods.getWorkflowState = function() {
+  return this.workflowState || 'published';
+};
+
+/**
+ * Move the campaign through the review workflow (not saved), as
+ * Schedule#applyWorkflowAction does. Throws an error with `statusCode` 409
+ * when the action is not allowed from the current state and 400 when a
+ * rejection has no comment.
+ */
+campaignSchema.methods.applyWorkflowAction = function(action, user, { comment } = {}, at = new Date()) {
+  const transition = WORKFLOW_TRANSITIONS[action];
+  const from = this.getWorkflowState();
+
+  if (!transition || !transition.from.includes(from)) {
+    const error = new Error(`Cannot ${action} a campaign that is ${from.replace('_', ' ')}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  if (action === 'reject' && !(comment && comment.trim())) {
+    const error = new Error('A comment is required when rejecting a campaign');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!this.workflow) this.workflow = {};
+
+  switch (action) {
+    case 'submit':
+      this.workflow.submittedBy = user._id;
+      this.workflow.submittedAt = at;
+      break;
+    case 'approve':
+    case 'reject':
+      this.reviewComments.push({
+        author: user._id,
+        decision: action === 'approve' ? 'approved' : 'rejected',
+        comment,
+        createdAt: at
+      });
+      if (action === 'approve') {
+        this.workflow.approvedBy = user._id;
+        this.workflow.approvedAt = at;
+      }
+      break;
+    case 'publish':
+      this.workflow.publishedBy = user._id;
+      this.workflow.publishedAt = at;
+      break;
+    case 'unpublish':
+      this.workflow.unpublishedBy = user._id;
+      this.workflow.unpublishedAt = at;
+      break;
+  }
+
+  this.workflowState = transition.to;
+  return { from, to: transition.to };
+};
+
+const sameLocation = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+campaignSchema.statics.isUntargeted = function(campaign) {
+  const { devices = [], deviceGroups = [], locations = [] } = campaign.targets || {};
+  return devices.length === 0 && deviceGroups.length === 0 && locations.length === 0;
+};
+
+// Whether the campaign targets `device`; `groupChain` is the device's groups and their ancestors
+campaignSchema.statics.appliesTo = function(campaign, device, groupChain = []) {
+  if (this.isUntargeted(campaign)) {
+    return true;
+  }
+  if (!device) {
+    return false;
+  }
+
+  const { devices = [], deviceGroups = [], locations = [] } = campaign.targets;
+  const deviceId = device._id.toString();
+
+  return devices.some(d => (d._id || d).toString() === deviceId)
+    || DeviceGroup.getMatchDepth(deviceGroups, groupChain) > 0
+    || (!!device.location && locations.some(location => sameLocation(location, device.location)));
+};
+
+/**
+ * Active, published campaigns whose flight overlaps [from, to) and that target
+ * `device` (untargeted campaigns only, without a device). Lean, with approved
+ * content populated; campaigns left without playable content are dropped.
+ */
+campaignSchema.statics.findInFlightFor = async function(device, from, to = from) {
+  const campaigns = await this.find({
+    isActive: true,
+    workflowState: { $in: ['published', null] },
+    flightStart: { $lte: to },
+    flightEnd: { $gt: from }
+  })
+    .populate({
+      path: 'content.contentId',
+      match: { status: 'approved' },
+      select: 'title type duration filePath url htmlContent mimeType'
+    })
+    .lean();
+
+  if (campaigns.length === 0) {
+    return [];
+  }
+
+  const groupChain = device && campaigns.some(campaign => !this.isUntargeted(campaign))
+    ? await DeviceGroup.findGroupChainForDevice(device._id)
+    : [];
+
+  return campaigns
+    .filter(campaign => this.appliesTo(campaign, device, groupChain))
+    .map(campaign => ({ ...campaign, content: campaign.content.filter(item => item.contentId) }))
+    .filter(campaign => campaign.content.length > 0);
+};
+
+campaignSchema.statics.PACING_MODES = PACING_MODES;
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { STORAGE_DRIVERS } = require('../services/storage');
+const { attachMediaUrl } = require('../services/mediaUrls');
+
+const PROCESSING_STATUSES = ['pending', 'processing', 'ready', 'failed', 'skipped'];
 
 const contentSchema = new mongoose.Schema({
   title: {
@@ -43,7 +47,54 @@ const contentSchema = new mongoose.Schema({
   },
   fileSize: Number,
   mimeType: String,
+  // SHA-256 of the file; identical uploads share one MediaAsset
   checksum: String,
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset',
+    default: null
+  },
+  // Backend holding the file behind filePath (unset on older records: local)
+  storageDriver: {
+    type: String,
+    enum: STORAGE_DRIVERS
+  },
+  // Read from the file headers by the media processor
+  media: {
+    container: String,
+    width: Number,
+    height: Number,
+    duration: Number, // seconds
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number // bits per second
+  },
+  // Poster image, signed as thumbnailUrl for clients
+  thumbnail: {
+    path: String,
+    storageDriver: {
+      type: String,
+      enum: STORAGE_DRIVERS
+    },
+    width: Number,
+    height: Number,
+    size: Number
+  },
+  processing: {
+    status: {
+      type: String,
+      enum: PROCESSING_STATUSES,
+      default: 'skipped'
+    },
+    error: String,
+    // No duration was given at upload: take it from the video
+    fillDuration: {
+      type: Boolean,
+      default: false
+    },
+    startedAt: Date,
+    processedAt: Date
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -68,5 +119,22 @@ const contentSchema = new mongoose.Schema({
 });
 
 contentSchema.index({ title: 'text', description: 'text', tags: 'text' });
+// Content stored before deduplication is matched up by checksum (scripts/backfillMediaAssets.js)
+contentSchema.index({ checksum: 1 });
+contentSchema.index({ filePath: 1 });
+contentSchema.index({ 'thumbnail.path': 1 });
+contentSchema.index({ 'processing.status': 1 });
+
+// Clients get a signed, expiring mediaUrl instead of the raw filePath when a
+// document is serialized; lean reads are signed where responses are built
+// (services/mediaUrls withMediaUrls)
+contentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return attachMediaUrl(ret);
+  }
+});
+
+contentSchema.statics.PROCESSING_STATUSES = PROCESSING_STATUSES;
 
 module.exports = mongoose.model('Content', contentSchema);
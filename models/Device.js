@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
 
 const deviceSchema = new mongoose.Schema({
   name: {
@@ -16,6 +20,16 @@ const deviceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // IANA zone of the screen; device-local schedules run on its wall clock
+  timezone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: (value) => !value || moment.tz.zone(value) !== null,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
   model: String,
   resolution: {
     width: Number,
@@ -54,6 +68,20 @@ const deviceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Per-device secret issued at pairing; only its hash is stored
+  credential: {
+    secretHash: {
+      type: String,
+      select: false
+    },
+    version: {
+      type: Number,
+      default: 0
+    },
+    issuedAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date
+  },
   settings: {
     volume: {
       type: Number,
@@ -79,4 +107,55 @@ const deviceSchema = new mongoose.Schema({
 deviceSchema.index({ deviceId: 1 });
 deviceSchema.index({ status: 1 });
 
+// Issue a new secret, invalidating the previous one. Returns the plain secret,
+// which is never stored and cannot be retrieved again.
+deviceSchema.methods.issueCredential = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  this.credential = {
+    secretHash: hashSecret(secret),
+    version: (this.credential?.version || 0) + 1,
+    issuedAt: new Date(),
+    revokedAt: null,
+    lastUsedAt: null
+  };
+
+  return secret;
+};
+
+deviceSchema.methods.revokeCredential = function() {
+  this.credential.secretHash = undefined;
+  this.credential.revokedAt = new Date();
+};
+
+// Requires the document to be loaded with +credential.secretHash
+deviceSchema.methods.verifySecret = function(secret) {
+  const storedHash = this.credential?.secretHash;
+  if (!storedHash || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+deviceSchema.methods.hasCredential = function() {
+  return !!this.credential?.issuedAt && !this.credential?.revokedAt;
+};
+
+// Find a device by its deviceId and check the secret; null when either is wrong
+deviceSchema.statics.authenticate = async function(deviceId, secret) {
+  if (!deviceId || !secret) {
+    return null;
+  }
+
+  const device = await this.findOne({ deviceId }).select('+credential.secretHash');
+  if (!device || !device.verifySecret(secret)) {
+    return null;
+  }
+
+  return device;
+};
+
 module.exports = mongoose.model('Device', deviceSchema);
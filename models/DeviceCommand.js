@@ -0,0 +1,112 @@
+// models/DeviceCommand.js - Commands sent to players over the device channel
+const mongoose = require('mongoose');
+
+const DEVICE_COMMANDS = [
+  'reboot',
+  'restart-app',
+  'refresh',
+  'volume',
+  'brightness',
+  'screenshot',
+  'update-settings'
+];
+
+const COMMAND_STATUSES = ['queued', 'sent', 'acked', 'failed', 'expired'];
+
+// Commands not delivered within this window are expired (seconds)
+const DEFAULT_COMMAND_TTL = parseInt(process.env.DEVICE_COMMAND_TTL_SECONDS) || 24 * 60 * 60;
+
+const deviceCommandSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  command: {
+    type: String,
+    required: [true, 'Command is required'],
+    enum: {
+      values: DEVICE_COMMANDS,
+      message: `Command must be one of: ${DEVICE_COMMANDS.join(', ')}`
+    }
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'queued'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: Date,
+  ackedAt: Date,
+  failedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEFAULT_COMMAND_TTL * 1000)
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+deviceCommandSchema.index({ device: 1, createdAt: -1 });
+deviceCommandSchema.index({ deviceId: 1, status: 1, createdAt: 1 });
+deviceCommandSchema.index({ status: 1, expiresAt: 1 });
+
+// Whether the command still has to reach the device
+deviceCommandSchema.methods.isPending = function() {
+  return ['queued', 'sent'].includes(this.status) && this.expiresAt > new Date();
+};
+
+// Message pushed to the player
+deviceCommandSchema.methods.toDeviceMessage = function() {
+  return {
+    commandId: this._id.toString(),
+    command: this.command,
+    payload: this.payload || {},
+    issuedAt: this.createdAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Commands still waiting for delivery or acknowledgement, oldest first
+deviceCommandSchema.statics.findPending = function(deviceId) {
+  return this.find({
+    deviceId,
+    status: { $in: ['queued', 'sent'] },
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: 1 });
+};
+
+// Mark undelivered commands past their expiry as expired
+deviceCommandSchema.statics.expireStale = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ['queued', 'sent'] }, expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+deviceCommandSchema.statics.DEVICE_COMMANDS = DEVICE_COMMANDS;
+deviceCommandSchema.statics.COMMAND_STATUSES = COMMAND_STATUSES;
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
@@ -0,0 +1,157 @@
+// models/DeviceGroup.js - Location hierarchy used to target schedules (site → floor → zone)
+const mongoose = require('mongoose');
+
+// Allowed parent type for each level of the hierarchy
+const PARENT_TYPE = {
+  site: null,
+  floor: 'site',
+  zone: 'floor'
+};
+
+const deviceGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: Object.keys(PARENT_TYPE),
+      message: 'Group type must be one of: site, floor, zone'
+    },
+    required: [true, 'Group type is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceGroup',
+    default: null
+  },
+  // Materialized path: every group above this one, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceGroup'
+  }],
+  devices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+deviceGroupSchema.index({ parent: 1, name: 1 }, { unique: true });
+deviceGroupSchema.index({ ancestors: 1 });
+deviceGroupSchema.index({ devices: 1 });
+
+// Validate nesting and keep `ancestors` in sync with `parent`
+deviceGroupSchema.pre('save', async function(next) {
+  try {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('type')) {
+      return next();
+    }
+
+    const expectedParentType = PARENT_TYPE[this.type];
+
+    if (!this.parent) {
+      if (expectedParentType) {
+        return next(new Error(`A ${this.type} must belong to a ${expectedParentType}`));
+      }
+      this.ancestors = [];
+      return next();
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+      return next(new Error('Parent group not found'));
+    }
+
+    if (parent.type !== expectedParentType) {
+      return next(new Error(
+        expectedParentType
+          ? `A ${this.type} can only be nested under a ${expectedParentType}`
+          : `A ${this.type} cannot have a parent group`
+      ));
+    }
+
+    this.ancestors = [...parent.ancestors, parent._id];
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rewrite the ancestors of every descendant after a group has moved
+deviceGroupSchema.methods.rebuildDescendantAncestors = async function() {
+  const children = await this.constructor.find({ parent: this._id });
+
+  for (const child of children) {
+    child.ancestors = [...this.ancestors, this._id];
+    await child.save();
+    await child.rebuildDescendantAncestors();
+  }
+};
+
+// Groups a device belongs to, plus every enclosing group (lean, with ancestors)
+deviceGroupSchema.statics.findGroupChainForDevice = async function(deviceId) {
+  const direct = await this.find({ devices: deviceId }).select('_id type ancestors').lean();
+
+  const ancestorIds = direct.flatMap(group => group.ancestors);
+  const enclosing = ancestorIds.length
+    ? await this.find({ _id: { $in: ancestorIds } }).select('_id type ancestors').lean()
+    : [];
+
+  const chain = new Map();
+  for (const group of [...direct, ...enclosing]) {
+    chain.set(group._id.toString(), group);
+  }
+
+  return [...chain.values()];
+};
+
+// Depth of the most specific group of `groupChain` listed in `groupIds`
+// (site = 1, floor = 2, zone = 3); 0 when none match
+deviceGroupSchema.statics.getMatchDepth = function(groupIds, groupChain) {
+  const wanted = new Set((groupIds || []).map(id => (id._id || id).toString()));
+
+  return groupChain
+    .filter(group => wanted.has(group._id.toString()))
+    .reduce((depth, group) => Math.max(depth, group.ancestors.length + 1), 0);
+};
+
+// Device IDs covered by the given groups and all groups nested below them
+deviceGroupSchema.statics.expandDevices = async function(groupIds) {
+  if (!groupIds || groupIds.length === 0) {
+    return [];
+  }
+
+  const groups = await this.find({
+    $or: [
+      { _id: { $in: groupIds } },
+      { ancestors: { $in: groupIds } }
+    ]
+  }).select('devices').lean();
+
+  const ids = new Map();
+  for (const group of groups) {
+    for (const id of group.devices) {
+      ids.set(id.toString(), id);
+    }
+  }
+
+  return [...ids.values()];
+};
+
+deviceGroupSchema.statics.PARENT_TYPE = PARENT_TYPE;
+
+module.exports = mongoose.model('DeviceGroup', deviceGroupSchema);
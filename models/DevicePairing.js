@@ -0,0 +1,84 @@
+// models/DevicePairing.js - Short-lived codes a player exchanges for its device credential
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes can be typed from a screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const DEFAULT_PAIRING_TTL = parseInt(process.env.DEVICE_PAIRING_TTL_SECONDS) || 10 * 60;
+
+const devicePairingSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + DEFAULT_PAIRING_TTL * 1000)
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedFromIp: String
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired codes on its own
+devicePairingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+devicePairingSchema.index({ device: 1, usedAt: 1 });
+
+devicePairingSchema.statics.generateCode = function() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Create a fresh code for the device, replacing any unused one
+devicePairingSchema.statics.createForDevice = async function(deviceId, userId) {
+  await this.deleteMany({ device: deviceId, usedAt: null });
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await this.create({
+        code: this.generateCode(),
+        device: deviceId,
+        createdBy: userId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Retry on the rare code collision
+    }
+  }
+
+  throw new Error('Could not generate a unique pairing code');
+};
+
+// Atomically mark a valid code as used; null when unknown, used or expired
+devicePairingSchema.statics.redeem = function(code, ipAddress) {
+  return this.findOneAndUpdate(
+    {
+      code: String(code || '').trim().toUpperCase(),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date(), usedFromIp: ipAddress },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('DevicePairing', devicePairingSchema);
@@ -0,0 +1,114 @@
+// models/DeviceStatusHistory.js - One entry per device status change, used for uptime reporting
+const mongoose = require('mongoose');
+
+const DEVICE_STATUSES = ['online', 'offline', 'maintenance', 'error'];
+
+// History older than the longest uptime period is not needed (seconds)
+const HISTORY_RETENTION = 90 * 24 * 60 * 60;
+
+const UPTIME_PERIODS = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const deviceStatusHistorySchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    enum: DEVICE_STATUSES
+  },
+  to: {
+    type: String,
+    enum: DEVICE_STATUSES,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['heartbeat', 'missed-heartbeats', 'manual'],
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last heartbeat known at the time of the change
+  lastHeartbeat: Date
+}, {
+  timestamps: false
+});
+
+deviceStatusHistorySchema.index({ device: 1, changedAt: -1 });
+deviceStatusHistorySchema.index({ changedAt: 1 }, { expireAfterSeconds: HISTORY_RETENTION });
+
+deviceStatusHistorySchema.statics.recordTransition = function(device, from, to, reason) {
+  return this.create({
+    device: device._id,
+    deviceId: device.deviceId,
+    from,
+    to,
+    reason,
+    lastHeartbeat: device.lastHeartbeat
+  });
+};
+
+// Percentage of `periodMs` (up to `now`) the device spent online
+deviceStatusHistorySchema.statics.getUptime = async function(device, periodMs, now = new Date()) {
+  const periodStart = new Date(now.getTime() - periodMs);
+  // Time before the device was registered does not count against it
+  const start = device.createdAt && device.createdAt > periodStart ? new Date(device.createdAt) : periodStart;
+
+  const [before, transitions] = await Promise.all([
+    this.findOne({ device: device._id, changedAt: { $lte: start } }).sort({ changedAt: -1 }).lean(),
+    this.find({ device: device._id, changedAt: { $gt: start, $lte: now } }).sort({ changedAt: 1 }).lean()
+  ]);
+
+  // Status at the start of the period
+  let state = before ? before.to : (transitions[0]?.from || device.status);
+  let cursor = start;
+  let onlineMs = 0;
+
+  for (const transition of transitions) {
+    if (state === 'online') {
+      onlineMs += transition.changedAt - cursor;
+    }
+    cursor = transition.changedAt;
+    state = transition.to;
+  }
+
+  if (state === 'online') {
+    onlineMs += now - cursor;
+  }
+
+  const totalMs = now - start;
+
+  return {
+    percentage: totalMs > 0 ? Math.round((onlineMs / totalMs) * 10000) / 100 : 0,
+    onlineSeconds: Math.round(onlineMs / 1000),
+    periodSeconds: Math.round(totalMs / 1000),
+    transitions: transitions.length
+  };
+};
+
+// Uptime for every standard period, keyed '1d', '7d', '30d'
+deviceStatusHistorySchema.statics.getUptimeSummary = async function(device, now = new Date()) {
+  const summary = {};
+
+  for (const [period, periodMs] of Object.entries(UPTIME_PERIODS)) {
+    summary[period] = await this.getUptime(device, periodMs, now);
+  }
+
+  return summary;
+};
+
+deviceStatusHistorySchema.statics.UPTIME_PERIODS = UPTIME_PERIODS;
+
+module.exports = mongoose.model('DeviceStatusHistory', deviceStatusHistorySchema);
@@ -0,0 +1,209 @@
+// models/EmergencyAlert.js - Alerts that preempt every schedule on the screens they target
+const mongoose = require('mongoose');
+const DeviceGroup = require('./DeviceGroup');
+
+// CAP 1.2 severities, least to most severe
+const SEVERITIES = ['minor', 'moderate', 'severe', 'extreme'];
+
+const emergencyAlertSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Alert message is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  severity: {
+    type: String,
+    enum: {
+      values: SEVERITIES,
+      message: `Severity must be one of: ${SEVERITIES.join(', ')}`
+    },
+    default: 'severe'
+  },
+  // Optional content shown (looped) while the alert is in effect
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    default: null
+  },
+  // Empty targets reach every screen
+  targets: {
+    devices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }],
+    deviceGroups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceGroup'
+    }],
+    locations: [{
+      type: String,
+      trim: true
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cleared', 'expired'],
+    default: 'active'
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  // No expiry: the alert stays until cleared
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startsAt || value > this.startsAt;
+      },
+      message: 'Expiry must be after the alert start'
+    }
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'cap'],
+    default: 'manual'
+  },
+  // Origin of alerts ingested from CAP 1.2 messages
+  cap: {
+    identifier: String,
+    sender: String,
+    sent: Date,
+    msgType: String,
+    status: String,
+    event: String,
+    urgency: String,
+    certainty: String,
+    // Position of the <info> block the alert was built from
+    infoIndex: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clearedAt: Date,
+  clearReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+emergencyAlertSchema.index({ status: 1, startsAt: 1, expiresAt: 1 });
+emergencyAlertSchema.index({ createdAt: -1 });
+emergencyAlertSchema.index({ 'cap.sender': 1, 'cap.identifier': 1 }, { sparse: true });
+
+const sameLocation = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Whether the alert reaches every screen
+emergencyAlertSchema.statics.isGlobal = function(alert) {
+  const { devices = [], deviceGroups = [], locations = [] } = alert.targets || {};
+  return devices.length === 0 && deviceGroups.length === 0 && locations.length === 0;
+};
+
+// Whether the alert targets `device`; `groupChain` is the device's groups and their ancestors
+emergencyAlertSchema.statics.appliesTo = function(alert, device, groupChain = []) {
+  if (this.isGlobal(alert)) {
+    return true;
+  }
+  if (!device) {
+    return false;
+  }
+
+  const { devices = [], deviceGroups = [], locations = [] } = alert.targets;
+  const deviceId = device._id.toString();
+
+  return devices.some(d => (d._id || d).toString() === deviceId)
+    || DeviceGroup.getMatchDepth(deviceGroups, groupChain) > 0
+    || (!!device.location && locations.some(location => sameLocation(location, device.location)));
+};
+
+// Most severe first, then the newest
+emergencyAlertSchema.statics.comparePrecedence = function(a, b) {
+  const severity = SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+  if (severity !== 0) {
+    return severity;
+  }
+  return new Date(b.startsAt) - new Date(a.startsAt);
+};
+
+// Alerts in effect at `at`, most important first
+emergencyAlertSchema.statics.findActive = async function(at = new Date()) {
+  const alerts = await this.find({
+    status: 'active',
+    startsAt: { $lte: at },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+  })
+    .populate({
+      path: 'content',
+      match: { status: 'approved' },
+      select: 'title type duration filePath url htmlContent mimeType'
+    })
+    .lean();
+
+  return alerts.sort((a, b) => this.comparePrecedence(a, b));
+};
+
+// The alert preempting `device` (or, without a device, every screen) at `at`
+emergencyAlertSchema.statics.findActiveFor = async function(device = null, at = new Date()) {
+  const alerts = await this.findActive(at);
+  if (alerts.length === 0) {
+    return null;
+  }
+
+  const groupChain = device && alerts.some(alert => !this.isGlobal(alert))
+    ? await DeviceGroup.findGroupChainForDevice(device._id)
+    : [];
+
+  return alerts.find(alert => this.appliesTo(alert, device, groupChain)) || null;
+};
+
+// End an active alert early. Returns the updated alert, or null when it had
+// already ended (conditional update, so concurrent clears are harmless).
+emergencyAlertSchema.statics.clear = function(alertId, userId, reason) {
+  return this.findOneAndUpdate(
+    { _id: alertId, status: 'active' },
+    {
+      status: 'cleared',
+      clearedBy: userId,
+      clearedAt: new Date(),
+      clearReason: reason
+    },
+    { new: true }
+  );
+};
+
+// Flip alerts past their expiry to 'expired' and return them
+emergencyAlertSchema.statics.expireDue = async function(at = new Date()) {
+  const due = await this.find({ status: 'active', expiresAt: { $ne: null, $lte: at } });
+  const expired = [];
+
+  for (const alert of due) {
+    // Conditional update: the alert may have been cleared in the meantime
+    const result = await this.updateOne({ _id: alert._id, status: 'active' }, { status: 'expired' });
+    if (result.modifiedCount === 1) {
+      alert.status = 'expired';
+      expired.push(alert);
+    }
+  }
+
+  return expired;
+};
+
+emergencyAlertSchema.statics.SEVERITIES = SEVERITIES;
+
+module.exports = mongoose.model('EmergencyAlert', emergencyAlertSchema);
@@ -0,0 +1,130 @@
+// models/FallbackContent.js - Content shown when no schedule is active, so screens never go blank
+const mongoose = require('mongoose');
+
+// Resolution order, most specific first
+const FALLBACK_LEVELS = ['device', 'location', 'global'];
+
+// Locations are free text on devices; compare them case-insensitively
+const LOCATION_COLLATION = { locale: 'en', strength: 2 };
+
+const fallbackContentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  level: {
+    type: String,
+    required: [true, 'Fallback level is required'],
+    enum: {
+      values: FALLBACK_LEVELS,
+      message: `Level must be one of: ${FALLBACK_LEVELS.join(', ')}`
+    }
+  },
+  // Matches Device.location for the 'location' level
+  location: {
+    type: String,
+    trim: true,
+    default: null,
+    required: [
+      function() { return this.level === 'location'; },
+      'Location is required for location-level fallback content'
+    ]
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null,
+    required: [
+      function() { return this.level === 'device'; },
+      'Device is required for device-level fallback content'
+    ]
+  },
+  // Same shape as Schedule.content so the playlist engine can loop it
+  content: {
+    type: [{
+      contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true
+      },
+      order: {
+        type: Number,
+        default: 0
+      },
+      customDuration: {
+        type: Number,
+        min: [1, 'Duration must be at least 1 second']
+      }
+    }],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'Fallback content needs at least one content item'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per device, per location and one global entry
+fallbackContentSchema.index(
+  { level: 1, location: 1, device: 1 },
+  { unique: true, collation: LOCATION_COLLATION }
+);
+
+// Only the field belonging to the level is kept
+fallbackContentSchema.pre('validate', function(next) {
+  if (this.level !== 'location') this.location = null;
+  if (this.level !== 'device') this.device = null;
+  next();
+});
+
+/**
+ * Fallback content for `device` (or, without a device, the global entry):
+ * the device's own entry, else its location's, else the global one. Entries
+ * without approved content are skipped. Returns a lean document with the
+ * content populated, or null.
+ */
+fallbackContentSchema.statics.resolveFor = async function(device = null) {
+  const conditions = [{ level: 'global' }];
+  if (device && device.location) {
+    conditions.push({ level: 'location', location: device.location });
+  }
+  if (device) {
+    conditions.push({ level: 'device', device: device._id });
+  }
+
+  const candidates = await this.find({ isActive: true, $or: conditions })
+    .collation(LOCATION_COLLATION)
+    .populate({
+      path: 'content.contentId',
+      match: { status: 'approved' },
+      select: 'title type duration filePath url htmlContent mimeType'
+    })
+    .lean();
+
+  const playable = candidates
+    .map(fallback => ({ ...fallback, content: fallback.content.filter(item => item.contentId) }))
+    .filter(fallback => fallback.content.length > 0)
+    .sort((a, b) => FALLBACK_LEVELS.indexOf(a.level) - FALLBACK_LEVELS.indexOf(b.level));
+
+  return playable[0] || null;
+};
+
+fallbackContentSchema.statics.FALLBACK_LEVELS = FALLBACK_LEVELS;
+fallbackContentSchema.statics.LOCATION_COLLATION = LOCATION_COLLATION;
+
+module.exports = mongoose.model('FallbackContent', fallbackContentSchema);
@@ -0,0 +1,106 @@
+// models/MediaAsset.js - One stored media file, shared by every Content with the same bytes
+const mongoose = require('mongoose');
+const { STORAGE_DRIVERS } = require('../services/storage');
+
+const mediaAssetSchema = new mongoose.Schema({
+  // SHA-256 of the file, hex
+  checksum: {
+    type: String,
+    required: true,
+    match: /^[a-f0-9]{64}$/
+  },
+  // Public path ("uploads/<key>"); the bytes live in `storageDriver` under <key>
+  filePath: {
+    type: String,
+    required: true
+  },
+  storageDriver: {
+    type: String,
+    enum: STORAGE_DRIVERS,
+    default: 'local'
+  },
+  fileSize: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mimeType: String,
+  // Content documents using this file; the file is removed when it drops to 0
+  refCount: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  firstUploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ checksum: 1 }, { unique: true });
+mediaAssetSchema.index({ filePath: 1 });
+
+// Take a reference on the asset with `checksum` if there is one (null otherwise)
+mediaAssetSchema.statics.reference = function(checksum) {
+  return this.findOneAndUpdate(
+    { checksum },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Take a reference on the asset with `checksum`, creating it from the given
+ * file when there is none. Resolves to `{ asset, reused }`; when `reused` is
+ * true the caller's file is a duplicate and can be discarded.
+ */
+mediaAssetSchema.statics.acquire = async function({ checksum, filePath, storageDriver, fileSize, mimeType, uploadedBy }) {
+  for (let attempt = 0; ; attempt++) {
+    const existing = await this.reference(checksum);
+    if (existing) {
+      return { asset: existing, reused: true };
+    }
+
+    try {
+      const asset = await this.create({
+        checksum,
+        filePath,
+        storageDriver,
+        fileSize,
+        mimeType,
+        firstUploadedBy: uploadedBy
+      });
+      return { asset, reused: false };
+    } catch (error) {
+      // Someone stored the same file at the same moment; take a reference on theirs
+      if (error.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Drop a reference. Resolves to the asset when this was the last one (it has
+ * been deleted and its file should be removed), otherwise null.
+ */
+mediaAssetSchema.statics.release = async function(assetId) {
+  const asset = await this.findOneAndUpdate(
+    { _id: assetId, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+  if (!asset || asset.refCount > 0) {
+    return null;
+  }
+
+  // Only delete if nobody re-acquired it in the meantime
+  const deleted = await this.findOneAndDelete({ _id: assetId, refCount: { $lte: 0 } });
+  return deleted;
+};
+
+mediaAssetSchema.statics.STORAGE_DRIVERS = STORAGE_DRIVERS;
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
@@ -0,0 +1,88 @@
+// models/PlayEvent.js - Proof-of-play: one entry per content playback reported by a player
+const mongoose = require('mongoose');
+
+const PLAY_STATUSES = ['completed', 'interrupted', 'skipped', 'error'];
+
+const playEventSchema = new mongoose.Schema({
+  // Client-generated id so players can safely retry a batch
+  eventId: {
+    type: String,
+    required: [true, 'Event id is required'],
+    trim: true,
+    maxlength: 100
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: [true, 'Content is required']
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
+  // Set for campaign items played into a schedule; counts towards the campaign goal
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endedAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startedAt || value >= this.startedAt;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  // Seconds actually on screen
+  duration: {
+    type: Number,
+    min: 0
+  },
+  // Seconds the playlist allotted to the item
+  expectedDuration: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PLAY_STATUSES,
+      message: `Status must be one of: ${PLAY_STATUSES.join(', ')}`
+    },
+    default: 'completed'
+  },
+  playlistIndex: Number,
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+playEventSchema.index({ device: 1, eventId: 1 }, { unique: true });
+playEventSchema.index({ startedAt: -1 });
+playEventSchema.index({ content: 1, startedAt: -1 });
+playEventSchema.index({ schedule: 1, startedAt: -1 });
+playEventSchema.index({ campaign: 1, status: 1, startedAt: -1 });
+
+playEventSchema.statics.PLAY_STATUSES = PLAY_STATUSES;
+
+module.exports = mongoose.model('PlayEvent', playEventSchema);
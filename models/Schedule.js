@@ -1,6 +1,9 @@
 // models/Schedule.js - PRODUCTION-READY VERSION WITH ALL FIXES
 const mongoose = require('mongoose');
 const moment = require('moment-timezone');
+const DeviceGroup = require('./DeviceGroup');
+const recurrence = require('../services/recurrence');
+const scheduleEvents = require('../services/scheduleEvents');
 
 // Helper function for timezone conversion
 const convertToUTC = (dateString, timeString, timezone) => {
@@ -12,6 +15,33 @@ const convertToUTC = (dateString, timeString, timezone) => {
   }
 };
 
+const TIME_MODES = ['fixed', 'device-local'];
+// How the content list is turned into a play sequence (see services/playlistEngine)
+const PLAYLIST_MODES = ['sequential', 'shuffle', 'weighted'];
+
+// draft → pending_review → approved → published; rejection returns to draft
+const WORKFLOW_STATES = ['draft', 'pending_review', 'approved', 'published'];
+
+// Allowed workflow actions: the states they start from and the state they lead to
+const WORKFLOW_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending_review' },
+  approve: { from: ['pending_review'], to: 'approved' },
+  reject: { from: ['pending_review'], to: 'draft' },
+  publish: { from: ['approved'], to: 'published' },
+  unpublish: { from: ['published'], to: 'approved' }
+};
+
+// Calendar day (YYYY-MM-DD) of a stored start/end date. Date-only input is
+// stored as UTC midnight and keeps its day in every zone; anything else is
+// read in the zone the schedule was written in.
+const toCalendarDate = (date, timezone) => {
+  const utc = moment.utc(date);
+  if (utc.clone().startOf('day').isSame(utc)) {
+    return utc.format('YYYY-MM-DD');
+  }
+  return moment.tz(date, timezone).format('YYYY-MM-DD');
+};
+
 const scheduleSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -40,12 +70,38 @@ const scheduleSchema = new mongoose.Schema({
       type: Number,
       min: 1,
       max: 86400 // Max 24 hours in seconds
+    },
+    // Share of loop time in weighted mode, relative to the other items
+    weight: {
+      type: Number,
+      min: 1,
+      max: 1000,
+      default: 1
+    },
+    maxPlaysPerHour: {
+      type: Number,
+      min: 1,
+      max: 3600,
+      default: null
     }
   }],
+  playlistMode: {
+    type: String,
+    enum: {
+      values: PLAYLIST_MODES,
+      message: `Playlist mode must be one of: ${PLAYLIST_MODES.join(', ')}`
+    },
+    default: 'sequential'
+  },
   devices: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Device'
   }],
+  // Targets every device in these groups and in the groups nested below them
+  deviceGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceGroup'
+  }],
   startDate: {
     type: Date,
     required: true,
@@ -90,21 +146,11 @@ const scheduleSchema = new mongoose.Schema({
       message: 'Invalid end time - hours must be 0-23, minutes must be 0-59'
     }
   },
+  // Any IANA zone. For device-local schedules this is the zone used for
+  // screens without a timezone of their own (and for plain viewers).
   timezone: {
     type: String,
     default: 'Asia/Kolkata',
-    enum: {
-      values: [
-        'Asia/Kolkata',     // India Standard Time (IST)
-        'Asia/Mumbai',      // Alternative IST identifier
-        'Asia/Delhi',       // Alternative IST identifier  
-        'Asia/Calcutta',    // Legacy IST identifier
-        'UTC',              // Universal Coordinated Time
-        'Asia/Dhaka',       // Bangladesh Standard Time
-        'Asia/Kathmandu'    // Nepal Time (for regional compatibility)
-      ],
-      message: 'Timezone must be a supported timezone'
-    },
     validate: {
       validator: function(timezone) {
         try {
@@ -116,11 +162,21 @@ const scheduleSchema = new mongoose.Schema({
       message: 'Invalid timezone identifier'
     }
   },
+  // 'fixed': times are in `timezone` for every screen.
+  // 'device-local': times are local to each screen (Device.timezone).
+  timeMode: {
+    type: String,
+    enum: {
+      values: TIME_MODES,
+      message: `Time mode must be one of: ${TIME_MODES.join(', ')}`
+    },
+    default: 'fixed'
+  },
   repeat: {
     type: String,
     enum: {
-      values: ['none', 'daily', 'weekly', 'monthly'],
-      message: 'Repeat must be one of: none, daily, weekly, monthly'
+      values: ['none', 'daily', 'weekly', 'monthly', 'custom'],
+      message: 'Repeat must be one of: none, daily, weekly, monthly, custom'
     },
     default: 'none',
     validate: {
@@ -145,11 +201,70 @@ const scheduleSchema = new mongoose.Schema({
       message: 'Week day must be an integer between 0 and 6'
     }
   }],
+  // RFC 5545 RRULE used when repeat is 'custom', e.g. "FREQ=MONTHLY;BYDAY=1MO"
+  rrule: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.repeat === 'custom'; },
+      'Custom repeat requires a recurrence rule'
+    ],
+    validate: {
+      // Throws so the parser's explanation ends up in the message
+      validator: function(value) {
+        if (this.repeat === 'custom') {
+          recurrence.parseRule(value);
+        }
+        return true;
+      },
+      message: props => `Invalid recurrence rule: ${props.reason ? props.reason.message : props.value}`
+    }
+  },
+  // Days (YYYY-MM-DD, schedule timezone) on which no occurrence starts, e.g. holidays
+  exdates: [{
+    type: String,
+    validate: {
+      validator: function(value) {
+        return moment(value, 'YYYY-MM-DD', true).isValid();
+      },
+      message: 'Exception dates must be in YYYY-MM-DD format'
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true,
     index: true
   },
+  // Review workflow; only published schedules play. Schedules saved before the
+  // workflow existed have no state and count as published.
+  workflowState: {
+    type: String,
+    enum: {
+      values: WORKFLOW_STATES,
+      message: `Workflow state must be one of: ${WORKFLOW_STATES.join(', ')}`
+    }
+  },
+  workflow: {
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: Date,
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: Date,
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: Date,
+    unpublishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    unpublishedAt: Date
+  },
+  // Published schedules are taken off air automatically at this time
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  reviewComments: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    comment: { type: String, trim: true, maxlength: 1000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
   priority: {
     type: Number,
     default: 1,
@@ -197,90 +312,142 @@ scheduleSchema.index({ priority: -1, isActive: 1 });
 scheduleSchema.index({ 'metadata.lastActivated': -1 });
 scheduleSchema.index({ startDate: 1, endDate: 1, isActive: 1 });
 scheduleSchema.index({ repeat: 1, isActive: 1 });
+scheduleSchema.index({ devices: 1, isActive: 1 });
+scheduleSchema.index({ deviceGroups: 1, isActive: 1 });
+scheduleSchema.index({ workflowState: 1, unpublishAt: 1 });
 
-// ENHANCED: Robust schedule activity checking with proper repeat handling
-scheduleSchema.methods.isCurrentlyActive = function() {
-  try {
-    if (!this.isActive) {
-      return false;
-    }
+// The schedule's recurrence as an RRULE; legacy repeat values map to their equivalent
+scheduleSchema.methods.getRecurrenceRule = function() {
+  if (this.repeat === 'custom') {
+    return this.rrule;
+  }
 
-    const scheduleTimezone = this.timezone || 'Asia/Kolkata';
-    const now = moment.tz(scheduleTimezone);
+  return recurrence.legacyRepeatToRule(this.repeat, {
+    weekDays: this.weekDays,
+    dayOfMonth: Number(this.getCalendarDates().startDate.slice(8, 10))
+  });
+};
 
-    // Parse time components
-    const [startHour, startMinute] = this.startTime.split(':').map(Number);
-    const [endHour, endMinute] = this.endTime.split(':').map(Number);
+// First and last day (YYYY-MM-DD) of the schedule period
+scheduleSchema.methods.getCalendarDates = function() {
+  const authoredIn = this.timezone || 'Asia/Kolkata';
+  return {
+    startDate: toCalendarDate(this.startDate, authoredIn),
+    endDate: toCalendarDate(this.endDate, authoredIn)
+  };
+};
+
+// Zone the schedule's times are evaluated in: the screen's own zone for
+// device-local schedules localized with localizeTo(), else `timezone`
+scheduleSchema.methods.getEvaluationTimezone = function() {
+  if (this.timeMode === 'device-local' && this.$locals.timezone) {
+    return this.$locals.timezone;
+  }
+  return this.timezone || 'Asia/Kolkata';
+};
 
-    // Check if current date is within the schedule date range (for non-repeating schedules)
-    if (this.repeat === 'none') {
-      const currentDate = now.format('YYYY-MM-DD');
-      const startDate = moment.tz(this.startDate, scheduleTimezone).format('YYYY-MM-DD');
-      const endDate = moment.tz(this.endDate, scheduleTimezone).format('YYYY-MM-DD');
+// Evaluate a device-local schedule in `timezone` (a screen's zone; null resets
+// to the schedule's own zone). Fixed schedules ignore it. Returns the document.
+scheduleSchema.methods.localizeTo = function(timezone) {
+  this.$locals.timezone = timezone && moment.tz.zone(timezone) ? timezone : null;
+  return this;
+};
 
-      if (currentDate < startDate || currentDate > endDate) {
-        return false;
-      }
-    }
+// Days (YYYY-MM-DD, schedule timezone) between `from` and `to` on which an
+// occurrence starts, bounded by the schedule period and minus exception dates
+scheduleSchema.methods.getOccurrenceDates = function(from, to) {
+  // Weekly schedules without week days never run
+  if (this.repeat === 'weekly' && (!this.weekDays || this.weekDays.length === 0)) {
+    return [];
+  }
+
+  const { startDate, endDate } = this.getCalendarDates();
+  const rangeEnd = to < endDate ? to : endDate;
+
+  const exdates = new Set(this.exdates || []);
+  return recurrence.expandDates(this.getRecurrenceRule(), startDate, from, rangeEnd)
+    .filter(date => !exdates.has(date));
+};
+
+// Whether an occurrence of this schedule starts on the given day (moment in schedule timezone)
+scheduleSchema.methods.occursOn = function(day) {
+  const date = day.format('YYYY-MM-DD');
+  return this.getOccurrenceDates(date, date).length > 0;
+};
+
+// Whether the daily window crosses midnight (end time is next day)
+scheduleSchema.methods.isOvernight = function() {
+  const [startHour, startMinute] = this.startTime.split(':').map(Number);
+  const [endHour, endMinute] = this.endTime.split(':').map(Number);
+  return endHour < startHour || (endHour === startHour && endMinute <= startMinute);
+};
+
+// Window of the occurrence starting on `day` (moment in schedule timezone).
+// Wall-clock times are resolved on their own day, so windows stretch or shrink
+// with a DST change, and a time inside a DST gap is pushed forward by the gap's
+// length (02:30 becomes 03:30 when clocks skip from 02:00 to 03:00).
+scheduleSchema.methods.getWindowForDay = function(day) {
+  const timezone = day.tz() || this.getEvaluationTimezone();
+  const date = day.format('YYYY-MM-DD');
+  const endDate = this.isOvernight() ? day.clone().add(1, 'day').format('YYYY-MM-DD') : date;
+
+  return {
+    start: moment.tz(`${date} ${this.startTime}`, 'YYYY-MM-DD HH:mm', timezone),
+    end: moment.tz(`${endDate} ${this.endTime}`, 'YYYY-MM-DD HH:mm', timezone)
+  };
+};
+
+// Start and end of the occurrence running at `at`, or null when outside any window
+scheduleSchema.methods.getActiveWindow = function(at = new Date()) {
+  const scheduleTimezone = this.getEvaluationTimezone();
+  const now = moment.tz(at, scheduleTimezone);
 
-    // FIXED: Create today's schedule times (not using startDate/endDate for time window)
-    const todayStart = moment.tz(scheduleTimezone)
-      .hour(startHour)
-      .minute(startMinute)
-      .second(0)
-      .millisecond(0);
+  // An overnight occurrence that started yesterday may still be running
+  const candidateDays = this.isOvernight()
+    ? [now.clone().subtract(1, 'day'), now.clone()]
+    : [now.clone()];
 
-    let todayEnd = moment.tz(scheduleTimezone)
-      .hour(endHour)
-      .minute(endMinute)
-      .second(0)
-      .millisecond(0);
+  for (const day of candidateDays) {
+    if (!this.occursOn(day)) continue;
 
-    // Handle overnight schedules (end time is next day)
-    if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-      todayEnd.add(1, 'day');
+    const window = this.getWindowForDay(day);
+    if (now.isBetween(window.start, window.end, null, '[]')) {
+      return { start: window.start.toDate(), end: window.end.toDate() };
     }
+  }
 
-    // Check if current time is within today's schedule time range
-    const isWithinTimeRange = now.isBetween(todayStart, todayEnd, null, '[]');
+  return null;
+};
 
-    // ADDED: Handle repeat patterns
-    if (this.repeat === 'weekly') {
-      if (!this.weekDays || this.weekDays.length === 0) {
-        return false; // Invalid weekly schedule
-      }
-      const currentWeekDay = now.day(); // 0 = Sunday, 6 = Saturday
-      const isValidWeekDay = this.weekDays.includes(currentWeekDay);
-      return isWithinTimeRange && isValidWeekDay;
-    }
-
-    if (this.repeat === 'daily') {
-      // For daily schedules, only check time range (ignore date range)
-      const scheduleStartDate = moment.tz(this.startDate, scheduleTimezone);
-      const scheduleEndDate = moment.tz(this.endDate, scheduleTimezone);
-      
-      // Check if today is within the overall schedule period
-      if (now.isBefore(scheduleStartDate, 'day') || now.isAfter(scheduleEndDate, 'day')) {
-        return false;
-      }
-      
-      return isWithinTimeRange;
+// Every occurrence window overlapping [from, to), in chronological order
+scheduleSchema.methods.getOccurrences = function(from, to) {
+  const scheduleTimezone = this.getEvaluationTimezone();
+  const rangeStart = moment.tz(from, scheduleTimezone);
+  const rangeEnd = moment.tz(to, scheduleTimezone);
+
+  // Start a day early so an overnight window spilling into the range is included
+  const firstDay = rangeStart.clone().subtract(1, 'day').format('YYYY-MM-DD');
+  const lastDay = rangeEnd.format('YYYY-MM-DD');
+
+  const occurrences = [];
+  for (const date of this.getOccurrenceDates(firstDay, lastDay)) {
+    const window = this.getWindowForDay(moment.tz(date, 'YYYY-MM-DD', scheduleTimezone));
+    if (window.end.isAfter(rangeStart) && window.start.isBefore(rangeEnd)) {
+      occurrences.push({ start: window.start.toDate(), end: window.end.toDate() });
     }
+  }
 
-    if (this.repeat === 'monthly') {
-      const currentDay = now.date();
-      const scheduleDay = moment.tz(this.startDate, scheduleTimezone).date();
-      
-      // Check if today's date matches the schedule's day of month
-      if (currentDay !== scheduleDay) {
-        return false;
-      }
-      
-      return isWithinTimeRange;
+  return occurrences;
+};
+
+// ENHANCED: Robust schedule activity checking with proper repeat handling
+scheduleSchema.methods.isCurrentlyActive = function(at = new Date()) {
+  try {
+    if (!this.isActive) {
+      return false;
     }
 
-    // For 'none' repeat, check both date and time range
-    return isWithinTimeRange;
+    return this.getActiveWindow(at) !== null;
 
   } catch (error) {
     console.error('Error checking schedule activity:', error);
@@ -288,44 +455,49 @@ scheduleSchema.methods.isCurrentlyActive = function() {
   }
 };
 
-// ENHANCED: Better timezone conversion methods
-scheduleSchema.methods.getTimesInIST = function() {
+// Start and end of the occurrence on `on` (default today) converted to
+// `targetTimezone`. Uses that day's offsets, so DST changes are reflected.
+scheduleSchema.methods.getTimesInZone = function(targetTimezone, on = new Date()) {
   try {
-    const scheduleTimezone = this.timezone || 'Asia/Kolkata';
-    
-    // Parse time components
-    const [startHour, startMinute] = this.startTime.split(':').map(Number);
-    const [endHour, endMinute] = this.endTime.split(':').map(Number);
-    
-    // Create moments for start and end times in the schedule timezone
-    const startMoment = moment.tz(scheduleTimezone)
-      .hour(startHour)
-      .minute(startMinute)
-      .second(0);
-      
-    const endMoment = moment.tz(scheduleTimezone)
-      .hour(endHour)
-      .minute(endMinute)
-      .second(0);
-
-    // Convert to IST
-    const startIST = startMoment.clone().tz('Asia/Kolkata');
-    const endIST = endMoment.clone().tz('Asia/Kolkata');
+    const scheduleTimezone = this.getEvaluationTimezone();
+    const day = moment.tz(on, scheduleTimezone).startOf('day');
+    const window = this.getWindowForDay(day);
+
+    const start = window.start.clone().tz(targetTimezone);
+    const end = window.end.clone().tz(targetTimezone);
 
     return {
-      startIST: startIST.format('YYYY-MM-DD HH:mm:ss'),
-      endIST: endIST.format('YYYY-MM-DD HH:mm:ss'),
-      startISTTime: startIST.format('HH:mm'),
-      endISTTime: endIST.format('HH:mm'),
-      startISTDate: startIST.format('YYYY-MM-DD'),
-      endISTDate: endIST.format('YYYY-MM-DD')
+      timezone: targetTimezone,
+      start: start.format('YYYY-MM-DD HH:mm:ss'),
+      end: end.format('YYYY-MM-DD HH:mm:ss'),
+      startTime: start.format('HH:mm'),
+      endTime: end.format('HH:mm'),
+      startDate: start.format('YYYY-MM-DD'),
+      endDate: end.format('YYYY-MM-DD')
     };
   } catch (error) {
-    console.error('Error converting times to IST:', error);
+    console.error(`Error converting times to ${targetTimezone}:`, error);
     return null;
   }
 };
 
+// Schedule times in India Standard Time (kept for existing clients)
+scheduleSchema.methods.getTimesInIST = function(on = new Date()) {
+  const times = this.getTimesInZone('Asia/Kolkata', on);
+  if (!times) {
+    return null;
+  }
+
+  return {
+    startIST: times.start,
+    endIST: times.end,
+    startISTTime: times.startTime,
+    endISTTime: times.endTime,
+    startISTDate: times.startDate,
+    endISTDate: times.endDate
+  };
+};
+
 // NEW: Get schedule duration in minutes
 scheduleSchema.methods.getDurationInMinutes = function() {
   try {
@@ -347,32 +519,62 @@ scheduleSchema.methods.getDurationInMinutes = function() {
   }
 };
 
-// NEW: Check if schedule conflicts with another schedule
-scheduleSchema.methods.conflictsWith = function(otherSchedule) {
-  try {
-    // Check if schedules overlap in date range
-    const thisStart = moment(this.startDate);
-    const thisEnd = moment(this.endDate);
-    const otherStart = moment(otherSchedule.startDate);
-    const otherEnd = moment(otherSchedule.endDate);
+// Range over which two schedules can both run: the overlap of their date
+// periods, starting no earlier than `from` and at most `horizonDays` long
+scheduleSchema.methods.getSharedRange = function(otherSchedule, from = new Date(), horizonDays = 366) {
+  // Calendar days begin up to a day apart across zones, so the bounds are padded
+  const start = moment.max(
+    moment(from),
+    moment(this.startDate).startOf('day').subtract(1, 'day'),
+    moment(otherSchedule.startDate).startOf('day').subtract(1, 'day')
+  );
 
-    const datesOverlap = thisStart.isSameOrBefore(otherEnd) && thisEnd.isSameOrAfter(otherStart);
-    
-    if (!datesOverlap) {
-      return false;
+  // Overnight windows of the last day run into the following day
+  const end = moment.min(
+    moment(this.endDate).endOf('day').add(1, 'day'),
+    moment(otherSchedule.endDate).endOf('day').add(1, 'day'),
+    start.clone().add(horizonDays, 'days')
+  );
+
+  return end.isAfter(start) ? { from: start.toDate(), to: end.toDate() } : null;
+};
+
+// First interval during which both schedules are on air, or null. Takes repeat
+// rules, week days, overnight windows and differing timezones into account.
+scheduleSchema.methods.findOverlapWith = function(otherSchedule, from = new Date(), horizonDays = 366) {
+  const range = this.getSharedRange(otherSchedule, from, horizonDays);
+  if (!range) {
+    return null;
+  }
+
+  const mine = this.getOccurrences(range.from, range.to);
+  const theirs = otherSchedule.getOccurrences(range.from, range.to);
+
+  // Both lists are sorted; walk them together
+  let i = 0;
+  let j = 0;
+  while (i < mine.length && j < theirs.length) {
+    const start = Math.max(mine[i].start, theirs[j].start);
+    const end = Math.min(mine[i].end, theirs[j].end);
+
+    if (start < end) {
+      return { start: new Date(start), end: new Date(end) };
     }
 
-    // Check if time ranges overlap
-    const thisStartMinutes = this.getTimeInMinutes(this.startTime);
-    const thisEndMinutes = this.getTimeInMinutes(this.endTime);
-    const otherStartMinutes = this.getTimeInMinutes(otherSchedule.startTime);
-    const otherEndMinutes = this.getTimeInMinutes(otherSchedule.endTime);
+    if (mine[i].end <= theirs[j].end) {
+      i++;
+    } else {
+      j++;
+    }
+  }
 
-    // Handle overnight schedules
-    const thisEndAdjusted = thisEndMinutes <= thisStartMinutes ? thisEndMinutes + 1440 : thisEndMinutes;
-    const otherEndAdjusted = otherEndMinutes <= otherStartMinutes ? otherEndMinutes + 1440 : otherEndMinutes;
+  return null;
+};
 
-    return thisStartMinutes < otherEndAdjusted && thisEndAdjusted > otherStartMinutes;
+// NEW: Check if schedule conflicts with another schedule (time only, targets are not compared)
+scheduleSchema.methods.conflictsWith = function(otherSchedule) {
+  try {
+    return this.findOverlapWith(otherSchedule) !== null;
   } catch (error) {
     console.error('Error checking schedule conflicts:', error);
     return false;
@@ -385,16 +587,187 @@ scheduleSchema.methods.getTimeInMinutes = function(timeString) {
   return hours * 60 + minutes;
 };
 
-// ENHANCED: Static method to find currently active schedules
-scheduleSchema.statics.findCurrentlyActive = async function() {
+// Query matching schedules that are published and not yet due to be unpublished at `at`
+scheduleSchema.statics.liveFilter = function(at = new Date()) {
+  return {
+    workflowState: { $in: ['published', null] },
+    unpublishAt: { $not: { $lte: at } }
+  };
+};
+
+// Workflow state, with the pre-workflow (missing) state reported as published
+scheduleSchema.methods.getWorkflowState = function() {
+  return this.workflowState || 'published';
+};
+
+scheduleSchema.methods.isLive = function(at = new Date()) {
+  return this.getWorkflowState() === 'published'
+    && (!this.unpublishAt || new Date(this.unpublishAt) > at);
+};
+
+/**
+ * Move the schedule through the review workflow (not saved). `action` is one
+ * of submit, approve, reject, publish or unpublish. Throws an error with
+ * `statusCode` 409 when the action is not allowed from the current state and
+ * 400 when a rejection has no comment.
+ */
+scheduleSchema.methods.applyWorkflowAction = function(action, user, { comment, unpublishAt } = {}, at = new Date()) {
+  const transition = WORKFLOW_TRANSITIONS[action];
+  const from = this.getWorkflowState();
+
+  if (!transition || !transition.from.includes(from)) {
+    const error = new Error(`Cannot ${action} a schedule that is ${from.replace('_', ' ')}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  if (action === 'reject' && !(comment && comment.trim())) {
+    const error = new Error('A comment is required when rejecting a schedule');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!this.workflow) this.workflow = {};
+
+  switch (action) {
+    case 'submit':
+      this.workflow.submittedBy = user._id;
+      this.workflow.submittedAt = at;
+      break;
+    case 'approve':
+    case 'reject':
+      this.reviewComments.push({
+        author: user._id,
+        decision: action === 'approve' ? 'approved' : 'rejected',
+        comment,
+        createdAt: at
+      });
+      if (action === 'approve') {
+        this.workflow.approvedBy = user._id;
+        this.workflow.approvedAt = at;
+      }
+      break;
+    case 'publish':
+      this.workflow.publishedBy = user._id;
+      this.workflow.publishedAt = at;
+      this.unpublishAt = unpublishAt || null;
+      break;
+    case 'unpublish':
+      this.workflow.unpublishedBy = user ? user._id : undefined;
+      this.workflow.unpublishedAt = at;
+      this.unpublishAt = null;
+      break;
+  }
+
+  this.workflowState = transition.to;
+  return { from, to: transition.to };
+};
+
+// Unpublish schedules whose `unpublishAt` has passed; returns them
+scheduleSchema.statics.unpublishDue = async function(at = new Date()) {
+  const due = await this.find({ workflowState: { $in: ['published', null] }, unpublishAt: { $ne: null, $lte: at } });
+  const unpublished = [];
+
+  for (const schedule of due) {
+    // Conditional update: it may have been unpublished by hand in the meantime
+    const result = await this.updateOne(
+      { _id: schedule._id, unpublishAt: schedule.unpublishAt },
+      {
+        workflowState: 'approved',
+        unpublishAt: null,
+        'workflow.unpublishedAt': at,
+        $unset: { 'workflow.unpublishedBy': 1 }
+      }
+    );
+    if (result.modifiedCount === 1) {
+      unpublished.push(schedule);
+    }
+  }
+
+  return unpublished;
+};
+
+// Query restricting schedules to those a device may play: schedules that list
+// the device or one of its groups (`groupChain`, enclosing groups included),
+// plus schedules with no targets at all (they play everywhere)
+scheduleSchema.statics.targetingFilter = function(device, groupChain = []) {
+  if (!device) {
+    return {};
+  }
+
+  return {
+    $or: [
+      { devices: device._id },
+      { deviceGroups: { $in: groupChain.map(group => group._id) } },
+      { 'devices.0': { $exists: false }, 'deviceGroups.0': { $exists: false } }
+    ]
+  };
+};
+
+// How specifically a schedule targets the device: 'device', 'group' or 'all'.
+// For group matches, `depth` is the level of the closest matching group.
+scheduleSchema.statics.getTargetMatch = function(schedule, device, groupChain = []) {
+  if (!device) {
+    return { type: 'all', depth: 0 };
+  }
+
+  const deviceId = device._id.toString();
+  if ((schedule.devices || []).some(d => (d._id || d).toString() === deviceId)) {
+    return { type: 'device', depth: 0 };
+  }
+
+  const depth = DeviceGroup.getMatchDepth(schedule.deviceGroups, groupChain);
+  if (depth > 0) {
+    return { type: 'group', depth };
+  }
+
+  return { type: 'all', depth: 0 };
+};
+
+const TARGET_MATCH_RANK = { device: 2, group: 1, all: 0 };
+
+// Deterministic precedence between two active schedules: higher priority,
+// then the more specific target (device, closest group, everyone), then the
+// newest, then the highest _id
+scheduleSchema.statics.comparePrecedence = function(a, b) {
+  if ((b.priority || 1) !== (a.priority || 1)) {
+    return (b.priority || 1) - (a.priority || 1);
+  }
+
+  const matchA = a.targetMatch || { type: 'all', depth: 0 };
+  const matchB = b.targetMatch || { type: 'all', depth: 0 };
+
+  const specificity = TARGET_MATCH_RANK[matchB.type] - TARGET_MATCH_RANK[matchA.type];
+  if (specificity !== 0) {
+    return specificity;
+  }
+
+  if (matchB.depth !== matchA.depth) {
+    return matchB.depth - matchA.depth;
+  }
+
+  const created = new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  if (created !== 0) {
+    return created;
+  }
+
+  return b._id.toString().localeCompare(a._id.toString());
+};
+
+// ENHANCED: Static method to find currently active schedules.
+// Pass `options.device` (a Device document) to only consider schedules targeting it.
+scheduleSchema.statics.findCurrentlyActive = async function(at = new Date(), options = {}) {
   try {
-    const schedules = await this.find({ isActive: true })
+    const { device = null } = options;
+    const groupChain = device ? await DeviceGroup.findGroupChainForDevice(device._id) : [];
+
+    const schedules = await this.find({ isActive: true, ...this.liveFilter(at), ...this.targetingFilter(device, groupChain) })
       .populate({
         path: 'content.contentId',
         match: { status: 'approved' },
         select: 'title type duration filePath url htmlContent mimeType status'
       })
       .populate('devices', 'name deviceId location status')
+      .populate('deviceGroups', 'name type')
       .populate('createdBy', 'name email role')
       .lean();
 
@@ -407,12 +780,18 @@ scheduleSchema.statics.findCurrentlyActive = async function() {
     
     for (const schedule of schedules) {
       try {
-        // Convert lean object back to mongoose document for method access
-        const scheduleDoc = new this(schedule);
+        // Convert lean object back to mongoose document for method access;
+        // device-local schedules are evaluated in the screen's timezone
+        const scheduleDoc = new this(schedule).localizeTo(device ? device.timezone : null);
         
-        if (scheduleDoc.isCurrentlyActive()) {
+        const activeWindow = scheduleDoc.isActive ? scheduleDoc.getActiveWindow(at) : null;
+
+        if (activeWindow) {
+          schedule.effectiveTimezone = scheduleDoc.getEvaluationTimezone();
           // Filter out content items where contentId is null (failed population)
           schedule.content = schedule.content.filter(item => item.contentId);
+          schedule.activeWindow = activeWindow;
+          schedule.targetMatch = this.getTargetMatch(schedule, device, groupChain);
           
           // Only include schedules that have valid content
           if (schedule.content.length > 0) {
@@ -424,13 +803,7 @@ scheduleSchema.statics.findCurrentlyActive = async function() {
       }
     }
 
-    // Sort by priority (highest first), then by creation date
-    return activeSchedules.sort((a, b) => {
-      if (b.priority !== a.priority) {
-        return b.priority - a.priority;
-      }
-      return new Date(b.createdAt) - new Date(a.createdAt);
-    });
+    return activeSchedules.sort((a, b) => this.comparePrecedence(a, b));
 
   } catch (error) {
     console.error('Error finding currently active schedules:', error);
@@ -438,6 +811,11 @@ scheduleSchema.statics.findCurrentlyActive = async function() {
   }
 };
 
+// Device-scoped variant of findCurrentlyActive
+scheduleSchema.statics.findCurrentlyActiveForDevice = function(device, at = new Date()) {
+  return this.findCurrentlyActive(at, { device });
+};
+
 // NEW: Find schedules by timezone
 scheduleSchema.statics.findByTimezone = function(timezone = 'Asia/Kolkata') {
   return this.find({ timezone, isActive: true })
@@ -506,13 +884,9 @@ scheduleSchema.pre('save', function(next) {
       this.originalTimezone = this.timezone || 'Asia/Kolkata';
     }
 
-    // FIXED: Enhanced date validation with timezone awareness
-    const timezone = this.timezone || 'Asia/Kolkata';
-    const startMoment = moment.tz(this.startDate, timezone);
-    const endMoment = moment.tz(this.endDate, timezone);
-
-    // Validate date relationship in the schedule's timezone
-    if (endMoment.isBefore(startMoment, 'day')) {
+    // Validate the date relationship on the schedule's calendar days
+    const { startDate, endDate } = this.getCalendarDates();
+    if (endDate < startDate) {
       return next(new Error('End date must be after or equal to start date'));
     }
 
@@ -564,6 +938,16 @@ scheduleSchema.post('save', function(doc) {
   }
 });
 
+// Let services know the set of schedules changed
+scheduleSchema.post('save', function() {
+  scheduleEvents.emit('change', { operation: 'save' });
+});
+
+const WRITE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+scheduleSchema.post(WRITE_QUERIES, { document: false, query: true }, function() {
+  scheduleEvents.emit('change', { operation: this.op });
+});
+
 // ENHANCED VIRTUAL: Get current status with detailed information
 scheduleSchema.virtual('currentStatus').get(function() {
   if (!this.isActive) {
@@ -572,20 +956,29 @@ scheduleSchema.virtual('currentStatus').get(function() {
       message: 'Schedule is disabled'
     };
   }
+
+  if (!this.isLive()) {
+    const state = this.getWorkflowState();
+    return state === 'published'
+      ? { status: 'unpublished', message: 'Schedule has been taken off air' }
+      : { status: state, message: `Schedule is ${state.replace('_', ' ')} and not published` };
+  }
   
   try {
     const isActive = this.isCurrentlyActive();
-    const now = moment.tz(this.timezone || 'Asia/Kolkata');
-    const scheduleStart = moment.tz(this.startDate, this.timezone || 'Asia/Kolkata');
-    const scheduleEnd = moment.tz(this.endDate, this.timezone || 'Asia/Kolkata');
+    const scheduleTimezone = this.getEvaluationTimezone();
+    const { startDate, endDate } = this.getCalendarDates();
+    const now = moment.tz(scheduleTimezone);
+    const scheduleStart = moment.tz(startDate, 'YYYY-MM-DD', scheduleTimezone);
+    const scheduleEnd = moment.tz(endDate, 'YYYY-MM-DD', scheduleTimezone);
 
-    if (this.repeat === 'none' && now.isBefore(scheduleStart, 'day')) {
+    if (now.isBefore(scheduleStart, 'day')) {
       return {
         status: 'scheduled',
         message: `Starts ${scheduleStart.fromNow()}`,
-        startsAt: scheduleStart.format()
+        startsAt: this.getNextStartTime() || scheduleStart.format()
       };
-    } else if (this.repeat === 'none' && now.isAfter(scheduleEnd, 'day')) {
+    } else if (now.isAfter(scheduleEnd, 'day')) {
       return {
         status: 'expired',
         message: `Ended ${scheduleEnd.fromNow()}`,
@@ -597,13 +990,22 @@ scheduleSchema.virtual('currentStatus').get(function() {
         message: 'Currently playing content',
         duration: this.getDurationInMinutes()
       };
-    } else {
+    }
+
+    const nextStart = this.getNextStartTime();
+    if (!nextStart) {
+      // COUNT, UNTIL or exception dates can end a schedule before its end date
       return {
-        status: 'waiting',
-        message: 'Waiting for scheduled time',
-        nextStart: this.getNextStartTime()
+        status: 'expired',
+        message: 'No further occurrences'
       };
     }
+
+    return {
+      status: 'waiting',
+      message: 'Waiting for scheduled time',
+      nextStart
+    };
   } catch (error) {
     console.error('Error in currentStatus virtual:', error);
     return {
@@ -614,31 +1016,22 @@ scheduleSchema.virtual('currentStatus').get(function() {
 });
 
 // NEW: Get next start time for recurring schedules
-scheduleSchema.methods.getNextStartTime = function() {
+scheduleSchema.methods.getNextStartTime = function(at = new Date()) {
   try {
-    const now = moment.tz(this.timezone || 'Asia/Kolkata');
-    const [startHour, startMinute] = this.startTime.split(':').map(Number);
+    const scheduleTimezone = this.getEvaluationTimezone();
+    const lastDay = moment.tz(this.getCalendarDates().endDate, 'YYYY-MM-DD', scheduleTimezone).endOf('day');
+    let chunkStart = moment.tz(at, scheduleTimezone);
 
-    if (this.repeat === 'daily') {
-      const nextStart = now.clone().hour(startHour).minute(startMinute).second(0);
-      if (nextStart.isSameOrBefore(now)) {
-        nextStart.add(1, 'day');
-      }
-      return nextStart.format();
-    }
+    // Scan a month at a time so monthly repeats are found without expanding the whole period
+    while (chunkStart.isBefore(lastDay)) {
+      const chunkEnd = moment.min(chunkStart.clone().add(1, 'month'), lastDay);
+      const next = this.getOccurrences(chunkStart.toDate(), chunkEnd.toDate())
+        .find(occurrence => occurrence.start > at);
 
-    if (this.repeat === 'weekly' && this.weekDays && this.weekDays.length > 0) {
-      const currentDay = now.day();
-      const nextWeekDay = this.weekDays.find(day => day > currentDay) || this.weekDays[0];
-      const daysToAdd = nextWeekDay > currentDay ? nextWeekDay - currentDay : 7 - currentDay + nextWeekDay;
-      
-      const nextStart = now.clone()
-        .add(daysToAdd, 'days')
-        .hour(startHour)
-        .minute(startMinute)
-        .second(0);
-      
-      return nextStart.format();
+      if (next) {
+        return moment.tz(next.start, scheduleTimezone).format();
+      }
+      chunkStart = chunkEnd;
     }
 
     return null;
@@ -659,4 +1052,9 @@ scheduleSchema.set('toJSON', {
 
 scheduleSchema.set('toObject', { virtuals: true });
 
+scheduleSchema.statics.TIME_MODES = TIME_MODES;
+scheduleSchema.statics.PLAYLIST_MODES = PLAYLIST_MODES;
+scheduleSchema.statics.WORKFLOW_STATES = WORKFLOW_STATES;
+scheduleSchema.statics.WORKFLOW_TRANSITIONS = WORKFLOW_TRANSITIONS;
+
 module.exports = mongoose.model('Schedule', scheduleSchema);
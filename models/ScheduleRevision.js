@@ -0,0 +1,178 @@
+// models/ScheduleRevision.js - Immutable snapshot of a schedule, written on every save
+const mongoose = require('mongoose');
+
+// Schedule fields captured in a revision (and written back on restore)
+const SNAPSHOT_FIELDS = [
+  'name', 'description', 'content', 'devices', 'deviceGroups',
+  'startDate', 'endDate', 'startTime', 'endTime', 'timezone', 'timeMode',
+  'repeat', 'weekDays', 'rrule', 'exdates', 'priority', 'isActive', 'playlistMode'
+];
+
+const scheduleRevisionSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: true
+  },
+  // 1, 2, 3... per schedule
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 'baseline' captures schedules saved before revisions were recorded
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore'],
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Plain JSON copy of SNAPSHOT_FIELDS: ids as strings, dates as ISO strings
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+scheduleRevisionSchema.index({ schedule: 1, revision: -1 }, { unique: true });
+
+// Revisions are never changed or removed once written
+scheduleRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Schedule revisions are immutable'));
+  }
+  next();
+});
+
+const WRITE_QUERIES = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+scheduleRevisionSchema.pre(WRITE_QUERIES, function(next) {
+  next(new Error('Schedule revisions are immutable'));
+});
+
+// Plain JSON snapshot of a schedule document or lean object (populated refs are reduced to ids)
+scheduleRevisionSchema.statics.snapshotOf = function(schedule) {
+  const source = typeof schedule.toObject === 'function'
+    ? schedule.toObject({ depopulate: true, virtuals: false })
+    : schedule;
+
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (source[field] === undefined || source[field] === null) continue;
+    snapshot[field] = source[field];
+  }
+
+  if (snapshot.content) {
+    snapshot.content = snapshot.content.map(item => ({
+      contentId: item.contentId?._id || item.contentId,
+      order: item.order,
+      customDuration: item.customDuration,
+      weight: item.weight,
+      maxPlaysPerHour: item.maxPlaysPerHour
+    }));
+  }
+  ['devices', 'deviceGroups'].forEach(field => {
+    if (snapshot[field]) {
+      snapshot[field] = snapshot[field].map(ref => ref?._id || ref);
+    }
+  });
+
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Field-level changes from one snapshot to the next; `before` may be null
+scheduleRevisionSchema.statics.diffSnapshots = function(before, after) {
+  const changes = [];
+  for (const field of SNAPSHOT_FIELDS) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({
+        field,
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      });
+    }
+  }
+  return changes;
+};
+
+scheduleRevisionSchema.statics.findLatest = function(scheduleId) {
+  return this.findOne({ schedule: scheduleId }).sort({ revision: -1 });
+};
+
+/**
+ * Append a revision for the schedule's current state. Revision numbers come
+ * from the latest one; a concurrent save taking the same number is retried.
+ * Returns the revision and the changes relative to the previous revision.
+ */
+scheduleRevisionSchema.statics.record = async function(schedule, { action, author, restoredFrom = null, note } = {}) {
+  const snapshot = this.snapshotOf(schedule);
+
+  for (let attempt = 0; ; attempt++) {
+    const previous = await this.findLatest(schedule._id).lean();
+
+    try {
+      const revision = await this.create({
+        schedule: schedule._id,
+        revision: previous ? previous.revision + 1 : 1,
+        action,
+        author: author || schedule.createdBy?._id || schedule.createdBy,
+        restoredFrom,
+        note,
+        snapshot
+      });
+
+      return {
+        revision,
+        changes: this.diffSnapshots(previous ? previous.snapshot : null, snapshot)
+      };
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Capture a schedule that predates revision history before it is first changed
+scheduleRevisionSchema.statics.ensureBaseline = async function(schedule) {
+  const exists = await this.exists({ schedule: schedule._id });
+  if (exists) {
+    return null;
+  }
+
+  try {
+    const { revision } = await this.record(schedule, {
+      action: 'baseline',
+      author: schedule.createdBy,
+      note: 'State before revision history was recorded'
+    });
+    return revision;
+  } catch (error) {
+    // Another save recorded the first revision in the meantime
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+scheduleRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('ScheduleRevision', scheduleRevisionSchema);
@@ -0,0 +1,78 @@
+// models/Upload.js - State of a resumable (tus 1.0) upload until it becomes Content
+const mongoose = require('mongoose');
+
+const UPLOAD_STATUSES = ['in_progress', 'completed', 'failed'];
+
+const uploadSchema = new mongoose.Schema({
+  // Total size announced in Upload-Length, in bytes
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // From the filename's extension, not the client's filetype
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Decoded Upload-Metadata, echoed back on HEAD and used for the Content fields
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Partial file while in progress
+  partialPath: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: UPLOAD_STATUSES,
+    default: 'in_progress'
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    default: null
+  },
+  // The finished file matched one already stored, which the content now uses
+  reusedAsset: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Pushed forward by every PATCH; stale partial uploads are removed after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ status: 1, expiresAt: 1 });
+uploadSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+uploadSchema.methods.isExpired = function(at = new Date()) {
+  return this.status !== 'completed' && this.expiresAt <= at;
+};
+
+uploadSchema.statics.UPLOAD_STATUSES = UPLOAD_STATUSES;
+
+module.exports = mongoose.model('Upload', uploadSchema);
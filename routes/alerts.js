@@ -0,0 +1,18 @@
+// routes/alerts.js
+
+const express = require('express');
+const { capAuth } = require('../middleware/auth');
+const ctrl = require('../controllers/emergencyAlertController');
+
+const router = express.Router();
+
+// CAP documents are XML; everything else in the API is JSON
+const capBody = express.text({
+  type: ['application/cap+xml', 'application/xml', 'text/xml'],
+  limit: '1mb'
+});
+
+// POST /api/alerts/cap — ingest a CAP 1.2 message as on-screen emergency alerts
+router.post('/cap', capAuth, capBody, ctrl.ingestCapAlert);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+// routes/campaigns.js
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const Campaign = require('../models/Campaign');
+const Schedule = require('../models/Schedule');
+const ctrl = require('../controllers/campaignController');
+
+const router = express.Router();
+
+// Validation middleware
+const campaignFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('advertiser')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Advertiser cannot exceed 100 characters'),
+  body('content')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Content must be a non-empty array'),
+  body('content.*.contentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Content items must reference a valid content id'),
+  body('content.*.customDuration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Custom duration must be at least 1 second'),
+  body('content.*.weight')
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Content weight must be between 1 and 1000'),
+  body('contentIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Content ids must be a non-empty array'),
+  body('contentIds.*')
+    .isMongoId()
+    .withMessage('Content ids must be valid content ids'),
+  body('targets.devices')
+    .optional()
+    .isArray()
+    .withMessage('Target devices must be an array of device ids'),
+  body('targets.devices.*')
+    .isMongoId()
+    .withMessage('Target devices must be an array of device ids'),
+  body('targets.deviceGroups')
+    .optional()
+    .isArray()
+    .withMessage('Target groups must be an array of group ids'),
+  body('targets.deviceGroups.*')
+    .isMongoId()
+    .withMessage('Target groups must be an array of group ids'),
+  body('targets.locations')
+    .optional()
+    .isArray()
+    .withMessage('Target locations must be an array of strings'),
+  body('targets.locations.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Target locations must be an array of strings'),
+  body('flightStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Flight start must be a valid ISO 8601 date'),
+  body('flightEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Flight end must be a valid ISO 8601 date'),
+  body('goalPlays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Play goal must be a positive integer'),
+  body('pacing')
+    .optional()
+    .isIn(Campaign.PACING_MODES)
+    .withMessage(`Pacing must be one of ${Campaign.PACING_MODES.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+];
+
+const createValidation = [
+  body('name').exists().withMessage('Name is required'),
+  body('flightStart').exists().withMessage('Flight start is required'),
+  body('flightEnd').exists().withMessage('Flight end is required'),
+  body('goalPlays').exists().withMessage('Play goal is required'),
+  body()
+    .custom(value => Array.isArray(value.content) || Array.isArray(value.contentIds))
+    .withMessage('Content or contentIds is required'),
+  ...campaignFieldValidation,
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Campaign id must be a valid id'),
+];
+
+const listValidation = [
+  query('workflowState')
+    .optional()
+    .isIn(Schedule.WORKFLOW_STATES)
+    .withMessage(`workflowState must be one of ${Schedule.WORKFLOW_STATES.join(', ')}`),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  query('inFlight')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('inFlight must be true or false'),
+];
+
+const reviewValidation = [
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get('/', auth, authorize('ADMIN', 'MANAGER'), listValidation, handleValidationErrors, ctrl.getCampaigns);
+router.get('/:id', auth, authorize('ADMIN', 'MANAGER'), idValidation, handleValidationErrors, ctrl.getCampaignById);
+router.get(
+  '/:id/delivery',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  idValidation,
+  handleValidationErrors,
+  ctrl.getCampaignDelivery
+);
+
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  createValidation,
+  handleValidationErrors,
+  ctrl.createCampaign
+);
+
+router.put(
+  '/:id',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  idValidation,
+  campaignFieldValidation,
+  handleValidationErrors,
+  ctrl.updateCampaign
+);
+
+// Review workflow, as for schedules: managers submit, admins approve or reject and publish
+router.post('/:id/submit', auth, authorize('ADMIN', 'MANAGER'), idValidation, handleValidationErrors, ctrl.submitCampaign);
+router.post(
+  '/:id/approve',
+  auth,
+  authorize('ADMIN'),
+  idValidation,
+  reviewValidation,
+  handleValidationErrors,
+  ctrl.approveCampaign
+);
+router.post(
+  '/:id/reject',
+  auth,
+  authorize('ADMIN'),
+  idValidation,
+  body('comment').trim().notEmpty().withMessage('A comment is required when rejecting a campaign'),
+  reviewValidation,
+  handleValidationErrors,
+  ctrl.rejectCampaign
+);
+router.post('/:id/publish', auth, authorize('ADMIN'), idValidation, handleValidationErrors, ctrl.publishCampaign);
+router.post('/:id/unpublish', auth, authorize('ADMIN'), idValidation, handleValidationErrors, ctrl.unpublishCampaign);
+
+router.delete('/:id', auth, authorize('ADMIN', 'MANAGER'), idValidation, handleValidationErrors, ctrl.deleteCampaign);
+
+module.exports = router;
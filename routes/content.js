@@ -4,15 +4,26 @@ const {
   uploadContent,
   getContent,
   getContentById,
+  getMediaUrl,
   updateContentStatus,
   deleteContent
 } = require('../controllers/contentController');
-const { auth, authorize } = require('../middleware/auth');
+const tus = require('../controllers/uploadController');
+const { auth, authorize, authOrDevice } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Resumable uploads (tus 1.0) for large media; a completed upload becomes Content
+const tusUpload = [tus.tusCapabilities, auth, authorize('ADMIN', 'MANAGER'), tus.tusResumable];
+router.post('/uploads', tusUpload, tus.createUpload);
+router.head('/uploads/:id', tusUpload, tus.getUploadOffset);
+router.patch('/uploads/:id', tusUpload, tus.appendUpload);
+router.delete('/uploads/:id', tusUpload, tus.deleteUpload);
+router.get('/uploads/:id', auth, authorize('ADMIN', 'MANAGER'), tus.getUploadStatus);
+
 router.get('/', auth, getContent);
 router.get('/:id', auth, getContentById);
+router.get('/:id/media-url', authOrDevice, getMediaUrl);
 router.post('/', auth, authorize('ADMIN', 'MANAGER'), upload.single('file'), uploadContent);
 router.put('/:id/status', auth, authorize('ADMIN'), updateContentStatus);
 router.delete('/:id', auth, authorize('ADMIN', 'MANAGER'), deleteContent);
@@ -0,0 +1,102 @@
+// routes/deviceGroups.js
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const ctrl = require('../controllers/deviceGroupController');
+
+const router = express.Router();
+
+// Validation middleware (fresh chains per use: on update every field is optional)
+const groupValidation = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field('type')
+      .isIn(['site', 'floor', 'zone'])
+      .withMessage('Type must be one of site, floor, zone'),
+    body('parent')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Parent must be a valid group id'),
+    body('devices')
+      .optional()
+      .isArray()
+      .withMessage('Devices must be an array of device ids'),
+    body('devices.*')
+      .isMongoId()
+      .withMessage('Devices must be an array of device ids'),
+  ];
+};
+
+const groupDevicesValidation = [
+  body('deviceIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one device id must be provided'),
+  body('deviceIds.*')
+    .isMongoId()
+    .withMessage('Device ids must be valid ids'),
+];
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get('/', auth, ctrl.getDeviceGroups);
+router.get('/:id', auth, ctrl.getDeviceGroupById);
+
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  groupValidation(),
+  handleValidationErrors,
+  ctrl.createDeviceGroup
+);
+
+router.put(
+  '/:id',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  groupValidation(true),
+  handleValidationErrors,
+  ctrl.updateDeviceGroup
+);
+
+router.delete(
+  '/:id',
+  auth,
+  authorize('ADMIN'),
+  ctrl.deleteDeviceGroup
+);
+
+router.post(
+  '/:id/devices',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  groupDevicesValidation,
+  handleValidationErrors,
+  ctrl.addDevicesToGroup
+);
+
+router.delete(
+  '/:id/devices/:deviceId',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  ctrl.removeDeviceFromGroup
+);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const {
   registerDevice,
   getDevices,
@@ -6,18 +7,70 @@ const {
   updateDevice,
   deleteDevice,
   sendCommand,
-  updateHeartbeat
+  getDeviceCommands,
+  updateHeartbeat,
+  getCurrentContentForDevice,
+  createPairingCode,
+  pairDevice,
+  rotateCredential,
+  revokeCredential,
+  getDeviceUptime,
+  getDeviceStatusHistory,
+  reportPlayEvents
 } = require('../controllers/deviceController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, deviceAuth, authOrDevice } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Commands expire at most a year out
+const MAX_COMMAND_EXPIRY_SECONDS = 365 * 24 * 60 * 60;
+
+const commandValidation = [
+  body('expiresIn')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_COMMAND_EXPIRY_SECONDS })
+    .withMessage(`expiresIn must be a whole number of seconds between 1 and ${MAX_COMMAND_EXPIRY_SECONDS}`)
+    .toInt(),
+];
+
+// A batch is `{ events: [...] }`; the controller also accepts one bare event
+const playEventValidation = [
+  body('events')
+    .optional()
+    .isArray()
+    .withMessage('events must be an array of play events'),
+  body('events.*')
+    .isObject()
+    .withMessage((value, { path }) => `${path} must be a play event object`),
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
 router.get('/', auth, getDevices);
+router.get('/:deviceId/current', authOrDevice, getCurrentContentForDevice);
 router.get('/:id', auth, getDeviceById);
 router.post('/register', auth, authorize('ADMIN', 'MANAGER'), registerDevice);
 router.put('/:id', auth, authorize('ADMIN', 'MANAGER'), updateDevice);
 router.delete('/:id', auth, authorize('ADMIN'), deleteDevice);
-router.post('/:id/command', auth, authorize('ADMIN', 'MANAGER'), sendCommand);
-router.put('/heartbeat/:deviceId', updateHeartbeat); // No auth for device heartbeat
+router.post('/:id/command', auth, authorize('ADMIN', 'MANAGER'), commandValidation, handleValidationErrors, sendCommand);
+router.get('/:id/commands', auth, authorize('ADMIN', 'MANAGER'), getDeviceCommands);
+router.get('/:id/uptime', auth, getDeviceUptime);
+router.get('/:id/status-history', auth, authorize('ADMIN', 'MANAGER'), getDeviceStatusHistory);
+router.post('/pair', pairDevice); // Public: the pairing code is the credential
+router.post('/:id/pairing-code', auth, authorize('ADMIN'), createPairingCode);
+router.post('/:id/credentials/rotate', auth, authorize('ADMIN'), rotateCredential);
+router.post('/:id/credentials/revoke', auth, authorize('ADMIN'), revokeCredential);
+router.put('/heartbeat/:deviceId', deviceAuth, updateHeartbeat);
+router.post('/:deviceId/play-events', deviceAuth, playEventValidation, handleValidationErrors, reportPlayEvents);
 
 module.exports = router;
@@ -0,0 +1,104 @@
+// routes/emergencyAlerts.js
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const ctrl = require('../controllers/emergencyAlertController');
+
+const router = express.Router();
+
+// Validation middleware
+const alertValidation = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  body('severity')
+    .optional()
+    .isIn(EmergencyAlert.SEVERITIES)
+    .withMessage(`Severity must be one of ${EmergencyAlert.SEVERITIES.join(', ')}`),
+  body('contentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Content must be a valid content id'),
+  body('targets.devices')
+    .optional()
+    .isArray()
+    .withMessage('Target devices must be an array of device ids'),
+  body('targets.devices.*')
+    .isMongoId()
+    .withMessage('Target devices must be an array of device ids'),
+  body('targets.deviceGroups')
+    .optional()
+    .isArray()
+    .withMessage('Target groups must be an array of group ids'),
+  body('targets.deviceGroups.*')
+    .isMongoId()
+    .withMessage('Target groups must be an array of group ids'),
+  body('targets.locations')
+    .optional()
+    .isArray()
+    .withMessage('Target locations must be an array of strings'),
+  body('targets.locations.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Target locations must be an array of strings'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'cleared', 'expired'])
+    .withMessage('Status must be one of active, cleared, expired'),
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get('/', auth, authorize('ADMIN', 'MANAGER'), listValidation, handleValidationErrors, ctrl.getAlerts);
+router.get('/active', auth, ctrl.getActiveAlerts);
+router.get('/:id', auth, authorize('ADMIN', 'MANAGER'), ctrl.getAlertById);
+
+// Only admins can take over every screen
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  alertValidation,
+  handleValidationErrors,
+  ctrl.createAlert
+);
+
+router.post(
+  '/:id/clear',
+  auth,
+  authorize('ADMIN'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors,
+  ctrl.clearAlert
+);
+
+module.exports = router;
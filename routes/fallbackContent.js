@@ -0,0 +1,114 @@
+// routes/fallbackContent.js
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const FallbackContent = require('../models/FallbackContent');
+const ctrl = require('../controllers/fallbackContentController');
+
+const router = express.Router();
+
+// Validation middleware
+const contentValidation = [
+  body('content')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Content must be a non-empty array'),
+  body('content.*.contentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Content items must reference a valid content id'),
+  body('content.*.customDuration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Custom duration must be at least 1 second'),
+  body('contentIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Content ids must be a non-empty array'),
+  body('contentIds.*')
+    .isMongoId()
+    .withMessage('Content ids must be valid content ids'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+];
+
+const createValidation = [
+  body('level')
+    .isIn(FallbackContent.FALLBACK_LEVELS)
+    .withMessage(`Level must be one of ${FallbackContent.FALLBACK_LEVELS.join(', ')}`),
+  body('location')
+    .if(body('level').equals('location'))
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Location is required for location-level fallback content'),
+  body('device')
+    .if(body('level').equals('device'))
+    .isMongoId()
+    .withMessage('Device is required for device-level fallback content'),
+  body()
+    .custom(value => Array.isArray(value.content) || Array.isArray(value.contentIds))
+    .withMessage('Content or contentIds is required'),
+  ...contentValidation,
+];
+
+const listValidation = [
+  query('level')
+    .optional()
+    .isIn(FallbackContent.FALLBACK_LEVELS)
+    .withMessage(`Level must be one of ${FallbackContent.FALLBACK_LEVELS.join(', ')}`),
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get('/', auth, authorize('ADMIN', 'MANAGER'), listValidation, handleValidationErrors, ctrl.getFallbackContent);
+router.get(
+  '/resolve',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  query('deviceId').optional().trim().notEmpty().withMessage('Device id cannot be empty'),
+  handleValidationErrors,
+  ctrl.resolveFallbackContent
+);
+router.get('/:id', auth, authorize('ADMIN', 'MANAGER'), ctrl.getFallbackContentById);
+
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  createValidation,
+  handleValidationErrors,
+  ctrl.createFallbackContent
+);
+
+router.put(
+  '/:id',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  contentValidation,
+  handleValidationErrors,
+  ctrl.updateFallbackContent
+);
+
+router.delete('/:id', auth, authorize('ADMIN', 'MANAGER'), ctrl.deleteFallbackContent);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { serveMedia } = require('../controllers/mediaController');
+
+const router = express.Router();
+
+// No login: the signed URL is the credential. GET also answers HEAD
+router.get('/*key', serveMedia);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// routes/reports.js
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const PlayEvent = require('../models/PlayEvent');
+const ctrl = require('../controllers/reportController');
+
+const router = express.Router();
+
+// Validation middleware
+const proofOfPlayValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv'),
+  query('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('deviceId must be a device id'),
+  query('status')
+    .optional()
+    .isIn(PlayEvent.PLAY_STATUSES)
+    .withMessage('Invalid play status'),
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => err.msg),
+    });
+  }
+  next();
+};
+
+// GET /api/reports/proof-of-play — play counts and on-screen time, JSON or CSV
+router.get(
+  '/proof-of-play',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  proofOfPlayValidation,
+  handleValidationErrors,
+  ctrl.getProofOfPlay
+);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 // routes/schedules.js
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { auth, authorize } = require('../middleware/auth');
 const ctrl = require('../controllers/scheduleController');
+const moment = require('moment-timezone');
+const recurrence = require('../services/recurrence');
 
 const router = express.Router();
 
@@ -26,11 +28,37 @@ const scheduleValidation = [
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('End time must be in HH:MM format'),
   body('timezone')
-    .isIn(['Asia/Kolkata','Asia/Mumbai','Asia/Delhi','Asia/Calcutta','UTC','Asia/Dhaka','Asia/Kathmandu'])
-    .withMessage('Invalid timezone'),
+    .custom(value => moment.tz.zone(value) !== null)
+    .withMessage('Timezone must be a valid IANA timezone such as Europe/Berlin'),
+  body('timeMode')
+    .optional()
+    .isIn(['fixed', 'device-local'])
+    .withMessage('Time mode must be fixed or device-local'),
+  body('playlistMode')
+    .optional()
+    .isIn(['sequential', 'shuffle', 'weighted'])
+    .withMessage('Playlist mode must be sequential, shuffle or weighted'),
+  body('content.*.weight')
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Content weight must be between 1 and 1000'),
+  body('content.*.maxPlaysPerHour')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('Max plays per hour must be an integer between 1 and 3600'),
   body('repeat')
-    .isIn(['none','daily','weekly','monthly'])
-    .withMessage('Repeat must be one of none, daily, weekly, monthly'),
+    .isIn(['none','daily','weekly','monthly','custom'])
+    .withMessage('Repeat must be one of none, daily, weekly, monthly, custom'),
+  body('rrule')
+    .if(body('repeat').equals('custom'))
+    .custom(value => recurrence.parseRule(value)),
+  body('exdates')
+    .optional()
+    .isArray()
+    .withMessage('Exception dates must be an array'),
+  body('exdates.*')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Exception dates must be in YYYY-MM-DD format'),
   body('priority')
     .optional()
     .isInt({ min: 1, max: 10 })
@@ -40,6 +68,48 @@ const scheduleValidation = [
     .withMessage('At least one contentId must be provided'),
 ];
 
+const timelineValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
+];
+
+const revisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Schedule id must be a valid id'),
+  param('rev')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer'),
+  query('compareTo')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('compareTo must be a revision number (0 for none)'),
+];
+
+const reviewValidation = [
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+];
+
+const publishValidation = [
+  body('unpublishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('unpublishAt must be in the future'),
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -56,8 +126,35 @@ const handleValidationErrors = (req, res, next) => {
 router.get('/', auth, ctrl.getSchedules);
 router.get('/statistics', auth, ctrl.getScheduleStatistics);
 router.get('/current', auth, ctrl.getCurrentScheduleForViewer);
+router.get('/timeline', auth, timelineValidation, handleValidationErrors, ctrl.getScheduleTimeline);
+router.get(
+  '/next-transitions',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors,
+  ctrl.getNextTransitions
+);
 router.get('/timezone/:timezone', auth, ctrl.getSchedulesByTimezone);
 router.get('/:id', auth, ctrl.getScheduleById);
+router.get(
+  '/:id/play-sequence',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  param('id').isMongoId().withMessage('Schedule id must be a valid id'),
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be in YYYY-MM-DD format'),
+  handleValidationErrors,
+  ctrl.getPlaySequence
+);
+router.get('/:id/revisions', auth, revisionValidation, handleValidationErrors, ctrl.getScheduleRevisions);
+router.get('/:id/revisions/:rev', auth, revisionValidation, handleValidationErrors, ctrl.getScheduleRevision);
+
+router.post(
+  '/validate',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  ctrl.validateSchedule
+);
 
 router.post(
   '/',
@@ -77,6 +174,30 @@ router.put(
   ctrl.updateSchedule
 );
 
+router.post(
+  '/:id/revisions/:rev/restore',
+  auth,
+  authorize('ADMIN', 'MANAGER'),
+  revisionValidation,
+  handleValidationErrors,
+  ctrl.restoreScheduleRevision
+);
+
+// Review workflow: managers submit, admins approve or reject and publish
+router.post('/:id/submit', auth, authorize('ADMIN', 'MANAGER'), ctrl.submitSchedule);
+router.post('/:id/approve', auth, authorize('ADMIN'), reviewValidation, handleValidationErrors, ctrl.approveSchedule);
+router.post(
+  '/:id/reject',
+  auth,
+  authorize('ADMIN'),
+  body('comment').trim().notEmpty().withMessage('A comment is required when rejecting a schedule'),
+  reviewValidation,
+  handleValidationErrors,
+  ctrl.rejectSchedule
+);
+router.post('/:id/publish', auth, authorize('ADMIN'), publishValidation, handleValidationErrors, ctrl.publishSchedule);
+router.post('/:id/unpublish', auth, authorize('ADMIN'), ctrl.unpublishSchedule);
+
 router.delete(
   '/:id',
   auth,
@@ -0,0 +1,185 @@
+// scripts/backfillMediaAssets.js
+// Brings media stored before deduplication into MediaAssets, so new uploads
+// of the same bytes reuse it and copies already stored twice are merged.
+//
+//   npm run backfill:media-assets -- [--dry-run]
+//
+// Content without an asset is grouped by checksum. Each group shares the file
+// of the existing MediaAsset with that checksum, or else that of its oldest
+// Content whose file is still stored. Every Content is pointed at the shared
+// file before its own copy is removed, so re-running after an interruption is
+// safe: Content already linked is skipped.
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const MediaAsset = require('../models/MediaAsset');
+const Content = require('../models/Content');
+const { storageKeyFor } = require('../services/storage');
+const { storageFor, mediaTypeFor } = require('../services/mediaStore');
+
+const usage = () => {
+  console.log('Usage: node scripts/backfillMediaAssets.js [--dry-run]');
+};
+
+const LEGACY_FILTER = { asset: null, checksum: { $ne: null }, filePath: { $ne: null } };
+
+// The asset for `checksum`, created from `source` (a Content whose file is
+// `size` bytes) unless it exists. The new asset's first reference is `source`'s.
+const findOrCreateAsset = async (checksum, source, size) => {
+  try {
+    const asset = await MediaAsset.create({
+      checksum,
+      filePath: source.filePath,
+      storageDriver: source.storageDriver || 'local',
+      fileSize: size,
+      mimeType: mediaTypeFor(source.filePath),
+      refCount: 1,
+      firstUploadedBy: source.uploadedBy
+    });
+    return { asset, created: true };
+  } catch (error) {
+    // An upload stored the same file meanwhile
+    if (error.code !== 11000) throw error;
+    return { asset: await MediaAsset.findOne({ checksum }), created: false };
+  }
+};
+
+/**
+ * Link one Content to `asset` and remove its own copy if nothing else uses it.
+ * `reserved` says whether a reference was already taken for it. Resolves to
+ * `{ linked, removed }`; not linked when it was deleted or linked meanwhile.
+ */
+const linkContent = async (content, asset, reserved) => {
+  if (!reserved) {
+    await MediaAsset.updateOne({ _id: asset._id }, { $inc: { refCount: 1 } });
+  }
+
+  const result = await Content.updateOne(
+    { _id: content._id, asset: null },
+    { $set: { asset: asset._id, filePath: asset.filePath, storageDriver: asset.storageDriver } }
+  );
+  if (result.modifiedCount === 0) {
+    await MediaAsset.release(asset._id);
+    return { linked: false, removed: false };
+  }
+
+  if (content.filePath !== asset.filePath && !(await Content.exists({ filePath: content.filePath }))) {
+    await storageFor(content).delete(storageKeyFor(content.filePath));
+    return { linked: true, removed: true };
+  }
+  return { linked: true, removed: false };
+};
+
+// Returns { linked, removed } for the group, or null when none of its files is stored
+const backfillChecksum = async (checksum, options) => {
+  const contents = await Content.find({ ...LEGACY_FILTER, checksum })
+    .select('filePath storageDriver uploadedBy')
+    .sort({ createdAt: 1 });
+  if (contents.length === 0) {
+    return { linked: 0, removed: 0 };
+  }
+
+  let asset = await MediaAsset.findOne({ checksum });
+  let source = null;
+  let sourceStats = null;
+  if (!asset) {
+    for (const content of contents) {
+      sourceStats = await storageFor(content).stat(storageKeyFor(content.filePath));
+      if (sourceStats) {
+        source = content;
+        break;
+      }
+    }
+    if (!source) {
+      console.warn(`⚠️ ${checksum}: no stored file for ${contents.length} content item(s), skipped`);
+      return null;
+    }
+  }
+
+  if (options.dryRun) {
+    const keptPath = asset ? asset.filePath : source.filePath;
+    const copies = new Set(contents.map(content => content.filePath).filter(filePath => filePath !== keptPath)).size;
+    console.log(`• ${checksum}: ${contents.length} content item(s) would share ${keptPath}, ${copies} copies removed`);
+    return { linked: contents.length, removed: copies };
+  }
+
+  let reserved = null;
+  if (!asset) {
+    const found = await findOrCreateAsset(checksum, source, sourceStats.size);
+    asset = found.asset;
+    reserved = found.created ? source : null;
+  }
+
+  const summary = { linked: 0, removed: 0 };
+  // The source first, so its file is in use before any copy is removed
+  const ordered = reserved ? [reserved, ...contents.filter(content => content !== reserved)] : contents;
+  for (const content of ordered) {
+    const result = await linkContent(content, asset, content === reserved);
+    if (result.linked) summary.linked++;
+    if (result.removed) summary.removed++;
+  }
+
+  console.log(`✅ ${checksum}: ${summary.linked} content item(s) share ${asset.filePath}`);
+  return summary;
+};
+
+const backfill = async (options) => {
+  const summary = { linked: 0, removed: 0, missing: 0, failed: 0 };
+
+  const checksums = Content.aggregate([
+    { $match: LEGACY_FILTER },
+    { $group: { _id: '$checksum' } }
+  ]).cursor();
+
+  for await (const { _id: checksum } of checksums) {
+    try {
+      const result = await backfillChecksum(checksum, options);
+      if (!result) {
+        summary.missing++;
+        continue;
+      }
+      summary.linked += result.linked;
+      summary.removed += result.removed;
+    } catch (error) {
+      console.error(`❌ ${checksum}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        'dry-run': { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    usage();
+    return 1;
+  }
+
+  await connectDB();
+  try {
+    const options = { dryRun: values['dry-run'] };
+    console.log(`🧮 Backfilling media assets${options.dryRun ? ' (dry run)' : ''}`);
+
+    const summary = await backfill(options);
+    console.log(`📦 ${summary.linked} linked, ${summary.removed} duplicate copies removed, ` +
+      `${summary.missing} missing, ${summary.failed} failed`);
+    return summary.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Media asset backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,172 @@
+// scripts/migrateStorage.js
+// Moves stored media from one storage driver to another and points the
+// MediaAsset and Content records at the new one.
+//
+//   npm run migrate:storage -- --from local --to s3 [--dry-run] [--keep-source]
+//
+// Each file is copied and checked by size, then its records are rewritten, and
+// only then is the source copy removed (unless --keep-source). Public paths
+// ("uploads/<key>") don't change, so players need no update. Re-running is
+// safe: records already on the target driver are skipped, and a file found
+// only on the target (an interrupted earlier run) just gets its records fixed.
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const MediaAsset = require('../models/MediaAsset');
+const Content = require('../models/Content');
+const { STORAGE_DRIVERS, getStorage, storageKeyFor } = require('../services/storage');
+const { mediaTypeFor } = require('../services/mediaStore');
+
+const usage = () => {
+  console.log(`Usage: node scripts/migrateStorage.js --from <${STORAGE_DRIVERS.join('|')}> --to <${STORAGE_DRIVERS.join('|')}> [--dry-run] [--keep-source]`);
+};
+
+// Records written before storage drivers existed have no storageDriver and are local
+const onDriver = (name) => (name === 'local' ? { $in: ['local', null] } : name);
+
+const copyObject = async (source, target, key) => {
+  const object = await source.get(key);
+  await target.put(key, object.stream, { size: object.size, contentType: mediaTypeFor(key) });
+
+  const copied = await target.stat(key);
+  if (!copied || copied.size !== object.size) {
+    throw new Error(`copy of ${key} is incomplete (${copied ? copied.size : 0} of ${object.size} bytes)`);
+  }
+};
+
+/**
+ * Move one file and rewrite its records via `updateRecords`. Returns
+ * 'moved', 'missing' or 'failed'.
+ */
+const migrateFile = async ({ source, target, filePath, options, updateRecords }) => {
+  const key = storageKeyFor(filePath);
+
+  try {
+    const onSource = await source.stat(key);
+    const onTarget = onSource ? null : await target.stat(key);
+
+    if (!onSource && !onTarget) {
+      console.warn(`⚠️ ${filePath}: not found on ${source.name} or ${target.name}, skipped`);
+      return 'missing';
+    }
+
+    if (options.dryRun) {
+      console.log(`• ${filePath}: would move ${onSource ? onSource.size : onTarget.size} bytes`);
+      return 'moved';
+    }
+
+    if (onSource) {
+      await copyObject(source, target, key);
+    }
+    await updateRecords();
+    if (onSource && !options.keepSource) {
+      await source.delete(key);
+    }
+
+    console.log(`✅ ${filePath}: moved to ${target.name}`);
+    return 'moved';
+  } catch (error) {
+    console.error(`❌ ${filePath}: ${error.message}`);
+    return 'failed';
+  }
+};
+
+const migrate = async (options) => {
+  const source = getStorage(options.from);
+  const target = getStorage(options.to);
+  const summary = { moved: 0, missing: 0, failed: 0 };
+
+  // Deduplicated files: the asset and every Content sharing it
+  const assets = MediaAsset.find({ storageDriver: onDriver(source.name) }).cursor();
+  for await (const asset of assets) {
+    const result = await migrateFile({
+      source,
+      target,
+      filePath: asset.filePath,
+      options,
+      updateRecords: async () => {
+        await MediaAsset.updateOne({ _id: asset._id }, { $set: { storageDriver: target.name } });
+        await Content.updateMany({ asset: asset._id }, { $set: { storageDriver: target.name } });
+      }
+    });
+    summary[result]++;
+  }
+
+  // Files stored before deduplication belong to a single Content
+  const legacy = Content.find({
+    asset: null,
+    filePath: { $exists: true, $ne: null },
+    storageDriver: onDriver(source.name)
+  }).cursor();
+  for await (const content of legacy) {
+    const result = await migrateFile({
+      source,
+      target,
+      filePath: content.filePath,
+      options,
+      updateRecords: () => Content.updateOne({ _id: content._id }, { $set: { storageDriver: target.name } })
+    });
+    summary[result]++;
+  }
+
+  // Thumbnails are tracked separately from the file they preview
+  const thumbnails = Content.find({
+    'thumbnail.path': { $exists: true, $ne: null },
+    'thumbnail.storageDriver': onDriver(source.name)
+  }).cursor();
+  for await (const content of thumbnails) {
+    const result = await migrateFile({
+      source,
+      target,
+      filePath: content.thumbnail.path,
+      options,
+      updateRecords: () => Content.updateOne({ _id: content._id }, { $set: { 'thumbnail.storageDriver': target.name } })
+    });
+    summary[result]++;
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        'keep-source': { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    usage();
+    return 1;
+  }
+
+  const { from, to } = values;
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    usage();
+    return 1;
+  }
+
+  await connectDB();
+  try {
+    const options = { from, to, dryRun: values['dry-run'], keepSource: values['keep-source'] };
+    console.log(`🚚 Migrating media from ${from} to ${to}${options.dryRun ? ' (dry run)' : ''}`);
+
+    const summary = await migrate(options);
+    console.log(`📦 ${summary.moved} moved, ${summary.missing} missing, ${summary.failed} failed`);
+    return summary.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Storage migration failed:', error);
+    process.exit(1);
+  });
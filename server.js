@@ -4,7 +4,6 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const http = require('http');
 const { Server } = require('socket.io');
 const compression = require('compression');
@@ -13,8 +12,16 @@ const cron = require('node-cron');
 
 // Import services and middleware
 const errorHandler = require('./middleware/errorHandler');
+const Device = require('./models/Device');
 const ScheduleMonitor = require('./services/scheduleMonitor');
 const ContentService = require('./services/contentService');
+const DeviceGateway = require('./services/deviceGateway');
+const DeviceWatchdog = require('./services/deviceWatchdog');
+const EmergencyAlertService = require('./services/emergencyAlertService');
+const { expireStaleUploads } = require('./services/tusUploads');
+const ChangeStreamWatcher = require('./services/changeStreamWatcher');
+const MediaProcessor = require('./services/mediaProcessor');
+const { getStorage } = require('./services/storage');
 
 dotenv.config();
 
@@ -48,7 +55,12 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production'
     ? [process.env.CLIENT_URL, `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`]
     : ["http://localhost:3000", "http://localhost:5173"],
-  credentials: true
+  credentials: true,
+  // Read by tus clients to resume uploads
+  exposedHeaders: [
+    'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires',
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size'
+  ]
 }));
 
 app.use(compression());
@@ -64,8 +76,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Serve static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve media from its storage driver (local disk or S3); a misconfigured driver fails here
+console.log(`🗄️ Media storage: ${getStorage().name}`);
+app.use('/uploads', require('./routes/media'));
 app.use('/api/schedules', require('./routes/schedules'));
 
 
@@ -80,8 +93,23 @@ mongoose.connect(process.env.MONGO_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   // Initialize services after DB connection
-  scheduleMonitor = new ScheduleMonitor(io);
   contentService = new ContentService(io);
+  app.set('contentService', contentService);
+  scheduleMonitor = new ScheduleMonitor(io, contentService);
+  app.set('scheduleMonitor', scheduleMonitor);
+  scheduleMonitor.start();
+  deviceGateway = new DeviceGateway(io);
+  app.set('deviceGateway', deviceGateway);
+  deviceWatchdog = new DeviceWatchdog(io);
+  app.set('deviceWatchdog', deviceWatchdog);
+  emergencyAlertService = new EmergencyAlertService(io, contentService);
+  app.set('emergencyAlertService', emergencyAlertService);
+  emergencyAlertService.restore();
+  changeStreamWatcher = new ChangeStreamWatcher(io, { contentService, scheduleMonitor });
+  changeStreamWatcher.start();
+  mediaProcessor = new MediaProcessor(io);
+  app.set('mediaProcessor', mediaProcessor);
+  mediaProcessor.sweep();
   setupCronJobs();
 })
 .catch(err => {
@@ -92,6 +120,11 @@ mongoose.connect(process.env.MONGO_URI, {
 // Initialize services
 let scheduleMonitor;
 let contentService;
+let deviceGateway;
+let deviceWatchdog;
+let emergencyAlertService;
+let changeStreamWatcher;
+let mediaProcessor;
 
 // Enhanced Socket.IO connection handling
 const connectedUsers = new Map();
@@ -100,11 +133,28 @@ const viewerSessions = new Map();
 io.on('connection', (socket) => {
   console.log('🔌 Socket connected:', socket.id);
   
-  socket.on('join-room', (userData) => {
+  socket.on('join-room', async (userData) => {
     const { userId, role, name } = userData;
+
+    // A screen claiming a device (its room, alerts and playlist) must prove it
+    // with the credential it was paired with: { deviceId, deviceSecret } here,
+    // or { deviceId, secret } in the handshake auth payload
+    let deviceId = null;
+    if (userData.deviceId) {
+      const secret = userData.deviceSecret || socket.handshake.auth?.secret;
+      const device = await Device.authenticate(userData.deviceId, secret).catch(error => {
+        console.error('Viewer device authentication error:', error.message);
+        return null;
+      });
+      if (!device) {
+        socket.emit('error', { message: 'Device credentials are not valid or have been revoked' });
+        return;
+      }
+      deviceId = device.deviceId;
+    }
     
     connectedUsers.set(socket.id, {
-      userId, role, name,
+      userId, role, name, deviceId,
       joinedAt: new Date(),
       lastActivity: new Date()
     });
@@ -119,12 +169,22 @@ io.on('connection', (socket) => {
         lastContentRequest: null
       });
       socket.join('viewers');
+
+      // Screens that identify as a registered device get a device-scoped playlist
+      if (deviceId) {
+        socket.join(`device-${deviceId}`);
+      }
       
       // Send immediate content check to new viewer
       socket.emit('content-refresh', {
         message: 'Checking for scheduled content...',
         timestamp: new Date()
       });
+
+      // Reconnecting screens must not miss an alert that is still in effect
+      if (emergencyAlertService) {
+        emergencyAlertService.sendActiveAlert(socket, deviceId);
+      }
     }
     
     // Broadcast user count update
@@ -143,7 +203,11 @@ io.on('connection', (socket) => {
     }
     
     try {
-      const content = await contentService.getCurrentContent();
+      // Only the device this socket authenticated as in join-room
+      const deviceId = userInfo.deviceId;
+      const content = deviceId
+        ? await contentService.getCurrentContentForDevice(deviceId)
+        : await contentService.getCurrentContent();
       socket.emit('current-content-response', {
         success: true,
         data: content,
@@ -204,17 +268,57 @@ io.on('connection', (socket) => {
 
 // Cron jobs for real-time monitoring
 function setupCronJobs() {
-  // Check schedule changes every 30 seconds
+  // Broadcast content every 5 minutes
+  cron.schedule('0 */5 * * * *', () => {
+    if (contentService && viewerSessions.size > 0) {
+      contentService.broadcastCurrentContent();
+    }
+  });
+
+  // Mark devices offline after missed heartbeats
   cron.schedule('*/30 * * * * *', () => {
+    if (deviceWatchdog) {
+      deviceWatchdog.checkDevices();
+    }
+  });
+
+  // End emergency alerts past their expiry (backstop for the per-alert timers)
+  cron.schedule('0 * * * * *', () => {
+    if (emergencyAlertService) {
+      emergencyAlertService.expireDue();
+    }
+  });
+
+  // Backstop for scheduled unpublishing; the transition timer normally handles it on time
+  cron.schedule('0 * * * * *', () => {
     if (scheduleMonitor) {
-      scheduleMonitor.checkScheduleChanges();
+      scheduleMonitor.unpublishDue();
     }
   });
 
-  // Broadcast content every 5 minutes
+  // Recompute schedule transitions every 5 minutes to pick up writes made outside this process
   cron.schedule('0 */5 * * * *', () => {
-    if (contentService && viewerSessions.size > 0) {
-      contentService.broadcastCurrentContent();
+    if (scheduleMonitor) {
+      scheduleMonitor.refreshTransitions();
+    }
+  });
+
+  // Remove resumable uploads abandoned past their expiry, every hour
+  cron.schedule('0 0 * * * *', () => {
+    expireStaleUploads();
+  });
+
+  // Pick up media left unprocessed (other instances' uploads, restarts), every 5 minutes
+  cron.schedule('0 */5 * * * *', () => {
+    if (mediaProcessor) {
+      mediaProcessor.sweep();
+    }
+  });
+
+  // Expire device commands that were never delivered, every minute
+  cron.schedule('0 * * * * *', () => {
+    if (deviceGateway) {
+      deviceGateway.expireStaleCommands();
     }
   });
 }
@@ -224,8 +328,14 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/schedules', require('./routes/schedules'));
 app.use('/api/devices', require('./routes/devices'));
+app.use('/api/device-groups', require('./routes/deviceGroups'));
+app.use('/api/emergency-alerts', require('./routes/emergencyAlerts'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/fallback-content', require('./routes/fallbackContent'));
+app.use('/api/campaigns', require('./routes/campaigns'));
 app.use('/api/licenses', require('./routes/licenses'));
 app.use('/api/audit', require('./routes/Audit'));
+app.use('/api/reports', require('./routes/reports'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -259,6 +369,11 @@ process.on('SIGTERM', async () => {
   console.log('Shutting down gracefully...');
   if (scheduleMonitor) scheduleMonitor.cleanup();
   if (contentService) contentService.cleanup();
+  if (deviceGateway) deviceGateway.cleanup();
+  if (deviceWatchdog) deviceWatchdog.cleanup();
+  if (emergencyAlertService) emergencyAlertService.cleanup();
+  if (changeStreamWatcher) changeStreamWatcher.cleanup();
+  if (mediaProcessor) mediaProcessor.cleanup();
   io.close();
   await mongoose.connection.close();
   server.close(() => process.exit(0));
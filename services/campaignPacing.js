@@ -0,0 +1,230 @@
+// services/campaignPacing.js
+// Decides how much of a screen's time each campaign gets and forecasts delivery.
+//
+// A campaign's share of screen time is planned once per playlist sequence
+// segment (see playlistEngine) from the plays delivered before that segment,
+// so a screen's sequence for the day can be replayed for proof-of-play:
+// - even: the remaining goal spread over the rest of the flight and the
+//   targeted screens; a campaign that fell behind gets a larger share next day
+// - asap: the largest share allowed, until the goal is met
+const Campaign = require('../models/Campaign');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const PlayEvent = require('../models/PlayEvent');
+const { DEFAULT_ITEM_DURATION, getSequenceSegmentStart } = require('./playlistEngine');
+
+// Campaigns never take more than half of a screen's time between them
+const MAX_CAMPAIGN_SHARE = 0.5;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_CACHED_PLANS = 1000;
+
+// `${campaignId}:${segmentStart}` → share, so counts are not re-run on every request
+const planCache = new Map();
+
+const countDelivered = (campaignId, { from = null, before = null } = {}) => {
+  const startedAt = {};
+  if (from) startedAt.$gte = from;
+  if (before) startedAt.$lt = before;
+
+  return PlayEvent.countDocuments({
+    campaign: campaignId,
+    status: 'completed',
+    ...(from || before ? { startedAt } : {})
+  });
+};
+
+// Registered screens a campaign can reach
+const countTargetScreens = async (campaign) => {
+  if (Campaign.isUntargeted(campaign)) {
+    return Device.countDocuments();
+  }
+
+  const { devices = [], deviceGroups = [], locations = [] } = campaign.targets;
+  const groupDevices = await DeviceGroup.expandDevices(deviceGroups.map(group => group._id || group));
+  const conditions = [{ _id: { $in: [...devices.map(device => device._id || device), ...groupDevices] } }];
+  if (locations.length > 0) {
+    conditions.push({ location: { $in: locations } });
+  }
+
+  return Device.countDocuments({ $or: conditions }).collation({ locale: 'en', strength: 2 });
+};
+
+const averageItemDuration = (campaign) => {
+  const durations = campaign.content.map(item =>
+    item.customDuration || item.contentId?.duration || DEFAULT_ITEM_DURATION);
+  return durations.reduce((total, duration) => total + duration, 0) / durations.length;
+};
+
+// Share of each screen's time the campaign needs from `at` on, 0 once the goal is met
+const computeShare = (campaign, { delivered, screens, at }) => {
+  const remaining = campaign.goalPlays - delivered;
+  if (remaining <= 0) return 0;
+  if (campaign.pacing === 'asap') return MAX_CAMPAIGN_SHARE;
+
+  const from = Math.max(new Date(at).getTime(), new Date(campaign.flightStart).getTime());
+  const remainingSeconds = Math.max(HOUR_MS, new Date(campaign.flightEnd).getTime() - from) / 1000;
+  const playsPerScreenSecond = remaining / (Math.max(screens, 1) * remainingSeconds);
+
+  return Math.min(MAX_CAMPAIGN_SHARE, playsPerScreenSecond * averageItemDuration(campaign));
+};
+
+const planShare = async (campaign, segmentStart) => {
+  const key = `${campaign._id}:${segmentStart.toISOString()}`;
+  if (planCache.has(key)) {
+    return planCache.get(key);
+  }
+
+  const [delivered, screens] = await Promise.all([
+    countDelivered(campaign._id, { before: segmentStart }),
+    countTargetScreens(campaign)
+  ]);
+  const share = computeShare(campaign, { delivered, screens, at: segmentStart });
+
+  if (planCache.size >= MAX_CACHED_PLANS) {
+    planCache.clear();
+  }
+  planCache.set(key, share);
+  return share;
+};
+
+/**
+ * Campaign items to play into a schedule `window` on `device` (null for
+ * screens that are not a registered device), in the shape playlistEngine
+ * expects: `[{ campaign, share, content }]`. Shares are scaled down together
+ * when they would exceed MAX_CAMPAIGN_SHARE.
+ */
+const getCampaignInjections = async (device, window, at = new Date()) => {
+  if (!window?.start) return [];
+
+  const segmentStart = getSequenceSegmentStart(window.start, at);
+  const campaigns = await Campaign.findInFlightFor(device, segmentStart, window.end || at);
+
+  const injections = [];
+  for (const campaign of campaigns) {
+    const share = await planShare(campaign, segmentStart);
+    if (share <= 0) continue;
+
+    injections.push({
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        advertiser: campaign.advertiser,
+        pacing: campaign.pacing,
+        flightStart: campaign.flightStart,
+        flightEnd: campaign.flightEnd
+      },
+      share,
+      content: campaign.content
+    });
+  }
+
+  const total = injections.reduce((sum, injection) => sum + injection.share, 0);
+  if (total > MAX_CAMPAIGN_SHARE) {
+    injections.forEach(injection => {
+      injection.share = injection.share * MAX_CAMPAIGN_SHARE / total;
+    });
+  }
+
+  return injections;
+};
+
+// Forget planned shares after a campaign changed
+const clearPacingCache = (campaignId = null) => {
+  if (!campaignId) {
+    planCache.clear();
+    return;
+  }
+  for (const key of planCache.keys()) {
+    if (key.startsWith(`${campaignId}:`)) planCache.delete(key);
+  }
+};
+
+const getCampaignStatus = (campaign, delivered, at) => {
+  if (delivered >= campaign.goalPlays) return 'completed';
+  if (at >= campaign.flightEnd) return 'ended';
+  if ((campaign.workflowState || 'published') !== 'published') return campaign.workflowState;
+  if (!campaign.isActive) return 'paused';
+  if (at < campaign.flightStart) return 'scheduled';
+  return 'delivering';
+};
+
+/**
+ * Delivered plays against the goal, and whether the goal will be met at the
+ * rate of the last 24 hours.
+ */
+const getDelivery = async (campaign, at = new Date()) => {
+  const flightStart = new Date(campaign.flightStart);
+  const flightEnd = new Date(campaign.flightEnd);
+  const flightMs = flightEnd - flightStart;
+  const elapsedMs = Math.min(Math.max(at - flightStart, 0), flightMs);
+  const remainingMs = flightMs - elapsedMs;
+
+  const rateWindowMs = Math.min(DAY_MS, elapsedMs);
+  const rateWindowEnd = new Date(flightStart.getTime() + elapsedMs);
+
+  const [delivered, recentPlays, daily] = await Promise.all([
+    countDelivered(campaign._id),
+    rateWindowMs > 0
+      ? countDelivered(campaign._id, { from: new Date(rateWindowEnd - rateWindowMs), before: rateWindowEnd })
+      : 0,
+    PlayEvent.aggregate([
+      { $match: { campaign: campaign._id, status: 'completed' } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+          plays: { $sum: 1 },
+          devices: { $addToSet: '$device' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const remaining = Math.max(0, campaign.goalPlays - delivered);
+  const playsPerHour = rateWindowMs > 0 ? recentPlays / (rateWindowMs / HOUR_MS) : 0;
+  const projectedPlays = Math.round(delivered + playsPerHour * (remainingMs / HOUR_MS));
+  // Even pacing should have delivered the elapsed fraction of the goal by now
+  const expectedByNow = campaign.pacing === 'even'
+    ? Math.round(campaign.goalPlays * (flightMs > 0 ? elapsedMs / flightMs : 1))
+    : null;
+
+  let projectedCompletion = null;
+  if (remaining > 0 && playsPerHour > 0) {
+    const completionMs = at.getTime() + (remaining / playsPerHour) * HOUR_MS;
+    projectedCompletion = completionMs <= flightEnd.getTime() ? new Date(completionMs) : null;
+  }
+
+  return {
+    status: getCampaignStatus(campaign, delivered, at),
+    goal: campaign.goalPlays,
+    delivered,
+    remaining,
+    progress: Math.round((delivered / campaign.goalPlays) * 1000) / 10,
+    flight: {
+      start: flightStart,
+      end: flightEnd,
+      elapsedPercent: flightMs > 0 ? Math.round((elapsedMs / flightMs) * 1000) / 10 : 100
+    },
+    pacing: {
+      mode: campaign.pacing,
+      expectedByNow,
+      paceRatio: expectedByNow ? Math.round((delivered / expectedByNow) * 100) / 100 : null
+    },
+    forecast: {
+      playsPerHour: Math.round(playsPerHour * 10) / 10,
+      projectedPlays,
+      willMeetGoal: delivered >= campaign.goalPlays || projectedPlays >= campaign.goalPlays,
+      projectedCompletion
+    },
+    daily: daily.map(day => ({ date: day._id, plays: day.plays, devices: day.devices.length }))
+  };
+};
+
+module.exports = {
+  MAX_CAMPAIGN_SHARE,
+  computeShare,
+  getCampaignInjections,
+  clearPacingCache,
+  getDelivery
+};
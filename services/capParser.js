@@ -0,0 +1,148 @@
+// services/capParser.js
+// Parses Common Alerting Protocol 1.2 messages (OASIS CAP-V1.2) into plain
+// objects. Invalid messages throw an Error with `statusCode` 400.
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const STATUSES = ['Actual', 'Exercise', 'System', 'Test', 'Draft'];
+const MESSAGE_TYPES = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+const SCOPES = ['Public', 'Restricted', 'Private'];
+const URGENCIES = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const CERTAINTIES = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+// Elements that may repeat, so they always parse as arrays
+const REPEATABLE = ['info', 'category', 'responseType', 'eventCode', 'parameter', 'resource', 'area', 'polygon', 'circle', 'geocode'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => REPEATABLE.includes(name)
+});
+
+const capError = (message) => {
+  const error = new Error(`Invalid CAP message: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+const text = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const result = typeof value === 'object' ? value['#text'] : value;
+  return result === undefined ? undefined : String(result).trim();
+};
+
+const required = (node, name, context) => {
+  const value = text(node[name]);
+  if (!value) {
+    throw capError(`<${name}> is required in <${context}>`);
+  }
+  return value;
+};
+
+const oneOf = (value, allowed, name) => {
+  if (!allowed.includes(value)) {
+    throw capError(`<${name}> must be one of ${allowed.join(', ')} (got "${value}")`);
+  }
+  return value;
+};
+
+const dateTime = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw capError(`<${name}> must be a date-time such as 2026-10-19T14:30:00-07:00`);
+  }
+  return date;
+};
+
+// <references> holds whitespace-separated "sender,identifier,sent" triples
+const parseReferences = (value) => (value || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(reference => {
+    const [sender, identifier, sent] = reference.split(',');
+    if (!sender || !identifier) {
+      throw capError(`malformed reference "${reference}"`);
+    }
+    return { sender, identifier, sent: sent ? dateTime(sent, 'references') : undefined };
+  });
+
+const parseArea = (area) => ({
+  description: required(area, 'areaDesc', 'area'),
+  geocodes: (area.geocode || []).map(geocode => ({
+    name: text(geocode.valueName),
+    value: text(geocode.value)
+  })).filter(geocode => geocode.value)
+});
+
+const parseInfo = (info) => ({
+  language: text(info.language) || 'en-US',
+  categories: (info.category || []).map(text).filter(Boolean),
+  event: required(info, 'event', 'info'),
+  urgency: oneOf(required(info, 'urgency', 'info'), URGENCIES, 'urgency'),
+  severity: oneOf(required(info, 'severity', 'info'), SEVERITIES, 'severity'),
+  certainty: oneOf(required(info, 'certainty', 'info'), CERTAINTIES, 'certainty'),
+  headline: text(info.headline),
+  description: text(info.description),
+  instruction: text(info.instruction),
+  senderName: text(info.senderName),
+  effective: dateTime(text(info.effective), 'effective'),
+  onset: dateTime(text(info.onset), 'onset'),
+  expires: dateTime(text(info.expires), 'expires'),
+  areas: (info.area || []).map(parseArea)
+});
+
+/**
+ * Parse a CAP 1.2 <alert> document. Returns the message header fields,
+ * `references` to earlier messages and one entry per <info> block.
+ */
+const parseCapMessage = (xml) => {
+  if (!xml || typeof xml !== 'string' || !xml.trim()) {
+    throw capError('request body must be a CAP 1.2 XML document');
+  }
+
+  // DTDs are never needed for CAP and would allow entity expansion attacks
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw capError('document type declarations are not allowed');
+  }
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw capError(`malformed XML (${validation.err.msg} at line ${validation.err.line})`);
+  }
+
+  const alert = parser.parse(xml).alert;
+  if (!alert || typeof alert !== 'object') {
+    throw capError('root element must be <alert>');
+  }
+
+  // Namespace prefixes are stripped while parsing, so check the declarations on the root tag
+  const rootTag = /<(?:[\w.-]+:)?alert\b([^>]*)>/.exec(xml);
+  const namespaces = [...(rootTag ? rootTag[1] : '').matchAll(/xmlns(?::[\w.-]+)?\s*=\s*["']([^"']*)["']/g)]
+    .map(match => match[1]);
+  if (namespaces.length > 0 && !namespaces.includes(CAP_NAMESPACE)) {
+    throw capError(`unsupported namespace "${namespaces[0]}", expected ${CAP_NAMESPACE}`);
+  }
+
+  return {
+    identifier: required(alert, 'identifier', 'alert'),
+    sender: required(alert, 'sender', 'alert'),
+    sent: dateTime(required(alert, 'sent', 'alert'), 'sent'),
+    status: oneOf(required(alert, 'status', 'alert'), STATUSES, 'status'),
+    msgType: oneOf(required(alert, 'msgType', 'alert'), MESSAGE_TYPES, 'msgType'),
+    scope: oneOf(required(alert, 'scope', 'alert'), SCOPES, 'scope'),
+    note: text(alert.note),
+    references: parseReferences(text(alert.references)),
+    infos: (alert.info || []).map(parseInfo)
+  };
+};
+
+module.exports = {
+  CAP_NAMESPACE,
+  parseCapMessage
+};
@@ -0,0 +1,253 @@
+// services/changeStreamWatcher.js
+// Pushes schedule, content and device changes to screens as soon as they hit
+// the database, including writes from other instances or the mongo shell.
+// Change streams need a replica set or sharded cluster; on a standalone server
+// the watcher stays off and freshness falls back to the content cache TTL and
+// the periodic transition refresh.
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Content = require('../models/Content');
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const FallbackContent = require('../models/FallbackContent');
+
+const RETRY_MS = 10000;
+// Resume token no longer in the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+// Only these fields change what a screen plays; heartbeats, view counts and
+// the like are ignored
+const CONTENT_PLAYBACK_FIELDS = ['status', 'type', 'filePath', 'url', 'htmlContent', 'duration', 'mimeType', 'title'];
+const DEVICE_RESOLUTION_FIELDS = ['location', 'timezone'];
+// Changing a schedule's targets also affects the screens it no longer targets
+const SCHEDULE_TARGET_FIELDS = ['devices', 'deviceGroups'];
+
+const changedFields = (change) =>
+  Object.keys(change.updateDescription?.updatedFields || {})
+    .concat(change.updateDescription?.removedFields || [])
+    .map(field => field.split('.')[0]);
+
+class ChangeStreamWatcher {
+  constructor(io, { contentService = null, scheduleMonitor = null } = {}) {
+    this.io = io;
+    this.contentService = contentService;
+    this.scheduleMonitor = scheduleMonitor;
+    this.deviceNamespace = io.of('/devices');
+    this.streams = [];
+    this.resumeTokens = new Map();
+    this.retryTimer = null;
+    this.active = false;
+    this.stopped = false;
+    console.log('👀 ChangeStreamWatcher initialized');
+  }
+
+  // Resolves to whether change streams are in use
+  async start() {
+    if (process.env.MONGO_CHANGE_STREAMS === 'off') {
+      console.log('👀 Change streams disabled, using polling');
+      return false;
+    }
+
+    if (!(await this.isSupported())) {
+      console.log('👀 MongoDB is standalone, change streams unavailable; using polling');
+      return false;
+    }
+
+    this.open();
+    return this.active;
+  }
+
+  // Replica set members report a set name, mongos reports 'isdbgrid'
+  async isSupported() {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      return Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      console.error('❌ Error checking change stream support:', error);
+      return false;
+    }
+  }
+
+  open() {
+    const watch = (name, Model, handler) => {
+      const resumeAfter = this.resumeTokens.get(name);
+      const stream = Model.watch([], {
+        fullDocument: 'updateLookup',
+        ...(resumeAfter && { resumeAfter })
+      });
+
+      stream.on('change', async (change) => {
+        this.resumeTokens.set(name, change._id);
+        try {
+          await handler.call(this, change);
+        } catch (error) {
+          console.error(`❌ Error handling ${name} change:`, error);
+        }
+      });
+      stream.on('error', (error) => this.onStreamError(name, error));
+      this.streams.push(stream);
+    };
+
+    watch('schedules', Schedule, this.onScheduleChange);
+    watch('contents', Content, this.onContentChange);
+    watch('devices', Device, this.onDeviceChange);
+
+    this.active = true;
+    console.log('👀 Watching schedules, contents and devices for changes');
+  }
+
+  // Close every stream and reopen them from their last resume tokens; screens
+  // rely on the polling fallback in the meantime
+  onStreamError(name, error) {
+    console.error(`❌ Change stream on ${name} failed:`, error.message);
+
+    if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+      // Changes were missed, so everything may be stale
+      this.resumeTokens.clear();
+      this.refreshEverywhere('Change history lost').catch(() => {});
+    }
+
+    this.close();
+    if (this.stopped || this.retryTimer) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (!this.stopped) this.open();
+    }, RETRY_MS);
+    this.retryTimer.unref?.();
+  }
+
+  close() {
+    const streams = this.streams;
+    this.streams = [];
+    this.active = false;
+    streams.forEach(stream => stream.close().catch(() => {}));
+  }
+
+  async onScheduleChange(change) {
+    this.invalidate();
+    if (this.scheduleMonitor) {
+      this.scheduleMonitor.requestRefresh();
+    }
+
+    const schedule = change.fullDocument;
+    const retargeted = changedFields(change).some(field => SCHEDULE_TARGET_FIELDS.includes(field));
+
+    // Deleted or retargeted schedules may have been showing anywhere
+    if (!schedule || retargeted) {
+      return this.refreshEverywhere('Schedule changed');
+    }
+
+    const deviceIds = await this.resolveScheduleDevices(schedule);
+    return deviceIds
+      ? this.refreshDevices(deviceIds, 'Schedule changed')
+      : this.refreshEverywhere('Schedule changed');
+  }
+
+  async onContentChange(change) {
+    if (change.operationType === 'insert') return;
+    if (change.operationType === 'update'
+      && !changedFields(change).some(field => CONTENT_PLAYBACK_FIELDS.includes(field))) {
+      return;
+    }
+
+    const contentId = change.documentKey._id;
+    const [schedules, usedAsFallback] = await Promise.all([
+      Schedule.find({ 'content.contentId': contentId }).select('devices deviceGroups').lean(),
+      FallbackContent.exists({ 'content.contentId': contentId })
+    ]);
+    if (!schedules.length && !usedAsFallback) return;
+
+    this.invalidate();
+
+    if (usedAsFallback) {
+      return this.refreshEverywhere('Content changed');
+    }
+
+    const deviceIds = new Set();
+    for (const schedule of schedules) {
+      const ids = await this.resolveScheduleDevices(schedule);
+      if (!ids) {
+        return this.refreshEverywhere('Content changed');
+      }
+      ids.forEach(id => deviceIds.add(id));
+    }
+    return this.refreshDevices([...deviceIds], 'Content changed');
+  }
+
+  async onDeviceChange(change) {
+    if (change.operationType === 'update'
+      && !changedFields(change).some(field => DEVICE_RESOLUTION_FIELDS.includes(field))) {
+      return;
+    }
+
+    this.invalidate();
+    // Device-local schedules turn over at different instants in a new zone
+    if (this.scheduleMonitor) {
+      this.scheduleMonitor.requestRefresh();
+    }
+
+    if (change.fullDocument) {
+      await this.refreshDevices([change.fullDocument.deviceId], 'Device changed');
+    }
+  }
+
+  // `deviceId` strings a schedule targets, or null when it targets every screen
+  async resolveScheduleDevices(schedule) {
+    const devices = schedule.devices || [];
+    const deviceGroups = schedule.deviceGroups || [];
+    if (devices.length === 0 && deviceGroups.length === 0) {
+      return null;
+    }
+
+    const groupDevices = await DeviceGroup.expandDevices(deviceGroups);
+    const found = await Device.find({ _id: { $in: [...devices, ...groupDevices] } })
+      .select('deviceId')
+      .lean();
+    return found.map(device => device.deviceId);
+  }
+
+  invalidate() {
+    if (this.contentService) {
+      this.contentService.clearCache();
+    }
+  }
+
+  async refreshEverywhere(message) {
+    const payload = { message, timestamp: new Date() };
+    this.io.to('viewers').emit('content-refresh', payload);
+    this.deviceNamespace.emit('content-refresh', payload);
+
+    if (this.contentService) {
+      await this.contentService.broadcastCurrentContent();
+    }
+  }
+
+  async refreshDevices(deviceIds, message) {
+    if (deviceIds.length === 0) return;
+
+    const rooms = deviceIds.map(deviceId => `device-${deviceId}`);
+    const payload = { message, timestamp: new Date() };
+    this.io.to(rooms).emit('content-refresh', payload);
+    this.deviceNamespace.to(rooms).emit('content-refresh', payload);
+
+    if (this.contentService) {
+      const connected = new Set(this.contentService.getDeviceRooms());
+      for (const deviceId of deviceIds) {
+        if (connected.has(`device-${deviceId}`)) {
+          await this.contentService.broadcastToDevice(deviceId);
+        }
+      }
+    }
+  }
+
+  cleanup() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.close();
+    console.log('🧹 ChangeStreamWatcher cleaned up');
+  }
+}
+
+module.exports = ChangeStreamWatcher;
@@ -1,7 +1,10 @@
 // services/contentService.js
 const Schedule = require('../models/Schedule');
-const Content = require('../models/Content');
-const moment = require('moment-timezone');
+const Device = require('../models/Device');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const FallbackContent = require('../models/FallbackContent');
+const { buildPlaybackState, buildEmergencyState, buildFallbackState } = require('./playlistEngine');
+const { getCampaignInjections } = require('./campaignPacing');
 
 class ContentService {
   constructor(io) {
@@ -12,114 +15,105 @@ class ContentService {
     console.log('📦 ContentService initialized');
   }
 
-  async getCurrentContent() {
+  // `device` is an optional Device document; without it the global schedule is used
+  async getCurrentContent(device = null, at = new Date()) {
     try {
+      // Emergency alerts preempt every schedule and are never cached
+      const alert = await EmergencyAlert.findActiveFor(device, at);
+      if (alert) {
+        return buildEmergencyState(alert, at);
+      }
+
       const now = Date.now();
-      
-      if (this.lastContentUpdate && (now - this.lastContentUpdate) < this.cacheTimeout) {
-        const cachedContent = this.contentCache.get('current');
-        if (cachedContent) {
-          return cachedContent;
-        }
+      const cacheKey = device ? `device-${device._id}` : 'current';
+      const cached = this.contentCache.get(cacheKey);
+
+      // The playlist pointer moves every second, so only the resolved schedule
+      // and its campaigns are cached; the playback state is recomputed on every read.
+      const cacheValid = cached
+        && cached.schedule
+        && (now - cached.fetchedAt) < this.cacheTimeout
+        && new Date(cached.schedule.activeWindow.end) >= at
+        && !(cached.schedule.unpublishAt && new Date(cached.schedule.unpublishAt) <= at);
+
+      let activeSchedule;
+      let campaigns;
+      if (cacheValid) {
+        activeSchedule = cached.schedule;
+        campaigns = cached.campaigns;
+      } else {
+        activeSchedule = await this.fetchActiveSchedule(device, at);
+        campaigns = activeSchedule
+          ? await getCampaignInjections(device, activeSchedule.activeWindow, at)
+          : [];
+        this.contentCache.set(cacheKey, { schedule: activeSchedule, campaigns, fetchedAt: now });
+        this.lastContentUpdate = now;
       }
 
-      const content = await this.fetchCurrentContent();
-      this.contentCache.set('current', content);
-      this.lastContentUpdate = now;
-      
-      return content;
+      if (!activeSchedule) return this.fetchFallbackContent(device, at);
+      return buildPlaybackState(activeSchedule, activeSchedule.activeWindow, at, {
+        deviceKey: device?.deviceId,
+        campaigns
+      });
     } catch (error) {
       console.error('Error in getCurrentContent:', error);
       return null;
     }
   }
 
-  async fetchCurrentContent() {
-    try {
-      const schedules = await Schedule.find({ isActive: true })
-        .populate({
-          path: 'content.contentId',
-          match: { status: 'approved' },
-          select: 'title type duration filePath url htmlContent mimeType'
-        })
-        .lean();
-
-      if (!schedules.length) return null;
-
-      const nowUtc = moment.utc();
-      let activeSchedule = null;
-      let bestPriority = 0;
-
-      for (const schedule of schedules) {
-        if (!schedule.content || !schedule.content.length) continue;
-
-        const validContent = schedule.content.filter(c => c.contentId);
-        if (!validContent.length) continue;
-
-        const timezone = schedule.timezone || 'UTC';
-        const nowInScheduleTimezone = nowUtc.clone().tz(timezone);
-
-        const [startHour, startMinute] = schedule.startTime.split(':').map(Number);
-        const [endHour, endMinute] = schedule.endTime.split(':').map(Number);
-
-        let scheduleStart = moment.tz(schedule.startDate, timezone)
-          .hour(startHour).minute(startMinute).second(0);
-
-        let scheduleEnd = moment.tz(schedule.endDate, timezone)
-          .hour(endHour).minute(endMinute).second(0);
-
-        if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-          scheduleEnd.add(1, 'day');
-        }
-
-        const isWithinDateRange = nowInScheduleTimezone.isBetween(
-          moment.tz(schedule.startDate, timezone).startOf('day'),
-          moment.tz(schedule.endDate, timezone).endOf('day'),
-          null, '[]'
-        );
+  async getCurrentContentForDevice(deviceId, at = new Date()) {
+    const device = await Device.findOne({ deviceId });
+    if (!device) return null;
+    return this.getCurrentContent(device, at);
+  }
 
-        const isWithinTimeRange = nowInScheduleTimezone.isBetween(scheduleStart, scheduleEnd, null, '[]');
+  async fetchActiveSchedule(device = null, at = new Date()) {
+    // Already sorted by precedence, only schedules with valid content
+    const activeSchedules = device
+      ? await Schedule.findCurrentlyActiveForDevice(device, at)
+      : await Schedule.findCurrentlyActive(at);
+    return activeSchedules[0] || null;
+  }
 
-        if (isWithinDateRange && isWithinTimeRange) {
-          const priority = schedule.priority || 1;
-          if (!activeSchedule || priority > bestPriority) {
-            activeSchedule = schedule;
-            bestPriority = priority;
-          }
-        }
+  async fetchCurrentContent(device = null, at = new Date()) {
+    try {
+      const alert = await EmergencyAlert.findActiveFor(device, at);
+      if (alert) {
+        return buildEmergencyState(alert, at);
       }
 
-      if (!activeSchedule) return null;
-
-      const validContent = activeSchedule.content.filter(c => c.contentId);
-      const contentToPlay = validContent[0]?.contentId;
-
-      if (!contentToPlay) return null;
-
-      return {
-        ...contentToPlay,
-        schedule: {
-          _id: activeSchedule._id,
-          name: activeSchedule.name,
-          description: activeSchedule.description,
-          priority: activeSchedule.priority
-        }
-      };
+      const activeSchedule = await this.fetchActiveSchedule(device, at);
+      if (!activeSchedule) return this.fetchFallbackContent(device, at);
 
+      const campaigns = await getCampaignInjections(device, activeSchedule.activeWindow, at);
+      return buildPlaybackState(activeSchedule, activeSchedule.activeWindow, at, {
+        deviceKey: device?.deviceId,
+        campaigns
+      });
     } catch (error) {
       console.error('Error fetching current content:', error);
       throw error;
     }
   }
 
+  // Device, location or global fallback content when no schedule is active
+  async fetchFallbackContent(device = null, at = new Date()) {
+    const fallback = await FallbackContent.resolveFor(device);
+    return fallback ? buildFallbackState(fallback, at) : null;
+  }
+
   async broadcastCurrentContent() {
+    const deviceRooms = this.getDeviceRooms();
+
     try {
       const content = await this.getCurrentContent();
       const viewerCount = this.getViewerCount();
 
-      this.io.to('viewers').emit('current-content-broadcast', {
+      // Screens bound to a device get their own playlist below
+      this.io.to('viewers').except(deviceRooms).emit('current-content-broadcast', {
         success: true,
         data: content,
+        resolution: content ? content.resolution : null,
         message: content ? 'Current content update' : 'No active content',
         timestamp: new Date(),
         viewerCount: viewerCount
@@ -128,7 +122,7 @@ class ContentService {
     } catch (error) {
       console.error('Error broadcasting content:', error);
       
-      this.io.to('viewers').emit('current-content-broadcast', {
+      this.io.to('viewers').except(deviceRooms).emit('current-content-broadcast', {
         success: false,
         data: null,
         message: 'Failed to get current content',
@@ -136,6 +130,36 @@ class ContentService {
         timestamp: new Date()
       });
     }
+
+    for (const room of deviceRooms) {
+      await this.broadcastToDevice(room.replace('device-', ''));
+    }
+  }
+
+  async broadcastToDevice(deviceId) {
+    try {
+      const content = await this.getCurrentContentForDevice(deviceId);
+
+      this.io.to(`device-${deviceId}`).emit('current-content-broadcast', {
+        success: true,
+        data: content,
+        deviceId,
+        resolution: content ? content.resolution : null,
+        message: content ? 'Current content update' : 'No active content',
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error(`Error broadcasting content to device ${deviceId}:`, error);
+    }
+  }
+
+  // Socket rooms of viewers that identified themselves as a device
+  getDeviceRooms() {
+    try {
+      return [...this.io.sockets.adapter.rooms.keys()].filter(room => room.startsWith('device-'));
+    } catch (error) {
+      return [];
+    }
   }
 
   getViewerCount() {
@@ -147,6 +171,11 @@ class ContentService {
     }
   }
 
+  // Forget resolved schedules so the next read reflects a change made elsewhere
+  clearCache() {
+    this.contentCache.clear();
+  }
+
   cleanup() {
     this.contentCache.clear();
     this.lastContentUpdate = null;
@@ -0,0 +1,184 @@
+// services/deviceGateway.js
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+
+// Settings persisted on the device once the player confirms the command
+const SETTING_COMMANDS = {
+  volume: 'settings.volume',
+  brightness: 'settings.brightness'
+};
+
+class DeviceGateway {
+  constructor(io) {
+    this.io = io;
+    this.namespace = io.of('/devices');
+    this.ackTimeout = parseInt(process.env.DEVICE_COMMAND_ACK_TIMEOUT_MS) || 30000;
+
+    this.namespace.use((socket, next) => this.authenticate(socket, next));
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+    console.log('📟 DeviceGateway initialized');
+  }
+
+  // Players connect with { deviceId, secret } in the handshake auth payload,
+  // the credential they received when paired
+  async authenticate(socket, next) {
+    try {
+      const { deviceId, secret } = socket.handshake.auth || {};
+
+      if (!deviceId || !secret) {
+        return next(new Error('Device authentication required'));
+      }
+
+      const device = await Device.authenticate(deviceId, secret);
+      if (!device) {
+        return next(new Error('Device credentials are not valid or have been revoked'));
+      }
+
+      socket.data.device = {
+        _id: device._id,
+        deviceId: device.deviceId,
+        name: device.name,
+        credentialVersion: device.credential.version
+      };
+      next();
+    } catch (error) {
+      console.error('Device socket authentication error:', error.message);
+      next(new Error('Device authentication failed'));
+    }
+  }
+
+  async handleConnection(socket) {
+    const { deviceId, name } = socket.data.device;
+
+    socket.join(this.room(deviceId));
+    console.log(`📟 Device connected: ${name} (${deviceId})`);
+
+    // Players can also confirm long-running commands (e.g. screenshots) later
+    socket.on('command-ack', (ack) => this.handleAck(deviceId, ack));
+
+    socket.on('disconnect', (reason) => {
+      console.log(`📴 Device disconnected: ${name} (${deviceId}) - ${reason}`);
+    });
+
+    try {
+      await Device.updateOne({ deviceId }, { lastSeen: new Date() });
+      await this.deliverPending(deviceId);
+    } catch (error) {
+      console.error(`❌ Error delivering pending commands to ${deviceId}:`, error);
+    }
+  }
+
+  room(deviceId) {
+    return `device-${deviceId}`;
+  }
+
+  isConnected(deviceId) {
+    const room = this.namespace.adapter.rooms.get(this.room(deviceId));
+    return !!room && room.size > 0;
+  }
+
+  // Force a device to reconnect, e.g. after its credential was rotated or revoked
+  disconnectDevice(deviceId) {
+    this.namespace.in(this.room(deviceId)).disconnectSockets(true);
+    // Viewer sockets that joined as this device re-authenticate in join-room
+    this.io.in(this.room(deviceId)).disconnectSockets(true);
+  }
+
+  // Push a command to its device. Offline devices keep it queued until they reconnect.
+  async dispatch(command) {
+    if (!command.isPending() || !this.isConnected(command.deviceId)) {
+      return command;
+    }
+
+    command.status = 'sent';
+    command.sentAt = new Date();
+    command.attempts += 1;
+    await command.save();
+    this.notifyAdmins(command);
+
+    this.namespace
+      .to(this.room(command.deviceId))
+      .timeout(this.ackTimeout)
+      .emit('command', command.toDeviceMessage(), (err, responses) => {
+        if (responses && responses.length) {
+          this.handleAck(command.deviceId, { commandId: command._id.toString(), ...responses[0] });
+        } else if (err) {
+          // Stays "sent"; redelivered on reconnect unless a command-ack arrives
+          console.warn(`⚠️ No acknowledgement for command ${command._id} (${command.command}) from ${command.deviceId}`);
+        }
+      });
+
+    return command;
+  }
+
+  async deliverPending(deviceId) {
+    const pending = await DeviceCommand.findPending(deviceId);
+
+    for (const command of pending) {
+      await this.dispatch(command);
+    }
+
+    return pending.length;
+  }
+
+  // ack: { commandId, success, result, error }
+  async handleAck(deviceId, ack = {}) {
+    try {
+      if (!ack.commandId) return;
+
+      const command = await DeviceCommand.findOne({ _id: ack.commandId, deviceId });
+      if (!command || !['queued', 'sent'].includes(command.status)) {
+        return; // Unknown or already settled - acknowledgements are idempotent
+      }
+
+      if (ack.success === false) {
+        command.status = 'failed';
+        command.failedAt = new Date();
+        command.error = ack.error || 'Command failed on device';
+      } else {
+        command.status = 'acked';
+        command.ackedAt = new Date();
+        command.result = ack.result ?? null;
+
+        const settingPath = SETTING_COMMANDS[command.command];
+        if (settingPath && command.payload?.level !== undefined) {
+          await Device.updateOne({ deviceId }, { [settingPath]: command.payload.level });
+        }
+      }
+
+      await command.save();
+      this.notifyAdmins(command);
+    } catch (error) {
+      console.error(`❌ Error handling command acknowledgement from ${deviceId}:`, error);
+    }
+  }
+
+  async expireStaleCommands() {
+    try {
+      const expired = await DeviceCommand.expireStale();
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} undelivered device command(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error expiring device commands:', error);
+    }
+  }
+
+  notifyAdmins(command) {
+    this.io.to('role-ADMIN').to('role-MANAGER').emit('device-command-updated', {
+      commandId: command._id,
+      deviceId: command.deviceId,
+      command: command.command,
+      status: command.status,
+      error: command.error,
+      timestamp: new Date()
+    });
+  }
+
+  cleanup() {
+    this.namespace.disconnectSockets(true);
+    console.log('🧹 DeviceGateway cleaned up');
+  }
+}
+
+module.exports = DeviceGateway;
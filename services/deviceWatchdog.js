@@ -0,0 +1,82 @@
+// services/deviceWatchdog.js
+const Device = require('../models/Device');
+const DeviceStatusHistory = require('../models/DeviceStatusHistory');
+
+class DeviceWatchdog {
+  constructor(io) {
+    this.io = io;
+    // Players are expected to send a heartbeat every `heartbeatInterval` seconds
+    this.heartbeatInterval = parseInt(process.env.DEVICE_HEARTBEAT_INTERVAL_SECONDS) || 60;
+    this.missedHeartbeats = parseInt(process.env.DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS) || 3;
+    console.log(`🐕 DeviceWatchdog initialized (offline after ${this.missedHeartbeats} missed heartbeats of ${this.heartbeatInterval}s)`);
+  }
+
+  getOfflineThreshold(now = new Date()) {
+    return new Date(now.getTime() - this.heartbeatInterval * this.missedHeartbeats * 1000);
+  }
+
+  // Flip devices that stopped sending heartbeats to offline
+  async checkDevices() {
+    try {
+      const threshold = this.getOfflineThreshold();
+
+      const staleDevices = await Device.find({
+        status: { $in: ['online', 'error'] },
+        $or: [
+          { lastHeartbeat: { $lt: threshold } },
+          { lastHeartbeat: { $exists: false }, lastSeen: { $lt: threshold } }
+        ]
+      });
+
+      for (const device of staleDevices) {
+        // Conditional update: a heartbeat may have arrived since the query
+        const result = await Device.updateOne(
+          {
+            _id: device._id,
+            status: device.status,
+            lastHeartbeat: device.lastHeartbeat || { $exists: false }
+          },
+          { status: 'offline' }
+        );
+
+        if (result.modifiedCount === 1) {
+          const previousStatus = device.status;
+          device.status = 'offline';
+          await this.recordStatusChange(device, previousStatus, 'missed-heartbeats');
+        }
+      }
+
+      if (staleDevices.length > 0) {
+        console.log(`📴 ${staleDevices.length} device(s) marked offline after missed heartbeats`);
+      }
+    } catch (error) {
+      console.error('❌ Error in device watchdog:', error);
+    }
+  }
+
+  // Persist a status change and tell admins/managers. `device.status` is the new status.
+  async recordStatusChange(device, previousStatus, reason) {
+    try {
+      await DeviceStatusHistory.recordTransition(device, previousStatus, device.status, reason);
+
+      this.io.to('role-ADMIN').to('role-MANAGER').emit('device-status-changed', {
+        deviceId: device.deviceId,
+        _id: device._id,
+        name: device.name,
+        previousStatus,
+        status: device.status,
+        reason,
+        lastHeartbeat: device.lastHeartbeat,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Error recording status change for ${device.deviceId}:`, error);
+    }
+  }
+
+  cleanup() {
+    console.log('🧹 DeviceWatchdog cleaned up');
+  }
+}
+
+module.exports = DeviceWatchdog;
@@ -0,0 +1,190 @@
+// services/emergencyAlertService.js
+const Device = require('../models/Device');
+const DeviceGroup = require('../models/DeviceGroup');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const AuditLog = require('../models/AuditLog');
+const { buildEmergencyState, summarizeAlert } = require('./playlistEngine');
+
+// setTimeout cannot wait longer than ~24.8 days; the cron sweep covers longer alerts
+const MAX_TIMER_MS = 2147483647;
+
+class EmergencyAlertService {
+  constructor(io, contentService) {
+    this.io = io;
+    this.contentService = contentService;
+    this.deviceNamespace = io.of('/devices');
+    this.expiryTimers = new Map();
+
+    // Players reconnecting on the device namespace get the alert still in effect
+    this.deviceNamespace.on('connection', (socket) => this.sendActiveAlert(socket, socket.data.device?.deviceId));
+    console.log('🚨 EmergencyAlertService initialized');
+  }
+
+  // Re-arm expiry timers for alerts that were active before a restart
+  async restore() {
+    try {
+      const alerts = await EmergencyAlert.find({ status: 'active', expiresAt: { $ne: null } });
+      alerts.forEach(alert => this.scheduleExpiry(alert));
+
+      if (alerts.length > 0) {
+        console.log(`🚨 ${alerts.length} active emergency alert(s) restored`);
+      }
+    } catch (error) {
+      console.error('❌ Error restoring emergency alerts:', error);
+    }
+  }
+
+  // Push a newly created alert to every affected screen
+  async activate(alert) {
+    this.scheduleExpiry(alert);
+    const reached = await this.notifyScreens('emergency-alert', alert);
+    console.log(`🚨 Emergency alert ${alert._id} (${alert.severity}) sent to ${reached === null ? 'all' : reached} screen(s)`);
+    return reached;
+  }
+
+  // Tell affected screens the alert is over; `reason` is 'cleared' or 'expired'
+  async end(alert, reason) {
+    this.clearExpiry(alert._id);
+    await this.notifyScreens('emergency-alert-ended', alert, { reason });
+    console.log(`✅ Emergency alert ${alert._id} ${reason}`);
+  }
+
+  scheduleExpiry(alert) {
+    this.clearExpiry(alert._id);
+    if (!alert.expiresAt) return;
+
+    const delay = Math.max(0, new Date(alert.expiresAt).getTime() - Date.now());
+    if (delay > MAX_TIMER_MS) return;
+
+    const timer = setTimeout(() => this.expireDue(), delay);
+    timer.unref?.();
+    this.expiryTimers.set(alert._id.toString(), timer);
+  }
+
+  clearExpiry(alertId) {
+    const key = alertId.toString();
+    if (this.expiryTimers.has(key)) {
+      clearTimeout(this.expiryTimers.get(key));
+      this.expiryTimers.delete(key);
+    }
+  }
+
+  // End every alert past its expiry
+  async expireDue() {
+    try {
+      const expired = await EmergencyAlert.expireDue();
+
+      for (const alert of expired) {
+        await AuditLog.create({
+          action: 'EMERGENCY_ALERT_EXPIRE',
+          userId: alert.createdBy,
+          targetId: alert._id.toString(),
+          targetType: 'EMERGENCY_ALERT',
+          details: {
+            title: alert.title,
+            severity: alert.severity,
+            expiresAt: alert.expiresAt,
+            automatic: true
+          },
+          severity: 'MEDIUM'
+        }).catch(error => console.error('Failed to log emergency alert expiry:', error));
+
+        await this.end(alert, 'expired');
+      }
+    } catch (error) {
+      console.error('❌ Error expiring emergency alerts:', error);
+    }
+  }
+
+  // `deviceId` strings of the devices an alert targets (rooms are keyed by them)
+  async resolveDeviceIds(alert) {
+    const { devices = [], deviceGroups = [], locations = [] } = alert.targets;
+    const groupDevices = await DeviceGroup.expandDevices(deviceGroups.map(group => group._id || group));
+
+    const conditions = [{ _id: { $in: [...devices.map(device => device._id || device), ...groupDevices] } }];
+    if (locations.length > 0) {
+      conditions.push({ location: { $in: locations } });
+    }
+
+    // Locations match case-insensitively, as in EmergencyAlert.appliesTo
+    const found = await Device.find({ $or: conditions })
+      .collation({ locale: 'en', strength: 2 })
+      .select('deviceId')
+      .lean();
+    return found.map(device => device.deviceId);
+  }
+
+  // Emit `event` to the alert's audience on both namespaces, then push each
+  // affected screen what it should now play (another alert may still be in
+  // effect). Returns the number of targeted devices, or null for everyone.
+  async notifyScreens(event, alert, extra = {}) {
+    const payload = {
+      alert: summarizeAlert(alert),
+      ...extra,
+      timestamp: new Date()
+    };
+
+    if (EmergencyAlert.isGlobal(alert)) {
+      this.io.to('viewers').emit(event, payload);
+      this.deviceNamespace.emit(event, payload);
+      this.notifyAdmins(event, payload);
+
+      if (this.contentService) {
+        await this.contentService.broadcastCurrentContent();
+      }
+      return null;
+    }
+
+    const deviceIds = await this.resolveDeviceIds(alert);
+    const rooms = deviceIds.map(deviceId => `device-${deviceId}`);
+
+    if (rooms.length > 0) {
+      this.io.to(rooms).emit(event, payload);
+      this.deviceNamespace.to(rooms).emit(event, payload);
+    }
+    this.notifyAdmins(event, payload);
+
+    if (this.contentService) {
+      const connected = new Set(this.contentService.getDeviceRooms());
+      for (const deviceId of deviceIds) {
+        if (connected.has(`device-${deviceId}`)) {
+          await this.contentService.broadcastToDevice(deviceId);
+        }
+      }
+    }
+
+    return deviceIds.length;
+  }
+
+  notifyAdmins(event, payload) {
+    this.io.to('role-ADMIN').to('role-MANAGER').emit(event, payload);
+  }
+
+  // Send the alert in effect for a (re)connecting screen, if any
+  async sendActiveAlert(socket, deviceId = null) {
+    try {
+      const device = deviceId ? await Device.findOne({ deviceId }) : null;
+      const alert = await EmergencyAlert.findActiveFor(device);
+
+      if (alert) {
+        socket.emit('emergency-alert', {
+          alert: summarizeAlert(alert),
+          data: buildEmergencyState(alert),
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error sending active emergency alert:', error);
+    }
+  }
+
+  cleanup() {
+    for (const timer of this.expiryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.expiryTimers.clear();
+    console.log('🧹 EmergencyAlertService cleaned up');
+  }
+}
+
+module.exports = EmergencyAlertService;
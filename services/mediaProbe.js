@@ -0,0 +1,404 @@
+// services/mediaProbe.js
+// Reads media properties straight from file headers, without decoding:
+// image dimensions (PNG, GIF, JPEG) and video container metadata (MP4/MOV,
+// WebM/Matroska, AVI): duration, resolution, codecs and average bitrate.
+// Only the bytes needed are read, so large videos are cheap to probe, also
+// from remote storage: probes go through a reader, `{ size, read(position,
+// length) }`, where `read` resolves to the bytes found there (fewer at the end).
+const fs = require('fs');
+
+// MP4 index (moov) sizes beyond this are not worth reading into memory
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+// Matroska/AVI headers (track info) sit at the start of the file
+const HEADER_SCAN_BYTES = 4 * 1024 * 1024;
+
+const BMFF_CODECS = {
+  avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', vp08: 'vp8', vp09: 'vp9', av01: 'av1',
+  mp4v: 'mpeg4', mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', '.mp3': 'mp3'
+};
+
+const MATROSKA_CODECS = {
+  'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1',
+  A_AAC: 'aac', A_OPUS: 'opus', A_VORBIS: 'vorbis', 'A_MPEG/L3': 'mp3', A_AC3: 'ac3', A_EAC3: 'eac3'
+};
+
+const AVI_VIDEO_CODECS = {
+  h264: 'h264', x264: 'h264', avc1: 'h264', xvid: 'mpeg4', divx: 'mpeg4', dx50: 'mpeg4', fmp4: 'mpeg4', mjpg: 'mjpeg'
+};
+
+const AVI_AUDIO_CODECS = { 0x0001: 'pcm', 0x0055: 'mp3', 0x00ff: 'aac', 0x1610: 'aac', 0x2000: 'ac3' };
+
+// ---------------------------------------------------------------- images
+
+const probePng = (head) => ({
+  container: 'png',
+  width: head.readUInt32BE(16),
+  height: head.readUInt32BE(20)
+});
+
+const probeGif = (head) => ({
+  container: 'gif',
+  width: head.readUInt16LE(6),
+  height: head.readUInt16LE(8)
+});
+
+// Walk the JPEG markers up to the first frame header (SOFn)
+const probeJpeg = async (reader) => {
+  const { size } = reader;
+  let offset = 2;
+  while (offset + 4 <= size) {
+    const header = await reader.read(offset, 9);
+    if (header.length < 4 || header[0] !== 0xFF) break;
+
+    const marker = header[1];
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+    // Markers without a length
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2;
+      continue;
+    }
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker) && header.length >= 9) {
+      return { container: 'jpeg', height: header.readUInt16BE(5), width: header.readUInt16BE(7) };
+    }
+    // Image data starts without a frame header: give up
+    if (marker === 0xDA || marker === 0xD9) break;
+    offset += 2 + header.readUInt16BE(2);
+  }
+  return { container: 'jpeg' };
+};
+
+// ---------------------------------------------------------------- MP4 / MOV (ISO BMFF)
+
+// Child boxes of the box payload in buffer[start, end)
+const bmffBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+const bmffChild = (buffer, box, ...types) =>
+  types.reduce((parent, type) => parent && bmffBoxes(buffer, parent.start, parent.end).find(b => b.type === type), box);
+
+// Top-level moov box, wherever it is in the file (often at the end)
+const readMoov = async (reader) => {
+  const { size } = reader;
+  let offset = 0;
+  while (offset + 8 <= size) {
+    const header = await reader.read(offset, 16);
+    if (header.length < 8) break;
+
+    let boxSize = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (boxSize === 1 && header.length >= 16) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < headerSize) break;
+
+    if (type === 'moov') {
+      if (boxSize > MAX_MOOV_BYTES) return null;
+      return reader.read(offset + headerSize, boxSize - headerSize);
+    }
+    offset += boxSize;
+  }
+  return null;
+};
+
+const BMFF_TOP_LEVEL = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'];
+
+const probeBmff = async (reader, head) => {
+  // Older QuickTime files have no ftyp box at all
+  const brand = head.toString('latin1', 4, 8) === 'ftyp' ? head.toString('latin1', 8, 12) : 'qt  ';
+  const result = { container: brand === 'qt  ' ? 'mov' : 'mp4' };
+
+  const moov = await readMoov(reader);
+  if (!moov) return result;
+  const root = { start: 0, end: moov.length };
+
+  const mvhd = bmffChild(moov, root, 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+      : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) result.duration = duration / timescale;
+  }
+
+  for (const trak of bmffBoxes(moov, root.start, root.end).filter(b => b.type === 'trak')) {
+    const hdlr = bmffChild(moov, trak, 'mdia', 'hdlr');
+    const stsd = bmffChild(moov, trak, 'mdia', 'minf', 'stbl', 'stsd');
+    if (!hdlr || !stsd || stsd.start + 16 > stsd.end) continue;
+
+    const handler = moov.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+    // First sample entry: size, format, then the format-specific fields
+    const entry = stsd.start + 8;
+    const format = moov.toString('latin1', entry + 4, entry + 8);
+    const codec = BMFF_CODECS[format] || format.trim().toLowerCase();
+
+    if (handler === 'vide' && !result.videoCodec) {
+      result.videoCodec = codec;
+      if (entry + 36 <= stsd.end) {
+        result.width = moov.readUInt16BE(entry + 32);
+        result.height = moov.readUInt16BE(entry + 34);
+      }
+    } else if (handler === 'soun' && !result.audioCodec) {
+      result.audioCodec = codec;
+    }
+  }
+
+  return result;
+};
+
+// ---------------------------------------------------------------- WebM / Matroska (EBML)
+
+const EBML = {
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  CLUSTER: 0x1F43B675
+};
+
+// Variable-length integer at `offset`; IDs keep their length marker, sizes don't
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+// Elements in buffer[start, end); sizes that run past the buffer are cut short
+const ebmlElements = (buffer, start, end) => {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) break;
+
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(end, dataStart + size.value);
+    elements.push({ id: id.value, start: dataStart, end: dataEnd });
+    if (size.unknown) break;
+    offset = dataStart + size.value;
+  }
+  return elements;
+};
+
+const ebmlUint = (buffer, el) => {
+  let value = 0;
+  for (let i = el.start; i < el.end; i++) value = value * 256 + buffer[i];
+  return value;
+};
+
+const ebmlFloat = (buffer, el) => {
+  if (el.end - el.start === 4) return buffer.readFloatBE(el.start);
+  if (el.end - el.start === 8) return buffer.readDoubleBE(el.start);
+  return null;
+};
+
+const probeMatroska = async (reader) => {
+  const buffer = await reader.read(0, Math.min(reader.size, HEADER_SCAN_BYTES));
+  const top = ebmlElements(buffer, 0, buffer.length);
+  const result = { container: 'matroska' };
+
+  const header = top.find(el => el.id === 0x1A45DFA3);
+  const docType = header && ebmlElements(buffer, header.start, header.end).find(el => el.id === EBML.DOC_TYPE);
+  if (docType && buffer.toString('latin1', docType.start, docType.end).replace(/\0+$/, '') === 'webm') {
+    result.container = 'webm';
+  }
+
+  const segment = top.find(el => el.id === EBML.SEGMENT);
+  if (!segment) return result;
+
+  for (const el of ebmlElements(buffer, segment.start, segment.end)) {
+    if (el.id === EBML.CLUSTER) break;
+
+    if (el.id === EBML.INFO) {
+      const fields = ebmlElements(buffer, el.start, el.end);
+      const scale = fields.find(f => f.id === EBML.TIMECODE_SCALE);
+      const duration = fields.find(f => f.id === EBML.DURATION);
+      const ticks = duration ? ebmlFloat(buffer, duration) : null;
+      if (ticks !== null) {
+        result.duration = ticks * (scale ? ebmlUint(buffer, scale) : 1000000) / 1e9;
+      }
+    }
+
+    if (el.id === EBML.TRACKS) {
+      for (const track of ebmlElements(buffer, el.start, el.end).filter(t => t.id === EBML.TRACK_ENTRY)) {
+        const fields = ebmlElements(buffer, track.start, track.end);
+        const typeField = fields.find(f => f.id === EBML.TRACK_TYPE);
+        const codecField = fields.find(f => f.id === EBML.CODEC_ID);
+        const trackType = typeField ? ebmlUint(buffer, typeField) : null;
+        const codecId = codecField ? buffer.toString('latin1', codecField.start, codecField.end).replace(/\0+$/, '') : '';
+        const codec = MATROSKA_CODECS[codecId] || MATROSKA_CODECS[codecId.split('/')[0]] || codecId.toLowerCase() || null;
+
+        if (trackType === 1 && !result.videoCodec) {
+          result.videoCodec = codec;
+          const video = fields.find(f => f.id === EBML.VIDEO);
+          const dims = video ? ebmlElements(buffer, video.start, video.end) : [];
+          const width = dims.find(f => f.id === EBML.PIXEL_WIDTH);
+          const height = dims.find(f => f.id === EBML.PIXEL_HEIGHT);
+          if (width) result.width = ebmlUint(buffer, width);
+          if (height) result.height = ebmlUint(buffer, height);
+        } else if (trackType === 2 && !result.audioCodec) {
+          result.audioCodec = codec;
+        }
+      }
+    }
+  }
+
+  return result;
+};
+
+// ---------------------------------------------------------------- AVI (RIFF)
+
+const riffChunks = (buffer, start, end) => {
+  const chunks = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const dataEnd = Math.min(end, offset + 8 + size);
+    chunks.push(id === 'LIST'
+      ? { id, listType: buffer.toString('latin1', offset + 8, offset + 12), start: offset + 12, end: dataEnd }
+      : { id, start: offset + 8, end: dataEnd });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+};
+
+const probeAvi = async (reader) => {
+  const buffer = await reader.read(0, Math.min(reader.size, HEADER_SCAN_BYTES));
+  const result = { container: 'avi' };
+
+  const hdrl = riffChunks(buffer, 12, buffer.length).find(c => c.listType === 'hdrl');
+  if (!hdrl) return result;
+  const chunks = riffChunks(buffer, hdrl.start, hdrl.end);
+
+  const avih = chunks.find(c => c.id === 'avih');
+  if (avih && avih.end - avih.start >= 40) {
+    const microSecPerFrame = buffer.readUInt32LE(avih.start);
+    const totalFrames = buffer.readUInt32LE(avih.start + 16);
+    if (microSecPerFrame > 0 && totalFrames > 0) {
+      result.duration = (microSecPerFrame * totalFrames) / 1e6;
+    }
+    result.width = buffer.readUInt32LE(avih.start + 32);
+    result.height = buffer.readUInt32LE(avih.start + 36);
+  }
+
+  for (const strl of chunks.filter(c => c.listType === 'strl')) {
+    const stream = riffChunks(buffer, strl.start, strl.end);
+    const strh = stream.find(c => c.id === 'strh');
+    const strf = stream.find(c => c.id === 'strf');
+    if (!strh || strh.end - strh.start < 8) continue;
+
+    const streamType = buffer.toString('latin1', strh.start, strh.start + 4);
+    if (streamType === 'vids' && !result.videoCodec) {
+      const handler = buffer.toString('latin1', strh.start + 4, strh.start + 8).replace(/\0/g, '').trim().toLowerCase();
+      result.videoCodec = AVI_VIDEO_CODECS[handler] || handler || null;
+    } else if (streamType === 'auds' && !result.audioCodec && strf && strf.end - strf.start >= 2) {
+      const formatTag = buffer.readUInt16LE(strf.start);
+      result.audioCodec = AVI_AUDIO_CODECS[formatTag] || `0x${formatTag.toString(16).padStart(4, '0')}`;
+    }
+  }
+
+  return result;
+};
+
+// ---------------------------------------------------------------- entry point
+
+/**
+ * Probe media through `reader` (see above). Resolves to `{ container, width,
+ * height, duration, videoCodec, audioCodec, bitrate }` with whatever the
+ * headers reveal (duration in seconds, bitrate in bits/s), or null for
+ * unknown formats.
+ */
+const probeMedia = async (reader) => {
+  const { size } = reader;
+  const head = await reader.read(0, 32);
+  let result = null;
+
+  if (head.length >= 24 && head.readUInt32BE(0) === 0x89504E47) {
+    result = probePng(head);
+  } else if (head.length >= 10 && head.toString('latin1', 0, 4) === 'GIF8') {
+    result = probeGif(head);
+  } else if (head.length >= 3 && head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) {
+    result = await probeJpeg(reader);
+  } else if (head.length >= 12 && BMFF_TOP_LEVEL.includes(head.toString('latin1', 4, 8))) {
+    result = await probeBmff(reader, head);
+  } else if (head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3) {
+    result = await probeMatroska(reader);
+  } else if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'AVI ') {
+    result = await probeAvi(reader);
+  }
+
+  if (result && result.duration > 0) {
+    result.bitrate = Math.round((size * 8) / result.duration);
+  }
+  return result;
+};
+
+// Probe a local file
+const probeFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return await probeMedia({
+      size,
+      read: async (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+      }
+    });
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  probeMedia,
+  probeFile
+};
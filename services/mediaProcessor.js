@@ -0,0 +1,240 @@
+// services/mediaProcessor.js
+// Background processing for uploaded media: reads the file headers for
+// dimensions/duration/codecs, fills in video durations and renders a poster
+// thumbnail with ffmpeg (FFMPEG_PATH, default "ffmpeg" on the PATH; without it
+// content is still processed, just without thumbnails).
+//
+// Work is claimed through Content.processing.status, so several instances can
+// run processors side by side; one file is processed at a time per instance.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const Content = require('../models/Content');
+const { probeMedia } = require('./mediaProbe');
+const { publicPathFor } = require('./storage');
+const { storageFor, uniqueFilename, openStoredFile, locateStoredFile, removeThumbnail, removeFile } = require('./mediaStore');
+
+const THUMBNAIL_WIDTH = 320;
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+// A claim older than this belongs to an instance that died mid-way
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Content the processor may pick up: new uploads, records from before
+// processing existed, and abandoned claims
+const claimableFilter = (now = new Date()) => ({
+  filePath: { $ne: null },
+  $or: [
+    { 'processing.status': 'pending' },
+    { 'processing.status': { $exists: false } },
+    { 'processing.status': 'processing', 'processing.startedAt': { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+  ]
+});
+
+const runFfmpeg = (ffmpegPath, args) => new Promise((resolve, reject) => {
+  execFile(ffmpegPath, args, { timeout: FFMPEG_TIMEOUT_MS }, (error, stdout, stderr) => {
+    if (error) {
+      error.message = stderr.trim() || error.message;
+      return reject(error);
+    }
+    resolve();
+  });
+});
+
+const pickMedia = (probe) => {
+  const media = {};
+  for (const field of ['container', 'width', 'height', 'duration', 'videoCodec', 'audioCodec', 'bitrate']) {
+    if (probe[field] !== undefined && probe[field] !== null) media[field] = probe[field];
+  }
+  return media;
+};
+
+// Content.duration bounds: 1 s to 1 h
+const playbackDuration = (seconds) => Math.min(3600, Math.max(1, Math.ceil(seconds)));
+
+class MediaProcessor {
+  constructor(io) {
+    this.io = io;
+    this.queue = [];
+    this.queued = new Set();
+    this.running = false;
+    this.stopped = false;
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffmpegAvailable = true;
+    console.log('🎞️ MediaProcessor initialized');
+  }
+
+  enqueue(contentId) {
+    const id = contentId.toString();
+    if (this.stopped || this.queued.has(id)) return;
+
+    this.queued.add(id);
+    this.queue.push(id);
+    this.drain();
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      while (this.queue.length > 0 && !this.stopped) {
+        const id = this.queue.shift();
+        this.queued.delete(id);
+        await this.process(id);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Queue everything waiting for processing (on startup and periodically)
+  async sweep(limit = 100) {
+    try {
+      const waiting = await Content.find(claimableFilter())
+        .select('_id')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean();
+
+      waiting.forEach(content => this.enqueue(content._id));
+      if (waiting.length > 0) {
+        console.log(`🎞️ ${waiting.length} media file(s) queued for processing`);
+      }
+      return waiting.length;
+    } catch (error) {
+      console.error('❌ Error sweeping media for processing:', error);
+      return 0;
+    }
+  }
+
+  async process(contentId) {
+    const content = await Content.findOneAndUpdate(
+      { _id: contentId, ...claimableFilter() },
+      { $set: { 'processing.status': 'processing', 'processing.startedAt': new Date(), 'processing.error': null } },
+      { new: true }
+    ).catch(error => {
+      console.error(`❌ Error claiming content ${contentId} for processing:`, error);
+      return null;
+    });
+    // Deleted, already done, or claimed by another instance
+    if (!content) return;
+
+    let thumbnail = null;
+    try {
+      // Headers are read in place and ffmpeg streams what it needs, so files
+      // on remote storage are never downloaded whole
+      const probe = await probeMedia(await openStoredFile(content));
+      const media = probe ? pickMedia(probe) : {};
+
+      thumbnail = await this.createThumbnail(content, media);
+      const update = this.buildUpdate(content, media, thumbnail);
+
+      // Only if our claim still stands (the content may have been deleted meanwhile)
+      const result = await Content.updateOne(
+        { _id: content._id, 'processing.status': 'processing', 'processing.startedAt': content.processing.startedAt },
+        { $set: update }
+      );
+      if (result.matchedCount === 0) {
+        await removeThumbnail(thumbnail);
+        return;
+      }
+      if (content.thumbnail && content.thumbnail.path) {
+        await removeThumbnail(content.thumbnail);
+      }
+
+      this.notify(content, update);
+    } catch (error) {
+      console.error(`❌ Error processing media for content ${content._id}:`, error);
+      await removeThumbnail(thumbnail).catch(() => {});
+      await Content.updateOne(
+        { _id: content._id },
+        { $set: { 'processing.status': 'failed', 'processing.error': error.message, 'processing.processedAt': new Date() } }
+      ).catch(() => {});
+      this.notify(content, { 'processing.status': 'failed', 'processing.error': error.message });
+    }
+  }
+
+  buildUpdate(content, media, thumbnail) {
+    const update = {
+      media,
+      'processing.status': 'ready',
+      'processing.error': null,
+      'processing.processedAt': new Date()
+    };
+
+    if (content.type === 'video' && content.processing.fillDuration && media.duration > 0) {
+      update.duration = playbackDuration(media.duration);
+      update['processing.fillDuration'] = false;
+    }
+    if (thumbnail) {
+      update.thumbnail = thumbnail;
+    }
+    return update;
+  }
+
+  /**
+   * Render a JPEG poster (a frame near the start of videos, a scaled copy of
+   * images) and store it next to the content's file. Resolves to the
+   * thumbnail fields, or null when ffmpeg is unavailable or fails.
+   */
+  async createThumbnail(content, media) {
+    if (!this.ffmpegAvailable) return null;
+
+    // Local path, or a signed URL that outlives the ffmpeg run
+    const input = locateStoredFile(content, { expiresIn: Math.ceil(FFMPEG_TIMEOUT_MS / 1000) * 2 });
+
+    const outputPath = path.join(os.tmpdir(), uniqueFilename('thumb', 'thumbnail.jpg'));
+    const args = ['-hide_banner', '-loglevel', 'error', '-y'];
+    if (content.type === 'video' && media.duration > 0) {
+      args.push('-ss', Math.min(5, media.duration * 0.1).toFixed(3));
+    }
+    args.push('-i', input, '-frames:v', '1', '-vf', `scale='min(${THUMBNAIL_WIDTH},iw)':-2`, '-q:v', '4', outputPath);
+
+    try {
+      await runFfmpeg(this.ffmpegPath, args);
+    } catch (error) {
+      await removeFile(outputPath).catch(() => {});
+      if (error.code === 'ENOENT') {
+        this.ffmpegAvailable = false;
+        console.warn(`⚠️ ffmpeg not found at "${this.ffmpegPath}"; thumbnails are disabled`);
+      } else {
+        console.error(`❌ Thumbnail generation failed for content ${content._id}:`, error.message);
+      }
+      return null;
+    }
+
+    // Thumbnails live with the file they preview
+    const storage = storageFor(content);
+    const key = uniqueFilename('thumb', 'thumbnail.jpg');
+    const { size } = await fs.promises.stat(outputPath);
+    await storage.putFile(key, outputPath, { contentType: 'image/jpeg' });
+
+    const thumbnail = { path: publicPathFor(key), storageDriver: storage.name, size };
+    if (media.width && media.height) {
+      thumbnail.width = Math.min(THUMBNAIL_WIDTH, media.width);
+      thumbnail.height = Math.round((media.height * thumbnail.width) / media.width / 2) * 2;
+    }
+    return thumbnail;
+  }
+
+  notify(content, update) {
+    this.io.to('role-ADMIN').to('role-MANAGER').emit('content-processed', {
+      contentId: content._id,
+      title: content.title,
+      status: update['processing.status'],
+      error: update['processing.error'] || null,
+      media: update.media || null,
+      duration: update.duration || content.duration,
+      timestamp: new Date()
+    });
+  }
+
+  cleanup() {
+    this.stopped = true;
+    this.queue = [];
+    this.queued.clear();
+    console.log('🧹 MediaProcessor cleaned up');
+  }
+}
+
+module.exports = MediaProcessor;
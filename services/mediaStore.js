@@ -0,0 +1,270 @@
+// services/mediaStore.js
+// Stores uploaded media once per distinct file. Files are hashed (SHA-256)
+// while they stream to a local staging area; a file whose checksum matches an
+// existing MediaAsset is discarded and the existing one is referenced instead,
+// anything new is handed to the configured storage driver.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const MediaAsset = require('../models/MediaAsset');
+const { StorageError, LocalStorage, getStorage, storageKeyFor, publicPathFor } = require('./storage');
+
+// Uploads land here before they are stored
+const STAGING_DIR = path.join('uploads', 'staging');
+
+// Media we accept, by extension. Stored files are always served with the type
+// their extension maps to, never with the one the uploader declared.
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.avi': 'video/x-msvideo',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska'
+};
+
+// Declared types accepted alongside those extensions (browsers disagree on a few)
+const DECLARED_MEDIA_TYPES = new Set([
+  ...Object.values(MEDIA_TYPES),
+  'image/jpg',
+  'image/pjpeg',
+  'video/avi',
+  'video/msvideo'
+]);
+
+// "file-123.mp4" -> "video/mp4"; null for anything we don't store
+const mediaTypeFor = (filename) => MEDIA_TYPES[path.extname(filename || '').toLowerCase()] || null;
+
+/**
+ * Whether an upload named `originalname` and declared as `mimetype` may be
+ * stored: the extension must be one we serve, and the declared type a full
+ * media type of the same kind (parameters such as codecs are ignored).
+ */
+const isAllowedMediaFile = (originalname, mimetype) => {
+  const mediaType = mediaTypeFor(originalname);
+  const declared = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  return mediaType !== null
+    && DECLARED_MEDIA_TYPES.has(declared)
+    && declared.split('/')[0] === mediaType.split('/')[0];
+};
+
+// Passes data through unchanged while hashing it and counting bytes
+const createHashingStream = () => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  stream.digest = () => ({ checksum: hash.digest('hex'), size });
+  return stream;
+};
+
+// SHA-256 of a file on disk, read as a stream so large videos don't block the event loop
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hasher = createHashingStream();
+  pipeline(fs.createReadStream(filePath), hasher, (error) => {
+    if (error) return reject(error);
+    resolve(hasher.digest());
+  });
+  hasher.resume();
+});
+
+const uniqueFilename = (prefix, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}-${uniqueSuffix}${path.extname(originalname || '')}`;
+};
+
+/**
+ * Multer storage engine: stages the file on local disk like
+ * multer.diskStorage and adds `checksum` (and `size`) to req.file, computed as
+ * the file streams in. storeFile() then moves it to its storage driver.
+ */
+const hashingDiskStorage = () => ({
+  _handleFile(req, file, cb) {
+    fs.mkdir(STAGING_DIR, { recursive: true }, (mkdirError) => {
+      if (mkdirError) return cb(mkdirError);
+
+      const filename = uniqueFilename(file.fieldname, file.originalname);
+      const filePath = path.join(STAGING_DIR, filename);
+      const hasher = createHashingStream();
+
+      pipeline(file.stream, hasher, fs.createWriteStream(filePath), (error) => {
+        if (error) {
+          fs.unlink(filePath, () => cb(error));
+          return;
+        }
+        const { checksum, size } = hasher.digest();
+        cb(null, { destination: STAGING_DIR, filename, path: filePath, size, checksum });
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, (error) => cb(error && error.code !== 'ENOENT' ? error : null));
+  }
+});
+
+const removeFile = (filePath) =>
+  fs.promises.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+
+// The driver holding a Content's or MediaAsset's file; older records predate drivers
+const storageFor = (record) => getStorage(record.storageDriver || 'local');
+
+/**
+ * Register a staged file (`{ path, size, originalname, checksum? }`) as a
+ * MediaAsset; its type comes from the extension. A duplicate of an existing asset is deleted and the existing
+ * file is used; otherwise the file moves to the configured storage driver.
+ * Resolves to `{ asset, filePath, reused }`.
+ */
+const storeFile = async (file, uploadedBy) => {
+  const { checksum, size } = file.checksum
+    ? { checksum: file.checksum, size: file.size }
+    : await hashFile(file.path);
+
+  const existing = await MediaAsset.reference(checksum);
+  if (existing) {
+    await removeFile(file.path);
+    return { asset: existing, filePath: existing.filePath, reused: true };
+  }
+
+  const storage = getStorage();
+  const key = uniqueFilename('file', file.originalname || file.path);
+  const mimeType = mediaTypeFor(key);
+  await storage.putFile(key, file.path, { size, contentType: mimeType });
+
+  let acquired;
+  try {
+    acquired = await MediaAsset.acquire({
+      checksum,
+      filePath: publicPathFor(key),
+      storageDriver: storage.name,
+      fileSize: size,
+      mimeType,
+      uploadedBy
+    });
+  } catch (error) {
+    await storage.delete(key).catch(() => {});
+    throw error;
+  }
+
+  // Someone stored the same file while ours was uploading; keep theirs
+  if (acquired.reused) {
+    await storage.delete(key);
+  }
+
+  return { asset: acquired.asset, filePath: acquired.asset.filePath, reused: acquired.reused };
+};
+
+/**
+ * Give up a Content's claim on its file. Shared files stay until their last
+ * Content is gone; files stored before deduplication belong to one Content.
+ */
+const releaseFile = async (content) => {
+  if (content.asset) {
+    const removed = await MediaAsset.release(content.asset);
+    if (removed) {
+      await storageFor(removed).delete(storageKeyFor(removed.filePath));
+    }
+    return;
+  }
+
+  if (content.filePath) {
+    await storageFor(content).delete(storageKeyFor(content.filePath));
+  }
+};
+
+// Thumbnails belong to one Content and go with it
+const removeThumbnail = async (thumbnail) => {
+  if (thumbnail && thumbnail.path) {
+    await storageFor(thumbnail).delete(storageKeyFor(thumbnail.path));
+  }
+};
+
+// Ranged reads smaller than this fetch this much, so walking headers a few
+// bytes at a time doesn't cost a request each
+const READ_AHEAD_BYTES = 64 * 1024;
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+/**
+ * Random access to a record's stored file through ranged reads, as
+ * services/mediaProbe expects it: `{ size, read(position, length) }`.
+ * Nothing is copied locally, whichever driver holds the file.
+ */
+const openStoredFile = async (record) => {
+  const storage = storageFor(record);
+  const key = storageKeyFor(record.filePath);
+
+  let size = record.fileSize;
+  if (!Number.isInteger(size)) {
+    const stats = await storage.stat(key);
+    if (!stats) {
+      throw new StorageError('File not found', 404);
+    }
+    size = stats.size;
+  }
+
+  let cached = { start: 0, data: Buffer.alloc(0) };
+  return {
+    size,
+    async read(position, length) {
+      const end = Math.min(size, position + length);
+      if (position >= end) return Buffer.alloc(0);
+
+      if (position < cached.start || end > cached.start + cached.data.length) {
+        const fetchEnd = Math.min(size, Math.max(end, position + READ_AHEAD_BYTES));
+        const object = await storage.get(key, { start: position, end: fetchEnd - 1 });
+        cached = { start: position, data: await readStream(object.stream) };
+      }
+      return cached.data.subarray(position - cached.start, end - cached.start);
+    }
+  };
+};
+
+/**
+ * Where tools that open files themselves (ffmpeg) can read a record's file:
+ * the path of a local file, or a URL signed for `expiresIn` seconds.
+ */
+const locateStoredFile = (record, { expiresIn = 900 } = {}) => {
+  const storage = storageFor(record);
+  const key = storageKeyFor(record.filePath);
+  if (storage instanceof LocalStorage) {
+    return storage.pathFor(key);
+  }
+  if (typeof storage.signedUrl !== 'function') {
+    throw new StorageError(`The ${storage.name} storage driver cannot hand out file URLs`);
+  }
+  return storage.signedUrl(key, { expiresIn });
+};
+
+module.exports = {
+  STAGING_DIR,
+  mediaTypeFor,
+  isAllowedMediaFile,
+  storageFor,
+  hashFile,
+  uniqueFilename,
+  hashingDiskStorage,
+  storeFile,
+  releaseFile,
+  removeThumbnail,
+  openStoredFile,
+  locateStoredFile,
+  removeFile
+};
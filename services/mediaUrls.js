@@ -0,0 +1,101 @@
+// services/mediaUrls.js
+// Media is only served to holders of a signed, expiring URL:
+//   /uploads/<key>?expires=<unix seconds>&signature=<HMAC-SHA256(key:expires)>
+// signed with MEDIA_URL_SECRET (falls back to JWT_SECRET). Expiry is rounded
+// up to a whole window so repeated API responses hand out the same URL and
+// players can cache by it.
+const crypto = require('crypto');
+const { StorageError, storageKeyFor, publicPathFor } = require('./storage');
+
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 6 * 60 * 60;
+const EXPIRY_ROUNDING_SECONDS = 5 * 60;
+
+const getSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new StorageError('MEDIA_URL_SECRET (or JWT_SECRET) must be set to sign media URLs');
+  }
+  return secret;
+};
+
+const signatureFor = (key, expires) =>
+  crypto.createHmac('sha256', getSecret()).update(`${key}:${expires}`).digest('base64url');
+
+/**
+ * Signed URL path for a stored file ("uploads/<key>"), valid for at least
+ * `ttlSeconds`. Returns `{ url, expiresAt }`.
+ */
+const signMediaUrl = (filePath, { ttlSeconds = MEDIA_URL_TTL_SECONDS, at = new Date() } = {}) => {
+  const key = storageKeyFor(filePath);
+  const earliest = Math.floor(at.getTime() / 1000) + ttlSeconds;
+  const expires = Math.ceil(earliest / EXPIRY_ROUNDING_SECONDS) * EXPIRY_ROUNDING_SECONDS;
+  const encodedPath = publicPathFor(key).split('/').map(encodeURIComponent).join('/');
+
+  return {
+    url: `/${encodedPath}?expires=${expires}&signature=${signatureFor(key, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check the `expires`/`signature` query of a media request for `key`. Throws
+ * a 403 StorageError when the URL is unsigned, tampered with or expired;
+ * otherwise returns the expiry.
+ */
+const verifyMediaUrl = (key, { expires, signature } = {}, at = new Date()) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof signature !== 'string' || !signature) {
+    throw new StorageError('A signed media URL is required', 403);
+  }
+
+  const expected = Buffer.from(signatureFor(key, expiresAt));
+  const provided = Buffer.from(signature);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new StorageError('Media URL signature is not valid', 403);
+  }
+  if (expiresAt * 1000 <= at.getTime()) {
+    throw new StorageError('Media URL has expired', 403);
+  }
+  return new Date(expiresAt * 1000);
+};
+
+// Swap a content object's raw file paths for signed URLs (in place). Images
+// without a thumbnail preview as themselves.
+const attachMediaUrl = (content) => {
+  if (!content) return content;
+
+  if (content.filePath) {
+    const { url, expiresAt } = signMediaUrl(content.filePath);
+    content.mediaUrl = url;
+    content.mediaUrlExpiresAt = expiresAt;
+    delete content.filePath;
+  }
+  if (content.thumbnail && content.thumbnail.path) {
+    content.thumbnailUrl = signMediaUrl(content.thumbnail.path).url;
+    delete content.thumbnail.path;
+  }
+
+  const previewUrl = content.thumbnailUrl || (content.type === 'image' ? content.mediaUrl : null);
+  if (previewUrl) content.previewUrl = previewUrl;
+  return content;
+};
+
+// Copy of a lean content object with signed URLs in place of its file paths,
+// for responses and socket payloads. Reads themselves keep the raw paths.
+const withMediaUrls = (content) => {
+  if (!content || !(content.filePath || (content.thumbnail && content.thumbnail.path))) {
+    return content;
+  }
+  return attachMediaUrl({
+    ...content,
+    ...(content.thumbnail && { thumbnail: { ...content.thumbnail } })
+  });
+};
+
+module.exports = {
+  MEDIA_URL_TTL_SECONDS,
+  signMediaUrl,
+  verifyMediaUrl,
+  attachMediaUrl,
+  withMediaUrls
+};
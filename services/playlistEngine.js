@@ -0,0 +1,480 @@
+// services/playlistEngine.js
+// Computes what a schedule is playing at a given instant. Every item runs for
+// its own duration, the playlist loops from the start of the active window,
+// so any screen asking at the same moment lands on the same item.
+//
+// Shuffled and weighted playlists, and playlists with per-item play caps, are
+// generated from a PRNG seeded with the schedule, the device and the day, so
+// the sequence a screen plays can be reproduced later for proof-of-play.
+const { withMediaUrls } = require('./mediaUrls');
+
+const DEFAULT_ITEM_DURATION = 10; // seconds, matches Content.duration default
+const HOUR_SECONDS = 60 * 60;
+// Generated sequences restart every 24h of a window so they stay cheap to replay
+const SEQUENCE_SEGMENT_SECONDS = 24 * HOUR_SECONDS;
+
+// Duration of a single playlist entry in seconds
+const getItemDuration = (item) => {
+  const duration = item.customDuration || item.contentId?.duration || DEFAULT_ITEM_DURATION;
+  return duration > 0 ? duration : DEFAULT_ITEM_DURATION;
+};
+
+// Build the ordered playlist for a (populated) schedule. Campaign items (see
+// services/campaignPacing) follow the schedule's own entries; each carries
+// its campaign and the share of screen time it should get. Entries are sent
+// to screens, so their content carries signed media URLs.
+const buildPlaylist = (schedule, campaigns = []) => {
+  const items = (schedule.content || [])
+    .filter(item => item.contentId)
+    .map((item, position) => ({ item, position }))
+    // Stable sort: equal `order` values keep their stored position
+    .sort((a, b) => (a.item.order - b.item.order) || (a.position - b.position));
+
+  let startOffset = 0;
+  const entries = items.map(({ item }, index) => {
+    const duration = getItemDuration(item);
+    const entry = {
+      index,
+      order: item.order,
+      duration,
+      startOffset,
+      weight: item.weight || 1,
+      maxPlaysPerHour: item.maxPlaysPerHour || null,
+      content: withMediaUrls(item.contentId)
+    };
+    startOffset += duration;
+    return entry;
+  });
+
+  const campaignItems = campaigns.flatMap(({ campaign, share, content }) => {
+    const totalWeight = content.reduce((total, item) => total + (item.weight || 1), 0);
+    return content
+      .filter(item => item.contentId)
+      .map(item => ({
+        duration: getItemDuration(item),
+        share: share * (item.weight || 1) / totalWeight,
+        content: withMediaUrls(item.contentId),
+        campaign
+      }));
+  });
+
+  return [
+    ...entries,
+    ...campaignItems.map((item, position) => ({ index: entries.length + position, ...item }))
+  ];
+};
+
+// Length of one pass through the schedule's own entries
+const getLoopDuration = (playlist) =>
+  playlist.filter(entry => !entry.campaign).reduce((total, entry) => total + entry.duration, 0);
+
+// Locate the playing entry given the window start, in seconds precision
+const resolveNowPlaying = (playlist, windowStart, at = new Date(), windowEnd = null) => {
+  if (!playlist.length || !windowStart) return null;
+
+  const loopDuration = getLoopDuration(playlist);
+  const atMs = new Date(at).getTime();
+  const startMs = new Date(windowStart).getTime();
+  const elapsed = Math.max(0, (atMs - startMs) / 1000);
+
+  const loop = Math.floor(elapsed / loopDuration);
+  const position = elapsed - loop * loopDuration;
+
+  const entry = playlist.find(e => position < e.startOffset + e.duration) || playlist[playlist.length - 1];
+  const offset = position - entry.startOffset;
+
+  let endsAtMs = atMs + (entry.duration - offset) * 1000;
+  if (windowEnd) {
+    endsAtMs = Math.min(endsAtMs, new Date(windowEnd).getTime());
+  }
+
+  return {
+    index: entry.index,
+    contentId: entry.content._id,
+    duration: entry.duration,
+    offset: Math.round(offset * 1000) / 1000,
+    remaining: Math.max(0, Math.round(endsAtMs - atMs) / 1000),
+    loop,
+    startedAt: new Date(atMs - offset * 1000),
+    endsAt: new Date(endsAtMs)
+  };
+};
+
+// 32-bit FNV-1a hash, used to seed the PRNG from a string
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and identical on every platform
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle that never starts with `previous`, so passes don't repeat at the seam
+const shufflePass = (playlist, random, previous) => {
+  const pass = [...playlist];
+  for (let i = pass.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pass[i], pass[j]] = [pass[j], pass[i]];
+  }
+  if (pass.length > 1 && pass[0] === previous) {
+    const j = 1 + Math.floor(random() * (pass.length - 1));
+    [pass[0], pass[j]] = [pass[j], pass[0]];
+  }
+  return pass;
+};
+
+const needsGeneratedSequence = (playlist, mode) =>
+  mode === 'shuffle' || mode === 'weighted' || playlist.some(entry => entry.maxPlaysPerHour || entry.campaign);
+
+// Least virtual finish time wins (weighted fair queuing); ties are broken at random
+const pickFairly = (candidates, playedSeconds, weightOf, random) => {
+  let best = null;
+  let bestScore = Infinity;
+  let ties = 0;
+  for (const entry of candidates) {
+    const score = (playedSeconds[entry.index] + entry.duration) / weightOf(entry);
+    if (score < bestScore - 1e-9) {
+      best = entry;
+      bestScore = score;
+      ties = 1;
+    } else if (Math.abs(score - bestScore) <= 1e-9 && random() * ++ties < 1) {
+      best = entry;
+    }
+  }
+  return best;
+};
+
+/**
+ * Endless sequence of plays for a playlist, yielding `{ entry, startOffset, play, loop }`
+ * with offsets in seconds from the start of the sequence.
+ *
+ * - sequential: playlist order
+ * - shuffle: every item once per pass, in random order
+ * - weighted: each item gets loop time in proportion to its weight
+ *
+ * Items that reached `maxPlaysPerHour` in the trailing hour are skipped. If every
+ * item is capped, the one whose oldest play leaves the hour first plays anyway,
+ * so a screen never goes blank.
+ *
+ * Campaign items are played in between whenever the campaigns in flight at
+ * that moment are behind their share of screen time; `startMs` is the wall
+ * clock time of offset 0, used to check flight dates.
+ */
+function* generatePlays(playlist, mode, random, startMs = 0) {
+  const scheduled = playlist.filter(entry => !entry.campaign);
+  const injected = playlist.filter(entry => entry.campaign);
+  const recentStarts = playlist.map(() => []);
+  const playedSeconds = playlist.map(() => 0);
+  let queue = [];
+  let loop = -1;
+  let scheduledPlays = 0;
+  let previous = null;
+  let elapsed = 0;
+  // Time played while any campaign was in flight, and how much of it went to campaigns
+  let campaignEligibleSeconds = 0;
+  let campaignSeconds = 0;
+
+  const isCapped = (entry) => {
+    if (!entry.maxPlaysPerHour) return false;
+    const starts = recentStarts[entry.index];
+    while (starts.length && starts[0] <= elapsed - HOUR_SECONDS) starts.shift();
+    return starts.length >= entry.maxPlaysPerHour;
+  };
+
+  const leastRecentlyCapped = () => scheduled.reduce((best, entry) =>
+    recentStarts[entry.index][0] < recentStarts[best.index][0] ? entry : best);
+
+  const nextPass = () => {
+    loop++;
+    return mode === 'shuffle' ? shufflePass(scheduled, random, previous) : [...scheduled];
+  };
+
+  const pickWeighted = () => {
+    const candidates = scheduled.filter(entry => !isCapped(entry));
+    if (!candidates.length) return leastRecentlyCapped();
+    return pickFairly(candidates, playedSeconds, entry => entry.weight, random);
+  };
+
+  const inFlight = (entry) => {
+    const nowMs = startMs + elapsed * 1000;
+    return nowMs >= new Date(entry.campaign.flightStart).getTime()
+      && nowMs < new Date(entry.campaign.flightEnd).getTime();
+  };
+
+  // A campaign item when campaigns are behind their share, otherwise null
+  const pickInjected = (eligible) => {
+    const share = Math.min(1, eligible.reduce((total, entry) => total + entry.share, 0));
+    const entry = pickFairly(eligible, playedSeconds, candidate => candidate.share, random);
+    return campaignSeconds + entry.duration <= share * (campaignEligibleSeconds + entry.duration)
+      ? entry
+      : null;
+  };
+
+  const pickFromQueue = () => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (!queue.length) queue = nextPass();
+      // Capped items sit out the rest of this pass
+      const position = queue.findIndex(entry => !isCapped(entry));
+      if (position !== -1) {
+        return queue.splice(0, position + 1).pop();
+      }
+      queue = [];
+    }
+    return leastRecentlyCapped();
+  };
+
+  for (let play = 0; ; play++) {
+    const eligible = injected.length ? injected.filter(inFlight) : [];
+    const campaignEntry = eligible.length ? pickInjected(eligible) : null;
+    const entry = campaignEntry || (mode === 'weighted' ? pickWeighted() : pickFromQueue());
+
+    recentStarts[entry.index].push(elapsed);
+    playedSeconds[entry.index] += entry.duration;
+    if (eligible.length) campaignEligibleSeconds += entry.duration;
+    if (campaignEntry) {
+      campaignSeconds += entry.duration;
+    } else {
+      scheduledPlays++;
+      previous = entry;
+    }
+
+    yield {
+      entry,
+      startOffset: elapsed,
+      play,
+      loop: mode === 'weighted' ? Math.floor((scheduledPlays - 1) / scheduled.length) : loop
+    };
+    elapsed += entry.duration;
+  }
+}
+
+// Start of the 24h segment of a window that contains `at`
+const getSequenceSegmentStart = (windowStart, at = new Date()) => {
+  const startMs = new Date(windowStart).getTime();
+  const elapsed = Math.max(0, new Date(at).getTime() - startMs);
+  const segment = Math.floor(elapsed / (SEQUENCE_SEGMENT_SECONDS * 1000));
+  return new Date(startMs + segment * SEQUENCE_SEGMENT_SECONDS * 1000);
+};
+
+// The segment containing `at`, with the PRNG seeded for it
+const sequenceSegment = (windowStart, at, seed) => {
+  const segmentStart = getSequenceSegmentStart(windowStart, at);
+
+  return {
+    segmentStart,
+    position: Math.max(0, (new Date(at).getTime() - segmentStart.getTime()) / 1000),
+    random: createRandom(`${seed}:${segmentStart.toISOString()}`)
+  };
+};
+
+// Like resolveNowPlaying, for playlists whose order is generated
+const resolveGeneratedPlay = (playlist, mode, seed, windowStart, at = new Date(), windowEnd = null) => {
+  if (!playlist.length || !windowStart) return null;
+
+  const atMs = new Date(at).getTime();
+  const { segmentStart, position, random } = sequenceSegment(windowStart, at, seed);
+
+  for (const current of generatePlays(playlist, mode, random, segmentStart.getTime())) {
+    if (position >= current.startOffset + current.entry.duration) continue;
+
+    const { entry } = current;
+    const offset = position - current.startOffset;
+    let endsAtMs = atMs + (entry.duration - offset) * 1000;
+    if (windowEnd) {
+      endsAtMs = Math.min(endsAtMs, new Date(windowEnd).getTime());
+    }
+
+    return {
+      index: entry.index,
+      contentId: entry.content._id,
+      duration: entry.duration,
+      offset: Math.round(offset * 1000) / 1000,
+      remaining: Math.max(0, Math.round(endsAtMs - atMs) / 1000),
+      loop: current.loop,
+      play: current.play,
+      campaignId: entry.campaign ? entry.campaign._id : null,
+      sequenceStart: segmentStart,
+      startedAt: new Date(atMs - offset * 1000),
+      endsAt: new Date(endsAtMs)
+    };
+  }
+};
+
+// Every play a screen is expected to show during a window, for reconciling proof-of-play
+const buildPlaySequence = (schedule, window, { deviceKey = null, campaigns = [] } = {}) => {
+  const playlist = buildPlaylist(schedule, campaigns);
+  if (!playlist.some(entry => !entry.campaign) || !window?.start || !window?.end) return [];
+
+  const mode = schedule.playlistMode || 'sequential';
+  const seed = `${schedule._id}:${deviceKey || 'all'}`;
+  const startMs = new Date(window.start).getTime();
+  const endMs = new Date(window.end).getTime();
+  const plays = [];
+
+  for (let segmentMs = startMs; segmentMs < endMs; segmentMs += SEQUENCE_SEGMENT_SECONDS * 1000) {
+    const { random } = sequenceSegment(window.start, new Date(segmentMs), seed);
+    const segmentEndMs = Math.min(endMs, segmentMs + SEQUENCE_SEGMENT_SECONDS * 1000);
+
+    for (const { entry, startOffset, play } of generatePlays(playlist, mode, random, segmentMs)) {
+      const startsAtMs = segmentMs + startOffset * 1000;
+      if (startsAtMs >= segmentEndMs) break;
+
+      plays.push({
+        play,
+        index: entry.index,
+        contentId: entry.content._id,
+        campaignId: entry.campaign ? entry.campaign._id : null,
+        startsAt: new Date(startsAtMs),
+        endsAt: new Date(Math.min(startsAtMs + entry.duration * 1000, segmentEndMs))
+      });
+    }
+  }
+
+  return plays;
+};
+
+// Schedule fields exposed alongside played content
+const summarizeSchedule = (schedule) => ({
+  _id: schedule._id,
+  name: schedule.name,
+  description: schedule.description,
+  priority: schedule.priority,
+  timezone: schedule.timezone,
+  timeMode: schedule.timeMode || 'fixed',
+  // Zone the window was resolved in (the screen's own for device-local schedules)
+  effectiveTimezone: schedule.effectiveTimezone || schedule.timezone,
+  repeat: schedule.repeat,
+  playlistMode: schedule.playlistMode || 'sequential',
+  startTime: schedule.startTime,
+  endTime: schedule.endTime
+});
+
+// Full playback state for an active schedule. The currently playing content
+// is spread at the top level so older clients keep working unchanged.
+// `deviceKey` (the screen's deviceId) seeds shuffled and weighted sequences;
+// `campaigns` are played in between (see services/campaignPacing).
+const buildPlaybackState = (schedule, window, at = new Date(), { deviceKey = null, campaigns = [] } = {}) => {
+  const playlist = buildPlaylist(schedule, campaigns);
+  if (!playlist.some(entry => !entry.campaign) || !window) return null;
+
+  const mode = schedule.playlistMode || 'sequential';
+  const nowPlaying = needsGeneratedSequence(playlist, mode)
+    ? resolveGeneratedPlay(playlist, mode, `${schedule._id}:${deviceKey || 'all'}`, window.start, at, window.end)
+    : resolveNowPlaying(playlist, window.start, at, window.end);
+  const current = playlist[nowPlaying.index].content;
+
+  return {
+    ...current,
+    schedule: summarizeSchedule(schedule),
+    playlist,
+    nowPlaying,
+    loopDuration: getLoopDuration(playlist),
+    window: {
+      start: window.start,
+      end: window.end
+    },
+    resolution: {
+      source: 'schedule',
+      level: schedule.targetMatch ? schedule.targetMatch.type : 'all'
+    },
+    serverTime: new Date(at)
+  };
+};
+
+// Emergency alert fields exposed to screens
+const summarizeAlert = (alert) => ({
+  _id: alert._id,
+  title: alert.title,
+  message: alert.message,
+  severity: alert.severity,
+  source: alert.source,
+  startsAt: alert.startsAt,
+  expiresAt: alert.expiresAt
+});
+
+// Playback state while an emergency alert preempts the schedules. The alert's
+// content, if any, loops from the alert start until it ends.
+const buildEmergencyState = (alert, at = new Date()) => {
+  const playlist = alert.content
+    ? buildPlaylist({ content: [{ contentId: alert.content, order: 0 }] })
+    : [];
+  const window = { start: alert.startsAt, end: alert.expiresAt || null };
+  const { devices = [], deviceGroups = [], locations = [] } = alert.targets || {};
+  const isTargeted = devices.length > 0 || deviceGroups.length > 0 || locations.length > 0;
+
+  return {
+    ...(alert.content ? playlist[0].content : {}),
+    emergency: summarizeAlert(alert),
+    schedule: null,
+    playlist,
+    nowPlaying: playlist.length ? resolveNowPlaying(playlist, window.start, at, window.end) : null,
+    loopDuration: getLoopDuration(playlist),
+    window,
+    resolution: {
+      source: 'emergency',
+      level: isTargeted ? 'targeted' : 'global'
+    },
+    serverTime: new Date(at)
+  };
+};
+
+// Playback state for fallback content shown when no schedule is active. The
+// loop restarts at midnight UTC so every screen on the same fallback is in sync.
+const buildFallbackState = (fallback, at = new Date()) => {
+  const playlist = buildPlaylist(fallback);
+  if (!playlist.length) return null;
+
+  const dayStart = new Date(at);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const window = { start: dayStart, end: null };
+
+  const nowPlaying = resolveNowPlaying(playlist, window.start, at);
+
+  return {
+    ...playlist[nowPlaying.index].content,
+    fallback: {
+      _id: fallback._id,
+      name: fallback.name,
+      level: fallback.level
+    },
+    schedule: null,
+    playlist,
+    nowPlaying,
+    loopDuration: getLoopDuration(playlist),
+    window,
+    resolution: {
+      source: 'fallback',
+      level: fallback.level
+    },
+    serverTime: new Date(at)
+  };
+};
+
+module.exports = {
+  DEFAULT_ITEM_DURATION,
+  getItemDuration,
+  buildPlaylist,
+  getLoopDuration,
+  resolveNowPlaying,
+  getSequenceSegmentStart,
+  generatePlays,
+  resolveGeneratedPlay,
+  buildPlaySequence,
+  summarizeSchedule,
+  buildPlaybackState,
+  summarizeAlert,
+  buildEmergencyState,
+  buildFallbackState
+};
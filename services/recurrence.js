@@ -0,0 +1,311 @@
+// services/recurrence.js
+// RFC 5545 recurrence rules evaluated at day level. A schedule plays a daily
+// window (startTime-endTime), so a rule only has to decide which calendar days
+// an occurrence starts on. Dates are 'YYYY-MM-DD' strings in the schedule's
+// timezone; the arithmetic runs in UTC so DST shifts never move a day.
+const moment = require('moment-timezone');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index = moment().day()
+const PERIOD_UNITS = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+
+// Time-of-day parts make no sense for day-level rules
+const UNSUPPORTED_PARTS = ['BYHOUR', 'BYMINUTE', 'BYSECOND', 'BYWEEKNO', 'BYYEARDAY'];
+
+const day = (date) => moment.utc(date, DATE_FORMAT, true);
+
+const parseIntegerList = (name, value, min, max) => value.split(',').map(part => {
+  const number = Number(part);
+  if (!Number.isInteger(number) || number === 0 || Math.abs(number) < min || Math.abs(number) > max) {
+    throw new Error(`Invalid ${name} value: ${part}`);
+  }
+  return number;
+});
+
+/**
+ * Parse an RRULE value such as "FREQ=MONTHLY;BYDAY=1MO" (an "RRULE:" prefix
+ * is accepted). Throws with a readable message when the rule is invalid.
+ */
+const parseRule = (text) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], wkst: 1 };
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawName, value] = part.split('=');
+    const name = rawName.toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+    if (UNSUPPORTED_PARTS.includes(name)) {
+      throw new Error(`${name} is not supported; schedule times come from startTime and endTime`);
+    }
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL': {
+        // Only the date matters: the last occurrence may start on that day
+        const until = moment.utc(value.slice(0, 8), 'YYYYMMDD', true);
+        if (!until.isValid()) {
+          throw new Error('UNTIL must be a date such as 20261231 or 20261231T235959Z');
+        }
+        rule.until = until.format(DATE_FORMAT);
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          if (!match || (match[1] && (Number(match[1]) === 0 || Math.abs(Number(match[1])) > 53))) {
+            throw new Error(`Invalid BYDAY value: ${entry}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), n: match[1] ? Number(match[1]) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList('BYMONTHDAY', value, 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList('BYMONTH', value, 1, 12);
+        if (rule.byMonth.some(month => month < 0)) {
+          throw new Error('BYMONTH values must be between 1 and 12');
+        }
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList('BYSETPOS', value, 1, 366);
+        break;
+      case 'WKST':
+        rule.wkst = WEEKDAYS.indexOf(value.toUpperCase());
+        if (rule.wkst === -1) {
+          throw new Error(`Invalid WKST value: ${value}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown recurrence rule part: ${name}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (rule.freq === 'WEEKLY' && rule.byMonthDay.length > 0) {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+  if (['DAILY', 'WEEKLY'].includes(rule.freq) && rule.byDay.some(entry => entry.n !== null)) {
+    throw new Error('Numbered BYDAY values (e.g. 1MO) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+
+  return rule;
+};
+
+// Whether `date` matches a BYDAY entry; `n` counts within the month or year
+const matchesByDay = (date, byDay, scope) => byDay.some(({ weekday, n }) => {
+  if (date.day() !== weekday) return false;
+  if (n === null) return true;
+
+  const position = scope === 'year' ? date.dayOfYear() : date.date();
+  const length = scope === 'year' ? (date.isLeapYear() ? 366 : 365) : date.daysInMonth();
+
+  return n > 0
+    ? Math.floor((position - 1) / 7) + 1 === n
+    : Math.floor((length - position) / 7) + 1 === -n;
+});
+
+const matchesByMonthDay = (date, byMonthDay) => byMonthDay.some(monthDay => (
+  monthDay > 0 ? date.date() === monthDay : date.date() === date.daysInMonth() + monthDay + 1
+));
+
+const daysOf = (start, end) => {
+  const days = [];
+  for (const current = start.clone(); current.isSameOrBefore(end, 'day'); current.add(1, 'day')) {
+    days.push(current.clone());
+  }
+  return days;
+};
+
+// Candidate days of one month for MONTHLY (and YEARLY with BYMONTH/BYMONTHDAY)
+const monthCandidates = (monthStart, rule, start) => {
+  const days = daysOf(monthStart, monthStart.clone().endOf('month'));
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    // A plain monthly rule repeats the start day; months without it are skipped
+    return days.filter(date => date.date() === start.date());
+  }
+
+  return days.filter(date =>
+    (rule.byMonthDay.length === 0 || matchesByMonthDay(date, rule.byMonthDay)) &&
+    (rule.byDay.length === 0 || matchesByDay(date, rule.byDay, 'month'))
+  );
+};
+
+// All candidate days of the period starting at `periodStart`, before BYSETPOS
+const periodCandidates = (periodStart, rule, start) => {
+  const inMonths = (date) => rule.byMonth.length === 0 || rule.byMonth.includes(date.month() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [periodStart].filter(date =>
+        inMonths(date) &&
+        (rule.byMonthDay.length === 0 || matchesByMonthDay(date, rule.byMonthDay)) &&
+        (rule.byDay.length === 0 || matchesByDay(date, rule.byDay, 'month'))
+      );
+
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [start.day()];
+      return daysOf(periodStart, periodStart.clone().add(6, 'days'))
+        .filter(date => weekdays.includes(date.day()) && inMonths(date));
+    }
+
+    case 'MONTHLY':
+      return inMonths(periodStart) ? monthCandidates(periodStart, rule, start) : [];
+
+    case 'YEARLY': {
+      if (rule.byMonth.length === 0 && rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+        const anniversary = periodStart.clone().month(start.month());
+        return anniversary.daysInMonth() >= start.date() ? [anniversary.date(start.date())] : [];
+      }
+
+      if (rule.byMonth.length === 0 && rule.byMonthDay.length === 0) {
+        // e.g. BYDAY=20MO: weekdays numbered within the year
+        return daysOf(periodStart, periodStart.clone().endOf('year'))
+          .filter(date => matchesByDay(date, rule.byDay, 'year'));
+      }
+
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+      return [...months]
+        .sort((a, b) => a - b)
+        .flatMap(month => monthCandidates(periodStart.clone().month(month - 1), rule, start));
+    }
+
+    default:
+      return [];
+  }
+};
+
+const applySetPos = (candidates, bySetPos) => {
+  if (bySetPos.length === 0) return candidates;
+
+  const picked = bySetPos
+    .map(position => candidates[position > 0 ? position - 1 : candidates.length + position])
+    .filter(Boolean);
+
+  return [...new Map(picked.map(date => [date.format(DATE_FORMAT), date])).values()]
+    .sort((a, b) => a - b);
+};
+
+const getPeriodStart = (date, rule) => {
+  switch (rule.freq) {
+    case 'WEEKLY':
+      return date.clone().subtract((date.day() - rule.wkst + 7) % 7, 'days');
+    case 'MONTHLY':
+      return date.clone().startOf('month');
+    case 'YEARLY':
+      return date.clone().startOf('year');
+    default:
+      return date.clone();
+  }
+};
+
+/**
+ * Days in [from, to] (inclusive 'YYYY-MM-DD' strings) on which the rule
+ * starting at `dtstart` has an occurrence. `dtstart` itself only counts when
+ * it matches the rule.
+ */
+const expandDates = (ruleOrText, dtstart, from, to) => {
+  const rule = typeof ruleOrText === 'string' ? parseRule(ruleOrText) : ruleOrText;
+  const start = day(dtstart);
+  const rangeStart = moment.max(day(from), start);
+  let rangeEnd = day(to);
+
+  if (rule.until) {
+    rangeEnd = moment.min(rangeEnd, day(rule.until));
+  }
+  if (!start.isValid() || !rangeStart.isValid() || !rangeEnd.isValid() || rangeEnd.isBefore(rangeStart)) {
+    return [];
+  }
+
+  const unit = PERIOD_UNITS[rule.freq];
+  const firstPeriod = getPeriodStart(start, rule);
+
+  // Without COUNT, skip straight to the period containing the range start
+  let index = 0;
+  if (!rule.count) {
+    const elapsed = getPeriodStart(rangeStart, rule).diff(firstPeriod, unit);
+    index = Math.max(0, Math.floor(elapsed / rule.interval));
+  }
+
+  const dates = [];
+  let emitted = 0;
+
+  for (;; index++) {
+    const periodStart = firstPeriod.clone().add(index * rule.interval, unit);
+    if (periodStart.isAfter(rangeEnd)) break;
+
+    const candidates = applySetPos(periodCandidates(periodStart, rule, start), rule.bySetPos)
+      .filter(date => date.isSameOrAfter(start, 'day'));
+
+    for (const date of candidates) {
+      if (date.isAfter(rangeEnd, 'day')) break;
+      emitted++;
+      if (date.isSameOrAfter(rangeStart, 'day')) {
+        dates.push(date.format(DATE_FORMAT));
+      }
+      if (rule.count && emitted >= rule.count) return dates;
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * RRULE equivalent of a legacy `repeat` value. 'none' and 'daily' both run
+ * every day of the schedule period; monthly starts on the 29th-31st fall back
+ * to the last day of shorter months.
+ */
+const legacyRepeatToRule = (repeat, { weekDays = [], dayOfMonth = 1 } = {}) => {
+  switch (repeat) {
+    case 'weekly':
+      return `FREQ=WEEKLY;BYDAY=${[...weekDays].sort((a, b) => a - b).map(weekday => WEEKDAYS[weekday]).join(',')}`;
+    case 'monthly': {
+      if (dayOfMonth <= 28) {
+        return `FREQ=MONTHLY;BYMONTHDAY=${dayOfMonth}`;
+      }
+      const days = [];
+      for (let monthDay = 28; monthDay <= dayOfMonth; monthDay++) days.push(monthDay);
+      return `FREQ=MONTHLY;BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+    }
+    default:
+      return 'FREQ=DAILY';
+  }
+};
+
+module.exports = {
+  DATE_FORMAT,
+  WEEKDAYS,
+  parseRule,
+  expandDates,
+  legacyRepeatToRule
+};
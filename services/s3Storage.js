@@ -0,0 +1,237 @@
+// services/s3Storage.js
+// Storage driver for S3 and S3-compatible servers (MinIO, R2, ...), speaking
+// the REST API directly with Signature Version 4. Bodies are streamed with
+// UNSIGNED-PAYLOAD so large videos never sit in memory.
+//
+// Configuration:
+//   S3_BUCKET                  required
+//   S3_ACCESS_KEY_ID           required
+//   S3_SECRET_ACCESS_KEY       required
+//   S3_REGION                  default us-east-1
+//   S3_ENDPOINT                e.g. http://localhost:9000 for MinIO (default AWS)
+//   S3_FORCE_PATH_STYLE=true   bucket in the path instead of the host name (MinIO)
+//   S3_PREFIX                  optional key prefix, e.g. "media/"
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { StorageError, assertSafeKey } = require('./storage');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding, as SigV4 requires (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const canonicalQueryOf = (url) => [...url.searchParams.entries()]
+  .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+  .sort()
+  .join('&');
+
+const readBody = (res) => new Promise((resolve) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { if (body.length < 4096) body += chunk; });
+  res.on('end', () => resolve(body));
+  res.on('error', () => resolve(body));
+});
+
+const errorCodeFrom = (body) => {
+  const match = /<Code>([^<]+)<\/Code>/.exec(body);
+  return match ? match[1] : null;
+};
+
+class S3Storage {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    prefix = process.env.S3_PREFIX || ''
+  } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new StorageError('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region = region;
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix;
+  }
+
+  objectUrl(key) {
+    assertSafeKey(key);
+    const objectPath = `${this.prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+    const url = new URL(this.endpoint.href);
+
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeRfc3986(this.bucket)}/${objectPath}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${objectPath}`;
+    }
+    return url;
+  }
+
+  // Date, day and credential scope a signature made `at` is valid for
+  scopeFor(at) {
+    const amzDate = at.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    return { amzDate, dateStamp, scope: `${dateStamp}/${this.region}/s3/aws4_request` };
+  }
+
+  signatureFor(dateStamp, canonicalRequest, amzDate, scope) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  // Authorization headers for a request (AWS Signature Version 4)
+  sign(method, url, headers, payloadHash, at = new Date()) {
+    const { amzDate, dateStamp, scope } = this.scopeFor(at);
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host: url.host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash
+    };
+    const headerNames = Object.keys(signed).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQueryOf(url),
+      headerNames.map(name => `${name}:${signed[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+    const signature = this.signatureFor(dateStamp, canonicalRequest, amzDate, scope);
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * A URL that GETs the object without credentials until it expires
+   * (query-string SigV4), for tools such as ffmpeg that fetch files themselves.
+   */
+  signedUrl(key, { expiresIn = 900, at = new Date() } = {}) {
+    const url = this.objectUrl(key);
+    const { amzDate, dateStamp, scope } = this.scopeFor(at);
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${scope}`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const canonicalQuery = canonicalQueryOf(url);
+    const canonicalRequest = ['GET', url.pathname, canonicalQuery, `host:${url.host}\n`, 'host', UNSIGNED_PAYLOAD].join('\n');
+    const signature = this.signatureFor(dateStamp, canonicalRequest, amzDate, scope);
+
+    url.search = `${canonicalQuery}&X-Amz-Signature=${signature}`;
+    return url.href;
+  }
+
+  // Resolves with the response; the caller consumes (or discards) its body
+  request(method, key, { headers = {}, body = null } = {}) {
+    const url = this.objectUrl(key);
+    const payloadHash = body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH;
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: this.sign(method, url, headers, payloadHash) }, resolve);
+      req.on('error', reject);
+
+      if (body) {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end();
+      }
+    });
+  }
+
+  async failure(res, key) {
+    const body = await readBody(res);
+    const code = errorCodeFrom(body) || `HTTP ${res.statusCode}`;
+    if (res.statusCode === 404) {
+      return new StorageError('File not found', 404);
+    }
+    return new StorageError(`S3 request for "${key}" failed: ${code}`, 502);
+  }
+
+  async put(key, stream, { size, contentType } = {}) {
+    if (!Number.isInteger(size)) {
+      throw new StorageError('S3 uploads need the object size up front');
+    }
+
+    const headers = { 'content-length': size };
+    if (contentType) headers['content-type'] = contentType;
+
+    const res = await this.request('PUT', key, { headers, body: stream });
+    if (res.statusCode !== 200) {
+      throw await this.failure(res, key);
+    }
+    res.resume();
+  }
+
+  async putFile(key, sourcePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.put(key, fs.createReadStream(sourcePath), { size, contentType });
+    await fs.promises.unlink(sourcePath);
+  }
+
+  async get(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined;
+    const headers = ranged ? { range: `bytes=${start || 0}-${end === undefined ? '' : end}` } : {};
+
+    const res = await this.request('GET', key, { headers });
+    if (res.statusCode !== (ranged ? 206 : 200)) {
+      throw await this.failure(res, key);
+    }
+    return {
+      stream: res,
+      size: Number(res.headers['content-length']),
+      contentType: res.headers['content-type'] || null
+    };
+  }
+
+  async stat(key) {
+    const res = await this.request('HEAD', key);
+    res.resume();
+    if (res.statusCode === 404) return null;
+    if (res.statusCode !== 200) {
+      throw new StorageError(`S3 request for "${key}" failed: HTTP ${res.statusCode}`, 502);
+    }
+    return { size: Number(res.headers['content-length']) };
+  }
+
+  async delete(key) {
+    const res = await this.request('DELETE', key);
+    if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+      throw await this.failure(res, key);
+    }
+    res.resume();
+  }
+}
+
+module.exports = S3Storage;
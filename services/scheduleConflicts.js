@@ -0,0 +1,186 @@
+// services/scheduleConflicts.js
+// Finds active schedules that would be on air at the same time, on the same
+// screens, as a given schedule, and which of the two would actually play.
+const Schedule = require('../models/Schedule');
+const DeviceGroup = require('../models/DeviceGroup');
+const Device = require('../models/Device');
+
+const toId = (value) => (value._id || value).toString();
+
+// Screens a schedule covers. Schedules without targets play everywhere.
+const resolveTargets = async (schedule) => {
+  const deviceIds = (schedule.devices || []).map(toId);
+  const groupIds = (schedule.deviceGroups || []).map(toId);
+
+  if (deviceIds.length === 0 && groupIds.length === 0) {
+    return { everywhere: true, devices: new Set(), groups: new Set(), groupDepth: 0 };
+  }
+
+  const [groupDevices, groups] = await Promise.all([
+    DeviceGroup.expandDevices(groupIds),
+    DeviceGroup.find({ _id: { $in: groupIds } }).select('ancestors').lean()
+  ]);
+
+  return {
+    everywhere: false,
+    devices: new Set([...deviceIds, ...groupDevices.map(toId)]),
+    groups: new Set(groupIds),
+    groupDepth: groups.reduce((depth, group) => Math.max(depth, group.ancestors.length + 1), 0)
+  };
+};
+
+const getSharedTargets = (a, b) => {
+  if (a.everywhere || b.everywhere) {
+    const other = a.everywhere ? b : a;
+    return {
+      everywhere: a.everywhere && b.everywhere,
+      devices: [...other.devices],
+      groups: [...other.groups]
+    };
+  }
+
+  return {
+    everywhere: false,
+    devices: [...a.devices].filter(id => b.devices.has(id)),
+    groups: [...a.groups].filter(id => b.groups.has(id))
+  };
+};
+
+const hasSharedTargets = (shared) =>
+  shared.everywhere || shared.devices.length > 0 || shared.groups.length > 0;
+
+// Zones the shared screens run in; null stands for screens without a zone
+// (and plain viewers), which use each schedule's own timezone
+const getSharedTimezones = async (shared) => {
+  const filter = shared.everywhere ? {} : { _id: { $in: shared.devices } };
+  const zones = await Device.distinct('timezone', filter);
+  const known = zones.filter(Boolean);
+  return shared.everywhere || known.length < zones.length || known.length === 0
+    ? [null, ...known]
+    : known;
+};
+
+// First overlap of two schedules where at least one is device-local: the
+// times are compared in every zone the shared screens use
+const findLocalOverlap = async (candidate, other, shared, from, horizonDays) => {
+  let first = null;
+
+  for (const timezone of await getSharedTimezones(shared)) {
+    candidate.localizeTo(timezone);
+    other.localizeTo(timezone);
+    const overlap = candidate.findOverlapWith(other, from, horizonDays);
+
+    if (overlap && (!first || overlap.start < first.start)) {
+      first = { ...overlap, timezone: timezone || candidate.getEvaluationTimezone() };
+    }
+  }
+
+  candidate.localizeTo(null);
+  other.localizeTo(null);
+  return first;
+};
+
+// Target specificity as Schedule.comparePrecedence expects it. Explicit device
+// lists beat groups, which beat untargeted schedules; on a device reached
+// through both, runtime resolution uses the same order.
+const describeTargetMatch = (schedule, targets) => {
+  if ((schedule.devices || []).length > 0) return { type: 'device', depth: 0 };
+  if (targets.groupDepth > 0) return { type: 'group', depth: targets.groupDepth };
+  return { type: 'all', depth: 0 };
+};
+
+const explainWinner = (winner, loser) => {
+  if ((winner.priority || 1) !== (loser.priority || 1)) return 'higher priority';
+  if (winner.targetMatch.type !== loser.targetMatch.type || winner.targetMatch.depth !== loser.targetMatch.depth) {
+    return 'more specific target';
+  }
+  if (new Date(winner.createdAt || 0).getTime() !== new Date(loser.createdAt || 0).getTime()) {
+    return 'created more recently';
+  }
+  return 'tie broken by id';
+};
+
+/**
+ * Conflicts between `candidate` (a Schedule document, saved or not) and the
+ * other active schedules. Returns one entry per conflicting schedule with the
+ * first overlapping interval, the shared screens and the effective winner.
+ */
+const findConflicts = async (candidate, options = {}) => {
+  const { from = new Date(), horizonDays = 366 } = options;
+  const excludeId = options.excludeId || candidate._id;
+
+  if (!candidate.isActive) {
+    return [];
+  }
+
+  // Drafts and schedules awaiting review cannot clash with anything on air yet
+  const others = await Schedule.find({
+    isActive: true,
+    ...Schedule.liveFilter(from),
+    _id: { $ne: excludeId },
+    endDate: { $gte: new Date(from.getTime() - 24 * 60 * 60 * 1000) }
+  }).select('name priority devices deviceGroups startDate endDate startTime endTime timezone timeMode repeat weekDays rrule exdates isActive workflowState unpublishAt createdAt');
+
+  if (others.length === 0) {
+    return [];
+  }
+
+  const candidateTargets = await resolveTargets(candidate);
+  const candidateEntry = {
+    _id: candidate._id,
+    priority: candidate.priority,
+    createdAt: candidate.createdAt || new Date(),
+    targetMatch: describeTargetMatch(candidate, candidateTargets)
+  };
+
+  const conflicts = [];
+
+  for (const other of others) {
+    // Device-local times depend on the screens, so those pairs compare targets first
+    const deviceLocal = candidate.timeMode === 'device-local' || other.timeMode === 'device-local';
+
+    let overlap = deviceLocal ? null : candidate.findOverlapWith(other, from, horizonDays);
+    if (!deviceLocal && !overlap) continue;
+
+    const otherTargets = await resolveTargets(other);
+    const shared = getSharedTargets(candidateTargets, otherTargets);
+    if (!hasSharedTargets(shared)) continue;
+
+    if (deviceLocal) {
+      overlap = await findLocalOverlap(candidate, other, shared, from, horizonDays);
+      if (!overlap) continue;
+    }
+
+    const otherEntry = {
+      _id: other._id,
+      priority: other.priority,
+      createdAt: other.createdAt,
+      targetMatch: describeTargetMatch(other, otherTargets)
+    };
+
+    const candidateWins = Schedule.comparePrecedence(candidateEntry, otherEntry) < 0;
+    const [winner, loser] = candidateWins ? [candidateEntry, otherEntry] : [otherEntry, candidateEntry];
+
+    conflicts.push({
+      scheduleId: other._id,
+      name: other.name,
+      priority: other.priority,
+      overlap,
+      sharedTargets: shared,
+      winner: {
+        scheduleId: winner._id,
+        name: candidateWins ? candidate.name : other.name,
+        isThisSchedule: candidateWins,
+        reason: explainWinner(winner, loser)
+      }
+    });
+  }
+
+  return conflicts.sort((a, b) => a.overlap.start - b.overlap.start);
+};
+
+module.exports = {
+  findConflicts,
+  resolveTargets,
+  getSharedTargets
+};
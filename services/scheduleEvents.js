@@ -0,0 +1,9 @@
+// services/scheduleEvents.js
+// In-process notifications of schedule writes. The Schedule model emits
+// 'change' with `{ operation }` after every save, update or delete made
+// through Mongoose, so services can recompute without polling.
+const { EventEmitter } = require('events');
+
+const scheduleEvents = new EventEmitter();
+
+module.exports = scheduleEvents;
@@ -1,102 +1,213 @@
 // services/scheduleMonitor.js
+// Tells screens to refresh at the exact instant a schedule starts or ends.
+// Upcoming boundaries are precomputed for a rolling horizon and a single timer
+// is armed for the next one; schedule writes (see scheduleEvents) trigger a
+// recompute, so nothing polls the database between transitions.
 const Schedule = require('../models/Schedule');
-const moment = require('moment-timezone');
+const Device = require('../models/Device');
+const EmergencyAlert = require('../models/EmergencyAlert');
+const AuditLog = require('../models/AuditLog');
+const scheduleEvents = require('./scheduleEvents');
+const { buildPlaybackState } = require('./playlistEngine');
+const { getCampaignInjections } = require('./campaignPacing');
+
+const TRANSITION_HORIZON_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bursts of writes (e.g. a group delete touching many schedules) recompute once
+const REFRESH_DEBOUNCE_MS = 500;
 
 class ScheduleMonitor {
-  constructor(io) {
+  constructor(io, contentService = null) {
     this.io = io;
-    this.lastCheckedSchedules = new Map();
+    this.contentService = contentService;
     this.currentActiveSchedule = null;
-    this.checkInterval = null;
+    this.transitions = [];
+    this.computedAt = null;
+    this.horizonEnd = null;
+    this.timer = null;
+    this.armedFor = null;
+    this.refreshTimer = null;
+
+    this.onScheduleChange = () => this.requestRefresh();
+    scheduleEvents.on('change', this.onScheduleChange);
     console.log('📡 ScheduleMonitor initialized');
   }
 
-  startMonitoring(interval = 30000) {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-    }
-    this.checkInterval = setInterval(() => this.checkScheduleChanges(), interval);
-    console.log(`⏱️ Schedule monitoring started (${interval}ms interval)`);
+  async start() {
+    await this.refreshTransitions();
+    console.log(`⏱️ Schedule transitions armed (${this.transitions.length} in the next 24h)`);
   }
 
-  stopMonitoring() {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
-      console.log('⏹️ Schedule monitoring stopped');
-    }
+  // Recompute shortly, coalescing repeated requests
+  requestRefresh() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshTransitions();
+    }, REFRESH_DEBOUNCE_MS);
+    this.refreshTimer.unref?.();
   }
 
-  async checkScheduleChanges() {
+  // Collect every start, end and unpublish instant in the horizon and arm the timer
+  async refreshTransitions(at = new Date()) {
     try {
-      const activeSchedules = await Schedule.find({ isActive: true })
-        .populate({
-          path: 'content.contentId',
-          match: { status: 'approved' },
-          select: 'title type duration filePath url htmlContent mimeType'
-        })
-        .lean();
-
-      let hasChanges = false;
-      const currentTime = new Date();
-
-      // Check for schedule updates
-      for (const schedule of activeSchedules) {
-        const lastModified = new Date(schedule.updatedAt);
-        const lastChecked = this.lastCheckedSchedules.get(schedule._id.toString());
-
-        if (!lastChecked || lastModified > lastChecked) {
-          hasChanges = true;
-          this.lastCheckedSchedules.set(schedule._id.toString(), currentTime);
-          console.log(`🔄 Schedule updated: ${schedule.name}`);
-        }
+      const horizonEnd = new Date(at.getTime() + TRANSITION_HORIZON_MS);
+
+      const [schedules, deviceZones] = await Promise.all([
+        Schedule.find({
+          isActive: true,
+          ...Schedule.liveFilter(at),
+          startDate: { $lte: new Date(horizonEnd.getTime() + DAY_MS) },
+          endDate: { $gte: new Date(at.getTime() - DAY_MS) }
+        }).select('name priority startDate endDate startTime endTime timezone timeMode repeat weekDays rrule exdates unpublishAt workflowState isActive'),
+        Device.distinct('timezone')
+      ]);
+
+      // Device-local schedules change over at a different instant in every zone
+      const zones = [null, ...deviceZones.filter(Boolean)];
+
+      this.transitions = schedules
+        .flatMap(schedule => this.computeTransitions(schedule, at, horizonEnd, zones))
+        .sort((a, b) => a.at - b.at);
+      this.computedAt = at;
+      this.horizonEnd = horizonEnd;
+      this.arm();
+    } catch (error) {
+      console.error('❌ Error computing schedule transitions:', error);
+    }
+  }
+
+  // Boundaries of one schedule in (from, to]
+  computeTransitions(schedule, from, to, zones) {
+    const transitions = [];
+    const until = schedule.unpublishAt && schedule.unpublishAt < to ? schedule.unpublishAt : to;
+    const seen = new Set();
+
+    const add = (at, type) => {
+      const key = `${type}:${at.getTime()}`;
+      if (at <= from || at > until || seen.has(key)) return;
+      seen.add(key);
+      transitions.push({
+        at,
+        type,
+        scheduleId: schedule._id,
+        name: schedule.name,
+        priority: schedule.priority,
+        timezone: schedule.getEvaluationTimezone()
+      });
+    };
+
+    for (const timezone of schedule.timeMode === 'device-local' ? zones : [null]) {
+      schedule.localizeTo(timezone);
+      for (const occurrence of schedule.getOccurrences(from, until)) {
+        add(occurrence.start, 'start');
+        add(occurrence.end, 'end');
       }
+    }
+    schedule.localizeTo(null);
 
-      // Check for active schedule changes
-      const currentContent = await this.getCurrentActiveContent(activeSchedules);
-      const newActiveScheduleId = currentContent?.schedule?._id?.toString();
-      const oldActiveScheduleId = this.currentActiveSchedule?._id?.toString();
-
-      if (newActiveScheduleId !== oldActiveScheduleId) {
-        this.currentActiveSchedule = currentContent?.schedule;
-        
-        if (currentContent) {
-          console.log(`🎬 New active schedule: ${currentContent.schedule.name}`);
-          this.io.to('viewers').emit('content-refresh', {
-            message: 'Active schedule changed',
-            newContent: currentContent,
-            timestamp: new Date()
-          });
-        } else {
-          console.log('⏸️ No active schedule found');
-          this.io.to('viewers').emit('content-refresh', {
-            message: 'No active schedule',
-            timestamp: new Date()
-          });
-        }
+    if (schedule.unpublishAt && schedule.unpublishAt > from && schedule.unpublishAt <= to) {
+      add(schedule.unpublishAt, 'unpublish');
+    }
+
+    return transitions;
+  }
+
+  // One timer for the next boundary, or for the horizon end to roll it forward
+  arm() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    const now = Date.now();
+    const next = this.transitions.find(transition => transition.at.getTime() > now);
+    const target = next ? next.at : this.horizonEnd;
+    if (!target) return;
+
+    // Windows include their end instant, so fire just after it
+    const delay = Math.max(0, target.getTime() - now) + 1;
+    this.armedFor = target;
+    this.timer = setTimeout(() => this.onTimer(), delay);
+    this.timer.unref?.();
+  }
+
+  async onTimer() {
+    this.timer = null;
+    const now = new Date();
+    const due = this.transitions.filter(transition => transition.at <= now);
+
+    if (due.length > 0) {
+      await this.handleTransitions(due, now);
+    }
 
-        hasChanges = true;
+    // Also moves the horizon forward once it is reached
+    await this.refreshTransitions(now);
+  }
+
+  // Push what screens should now play
+  async handleTransitions(due, now = new Date()) {
+    try {
+      due.forEach(transition => console.log(`⏰ Schedule ${transition.type}: ${transition.name}`));
+
+      if (due.some(transition => transition.type === 'unpublish')) {
+        await this.unpublishDue();
       }
 
-      if (hasChanges) {
-        this.io.emit('schedule-status-update', {
-          activeSchedules: activeSchedules.length,
-          currentlyActive: !!currentContent,
-          lastCheck: currentTime
-        });
+      if (this.contentService) {
+        this.contentService.clearCache();
       }
 
+      const currentContent = await this.getCurrentActiveContent();
+      this.currentActiveSchedule = currentContent?.schedule || null;
+
+      // While an alert is in effect screens must not be handed schedule
+      // content directly; they re-request and get the alert instead
+      const alertsInEffect = (await EmergencyAlert.findActive(now)).length > 0;
+      // Screens bound to a device get their own playlist below
+      const deviceRooms = this.contentService ? this.contentService.getDeviceRooms() : [];
+      this.io.to('viewers').except(deviceRooms).emit('content-refresh', {
+        message: currentContent ? 'Active schedule changed' : 'No active schedule',
+        transitions: due.map(({ at, type, scheduleId, name }) => ({ at, type, scheduleId, name })),
+        ...(currentContent && !alertsInEffect && { newContent: currentContent }),
+        timestamp: new Date()
+      });
+
+      this.io.emit('schedule-status-update', {
+        currentlyActive: !!currentContent,
+        activeScheduleId: currentContent?.schedule?._id || null,
+        lastCheck: now
+      });
+
+      // Screens bound to a device resolve their own schedule
+      if (this.contentService) {
+        await this.contentService.broadcastCurrentContent();
+      }
     } catch (error) {
-      console.error('❌ Error in schedule monitoring:', error);
+      console.error('❌ Error handling schedule transition:', error);
     }
   }
 
+  // Upcoming boundaries, for debugging
+  getNextTransitions(limit = 50) {
+    const now = new Date();
+    const upcoming = this.transitions.filter(transition => transition.at > now);
+
+    return {
+      computedAt: this.computedAt,
+      horizonEnd: this.horizonEnd,
+      armedFor: this.armedFor,
+      total: upcoming.length,
+      transitions: upcoming.slice(0, limit)
+    };
+  }
+
   async getCurrentActiveContent(activeSchedules = []) {
     try {
       // If not provided, fetch active schedules
       const schedules = activeSchedules.length 
         ? activeSchedules 
-        : await Schedule.find({ isActive: true })
+        : await Schedule.find({ isActive: true, ...Schedule.liveFilter() })
             .populate({
               path: 'content.contentId',
               match: { status: 'approved' },
@@ -106,9 +217,8 @@ class ScheduleMonitor {
 
       if (!schedules.length) return null;
 
-      const nowUtc = moment.utc();
-      let activeSchedule = null;
-      let bestPriority = 0;
+      const now = new Date();
+      const candidates = [];
 
       for (const schedule of schedules) {
         if (!schedule.content || !schedule.content.length) continue;
@@ -116,37 +226,21 @@ class ScheduleMonitor {
         const validContent = schedule.content.filter(c => c.contentId);
         if (!validContent.length) continue;
 
-        // Use the model's isCurrentlyActive method
+        // Use the model's window calculation (same rules as isCurrentlyActive)
         const scheduleDoc = new Schedule(schedule);
-        if (scheduleDoc.isCurrentlyActive()) {
-          const priority = schedule.priority || 1;
-          if (!activeSchedule || priority > bestPriority) {
-            activeSchedule = schedule;
-            bestPriority = priority;
-          }
+        const window = scheduleDoc.isActive ? scheduleDoc.getActiveWindow(now) : null;
+        if (window) {
+          candidates.push({ ...schedule, activeWindow: window });
         }
       }
 
-      if (!activeSchedule) return null;
-
-      const validContent = activeSchedule.content.filter(c => c.contentId);
-      const contentToPlay = validContent[0]?.contentId;
+      if (!candidates.length) return null;
 
-      if (!contentToPlay) return null;
+      // Same deterministic tie-break as Schedule.findCurrentlyActive
+      const [activeSchedule] = candidates.sort((a, b) => Schedule.comparePrecedence(a, b));
 
-      return {
-        ...contentToPlay,
-        schedule: {
-          _id: activeSchedule._id,
-          name: activeSchedule.name,
-          description: activeSchedule.description,
-          priority: activeSchedule.priority,
-          timezone: activeSchedule.timezone,
-          repeat: activeSchedule.repeat,
-          startTime: activeSchedule.startTime,
-          endTime: activeSchedule.endTime
-        }
-      };
+      const campaigns = await getCampaignInjections(null, activeSchedule.activeWindow, now);
+      return buildPlaybackState(activeSchedule, activeSchedule.activeWindow, now, { campaigns });
 
     } catch (error) {
       console.error('❌ Error getting current active content:', error);
@@ -154,10 +248,55 @@ class ScheduleMonitor {
     }
   }
 
+  // Take published schedules off air once their unpublish time has passed
+  async unpublishDue() {
+    try {
+      const unpublished = await Schedule.unpublishDue();
+
+      for (const schedule of unpublished) {
+        console.log(`⏹️ Schedule unpublished on schedule: ${schedule.name}`);
+
+        await AuditLog.create({
+          action: 'SCHEDULE_UNPUBLISH',
+          userId: schedule.workflow?.publishedBy || schedule.createdBy,
+          targetId: schedule._id.toString(),
+          targetType: 'SCHEDULE',
+          details: {
+            scheduleName: schedule.name,
+            from: 'published',
+            to: 'approved',
+            unpublishAt: schedule.unpublishAt,
+            automatic: true
+          },
+          severity: 'MEDIUM'
+        }).catch(error => console.error('Failed to log scheduled unpublish:', error));
+
+        this.io.emit('schedule-updated', {
+          schedule: { _id: schedule._id, name: schedule.name, workflowState: 'approved' },
+          message: `Schedule "${schedule.name}" unpublished`,
+          timestamp: new Date()
+        });
+      }
+
+      if (unpublished.length > 0) {
+        this.io.to('viewers').emit('content-refresh', {
+          message: 'Schedule unpublished, checking for new content',
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error unpublishing schedules:', error);
+    }
+  }
+
   cleanup() {
-    this.lastCheckedSchedules.clear();
+    scheduleEvents.off('change', this.onScheduleChange);
+    clearTimeout(this.timer);
+    clearTimeout(this.refreshTimer);
+    this.timer = null;
+    this.refreshTimer = null;
+    this.transitions = [];
     this.currentActiveSchedule = null;
-    this.stopMonitoring();
     console.log('🧹 ScheduleMonitor cleaned up');
   }
 }
@@ -0,0 +1,145 @@
+// services/scheduleTimeline.js
+// Expands schedules into concrete occurrences over a date range and, for a
+// device, resolves overlaps into the segments that actually go on air.
+const Schedule = require('../models/Schedule');
+const DeviceGroup = require('../models/DeviceGroup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMELINE_DAYS = 92;
+
+const clip = (occurrence, from, to) => ({
+  start: new Date(Math.max(occurrence.start, from)),
+  end: new Date(Math.min(occurrence.end, to))
+});
+
+// Split [from, to) at every occurrence boundary and keep the winning schedule
+// of each slice. Adjacent slices with the same winner are merged; slices
+// nothing covers are returned as gaps.
+const resolveSegments = (occurrences, from, to) => {
+  const boundaries = new Set([from.getTime(), to.getTime()]);
+  for (const occurrence of occurrences) {
+    boundaries.add(occurrence.start.getTime());
+    boundaries.add(occurrence.end.getTime());
+  }
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  const gaps = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+
+    const onAir = occurrences
+      .filter(occurrence => occurrence.start.getTime() <= start && occurrence.end.getTime() >= end)
+      .sort((a, b) => Schedule.comparePrecedence(a.schedule, b.schedule));
+
+    if (onAir.length === 0) {
+      const previousGap = gaps[gaps.length - 1];
+      if (previousGap && previousGap.end.getTime() === start) {
+        previousGap.end = new Date(end);
+      } else {
+        gaps.push({ start: new Date(start), end: new Date(end) });
+      }
+      continue;
+    }
+
+    const [winner, ...overridden] = onAir;
+    const previous = segments[segments.length - 1];
+    const overriddenIds = overridden.map(occurrence => occurrence.schedule._id.toString());
+
+    if (previous && previous.end.getTime() === start && previous.scheduleId.toString() === winner.schedule._id.toString()) {
+      previous.end = new Date(end);
+      previous.overrides = [...new Set([...previous.overrides, ...overriddenIds])];
+      continue;
+    }
+
+    segments.push({
+      start: new Date(start),
+      end: new Date(end),
+      scheduleId: winner.schedule._id,
+      name: winner.schedule.name,
+      priority: winner.schedule.priority,
+      overrides: overriddenIds
+    });
+  }
+
+  return { segments, gaps };
+};
+
+/**
+ * Occurrences of every active schedule between `from` and `to`. With a
+ * `device`, only schedules targeting it are included and the result also
+ * carries the effective on-air `segments` and uncovered `gaps`.
+ */
+const buildTimeline = async ({ from, to, device = null }) => {
+  const groupChain = device ? await DeviceGroup.findGroupChainForDevice(device._id) : [];
+
+  // Date bounds are padded a day to allow for timezone offsets and overnight windows
+  // Only published schedules play, up to their scheduled unpublish time
+  const schedules = await Schedule.find({
+    isActive: true,
+    ...Schedule.liveFilter(from),
+    startDate: { $lte: new Date(to.getTime() + DAY_MS) },
+    endDate: { $gte: new Date(from.getTime() - DAY_MS) },
+    ...Schedule.targetingFilter(device, groupChain)
+  }).populate({
+    path: 'content.contentId',
+    match: { status: 'approved' },
+    select: '_id'
+  });
+
+  const occurrences = [];
+
+  for (const schedule of schedules) {
+    // Schedules without playable content never go on air
+    if (!schedule.content.some(item => item.contentId)) continue;
+
+    schedule.localizeTo(device ? device.timezone : null);
+
+    const entry = {
+      _id: schedule._id,
+      name: schedule.name,
+      priority: schedule.priority,
+      timezone: schedule.getEvaluationTimezone(),
+      timeMode: schedule.timeMode,
+      repeat: schedule.repeat,
+      createdAt: schedule.createdAt,
+      targetMatch: Schedule.getTargetMatch(schedule, device, groupChain)
+    };
+
+    const until = schedule.unpublishAt && schedule.unpublishAt < to ? schedule.unpublishAt : to;
+    for (const occurrence of schedule.getOccurrences(from, until)) {
+      occurrences.push({ ...clip(occurrence, from, until), schedule: entry });
+    }
+  }
+
+  occurrences.sort((a, b) => a.start - b.start || Schedule.comparePrecedence(a.schedule, b.schedule));
+
+  const timeline = {
+    from,
+    to,
+    occurrences: occurrences.map(occurrence => ({
+      scheduleId: occurrence.schedule._id,
+      name: occurrence.schedule.name,
+      priority: occurrence.schedule.priority,
+      timezone: occurrence.schedule.timezone,
+      timeMode: occurrence.schedule.timeMode,
+      repeat: occurrence.schedule.repeat,
+      start: occurrence.start,
+      end: occurrence.end
+    }))
+  };
+
+  if (device) {
+    Object.assign(timeline, resolveSegments(occurrences, from, to));
+  }
+
+  return timeline;
+};
+
+module.exports = {
+  MAX_TIMELINE_DAYS,
+  buildTimeline,
+  resolveSegments
+};
@@ -0,0 +1,147 @@
+// services/storage.js
+// Where media bytes live. Content and MediaAsset records keep a public
+// `filePath` ("uploads/<key>") plus the `storageDriver` holding the object, so
+// every instance can serve any file whichever backend it was written to.
+//
+// Drivers share one interface:
+//   put(key, stream, { size, contentType })   store a stream of known length
+//   putFile(key, sourcePath, options)          store a local file, consuming it
+//   get(key, { start, end })                   -> { stream, size, contentType }
+//                                                 (optional inclusive byte range;
+//                                                 size is the bytes streamed)
+//   stat(key)                                  -> { size } or null when missing
+//   delete(key)                                no error when already gone
+//
+// Remote drivers also offer signedUrl(key, { expiresIn }), a short-lived URL
+// for tools that fetch a file themselves.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+const PUBLIC_PREFIX = 'uploads';
+
+class StorageError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+  }
+}
+
+// "uploads/file-123.mp4" -> "file-123.mp4"
+const storageKeyFor = (filePath) => filePath.replace(/\\/g, '/').replace(new RegExp(`^${PUBLIC_PREFIX}/`), '');
+
+const publicPathFor = (key) => `${PUBLIC_PREFIX}/${key}`;
+
+// Keys come from request paths when serving, so keep them inside the store
+const assertSafeKey = (key) => {
+  if (!key || key.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new StorageError('Invalid storage key', 400);
+  }
+};
+
+class LocalStorage {
+  constructor({ root = process.env.LOCAL_STORAGE_DIR || PUBLIC_PREFIX } = {}) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  pathFor(key) {
+    assertSafeKey(key);
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  async put(key, stream) {
+    const target = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(target));
+    } catch (error) {
+      await fs.promises.unlink(target).catch(() => {});
+      throw error;
+    }
+  }
+
+  async putFile(key, sourcePath) {
+    const target = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (error) {
+      // Staging area on another filesystem
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.unlink(sourcePath);
+    }
+  }
+
+  async get(key, { start, end } = {}) {
+    const stats = await this.stat(key);
+    if (!stats) {
+      throw new StorageError('File not found', 404);
+    }
+
+    const first = start || 0;
+    const last = end === undefined ? stats.size - 1 : end;
+    return {
+      stream: fs.createReadStream(this.pathFor(key), stats.size > 0 ? { start: first, end: last } : {}),
+      size: Math.max(0, last - first + 1),
+      contentType: null
+    };
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.pathFor(key));
+      return stats.isFile() ? { size: stats.size } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+const drivers = new Map();
+
+const createStorage = (name) => {
+  switch (name) {
+    case 'local':
+      return new LocalStorage();
+    case 's3': {
+      const S3Storage = require('./s3Storage');
+      return new S3Storage();
+    }
+    default:
+      throw new StorageError(`Unknown storage driver "${name}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+};
+
+/**
+ * The driver called `name`, or the one new media is written to
+ * (STORAGE_DRIVER, default "local"). Instances are shared.
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!drivers.has(name)) {
+    drivers.set(name, createStorage(name));
+  }
+  return drivers.get(name);
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  StorageError,
+  LocalStorage,
+  storageKeyFor,
+  publicPathFor,
+  assertSafeKey,
+  getStorage
+};
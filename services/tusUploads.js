@@ -0,0 +1,122 @@
+// services/tusUploads.js
+// Protocol helpers and housekeeping for tus 1.0 resumable uploads
+// (https://tus.io/protocols/resumable-upload). Partial files live under
+// uploads/tus until the last byte arrives.
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const Upload = require('../models/Upload');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+const PARTIAL_UPLOAD_DIR = path.join('uploads', 'tus');
+const UPLOAD_EXPIRY_HOURS = parseInt(process.env.TUS_UPLOAD_EXPIRY_HOURS, 10) || 24;
+
+class TusError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'TusError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Upload-Metadata: comma-separated "key base64(value)" pairs; the value may be omitted
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    if (!key || rest.length > 0 || Object.prototype.hasOwnProperty.call(metadata, key)) {
+      throw new TusError('Invalid Upload-Metadata header', 400);
+    }
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+};
+
+const encodeMetadata = (metadata = {}) =>
+  Object.entries(metadata)
+    .map(([key, value]) => (value ? `${key} ${Buffer.from(String(value), 'utf8').toString('base64')}` : key))
+    .join(',');
+
+const nextExpiry = (at = new Date()) => new Date(at.getTime() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+
+const createPartialFile = async (uploadId) => {
+  await fs.promises.mkdir(PARTIAL_UPLOAD_DIR, { recursive: true });
+  const partialPath = path.join(PARTIAL_UPLOAD_DIR, String(uploadId));
+  await fs.promises.writeFile(partialPath, '');
+  return partialPath;
+};
+
+/**
+ * Append the request body to the partial file at `offset`, accepting at most
+ * `maxBytes`. Resolves with the new offset, taken from the file itself so bytes
+ * that arrived before a dropped connection are kept. Rejects with a 413
+ * TusError (after saving what fit) when the body is longer than allowed.
+ */
+const appendChunk = (req, partialPath, offset, maxBytes) => new Promise((resolve) => {
+  let received = 0;
+  let tooLarge = false;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      const allowed = Math.max(0, maxBytes - received);
+      received += chunk.length;
+      if (chunk.length > allowed) {
+        tooLarge = true;
+        this.push(chunk.subarray(0, allowed));
+        return callback(new TusError('Chunk exceeds the announced Upload-Length', 413));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  const file = fs.createWriteStream(partialPath, { flags: 'r+', start: offset });
+
+  pipeline(req, limiter, file, (error) => {
+    // Whatever reached the disk counts, whether or not the client stayed connected
+    fs.promises.stat(partialPath)
+      .then(stats => resolve({ offset: stats.size, error: tooLarge ? error : null }))
+      .catch(() => resolve({ offset, error: error || null }));
+  });
+});
+
+const removeFile = (filePath) =>
+  fs.promises.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+
+// Remove partial uploads nobody resumed before they expired
+const expireStaleUploads = async (at = new Date()) => {
+  try {
+    const stale = await Upload.find({ status: { $ne: 'completed' }, expiresAt: { $lte: at } });
+
+    for (const upload of stale) {
+      await removeFile(upload.partialPath);
+      await Upload.deleteOne({ _id: upload._id });
+    }
+
+    if (stale.length > 0) {
+      console.log(`🧹 Removed ${stale.length} expired partial upload(s)`);
+    }
+    return stale.length;
+  } catch (error) {
+    console.error('❌ Error expiring partial uploads:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  PARTIAL_UPLOAD_DIR,
+  TusError,
+  parseMetadata,
+  encodeMetadata,
+  nextExpiry,
+  createPartialFile,
+  appendChunk,
+  removeFile,
+  expireStaleUploads
+};